@@ -1,226 +1,1252 @@
 // Service worker for handling Airtable API calls
 
+importScripts(
+  '../utils/token-vault.js',
+  '../utils/storage.js',
+  '../utils/field-mapping.js',
+  '../utils/airtable-schema.js',
+  '../utils/airtable-scheduler.js',
+  '../utils/airtable.js',
+  '../utils/webhook.js',
+  '../utils/notion.js',
+  '../utils/local-jobs.js',
+  '../utils/destinations.js',
+  '../utils/job-url.js',
+  '../utils/outbox.js',
+  '../utils/history.js',
+  '../utils/saved-jobs.js'
+);
+
+const OUTBOX_ALARM = 'outbox-retry';
+const OUTBOX_RETRY_MINUTES = 5;
+const OUTBOX_BADGE_COLOR = '#dc3545';
+const LINK_INDEX_ALARM = 'link-index-refresh';
+const LINK_INDEX_REFRESH_MINUTES = 60;
+const SAVED_BADGE_COLOR = '#28a745';
+
+// Airtable destination (the others are registered in destinations.js)
+Destinations.register('airtable', {
+  supportsRecords: true,
+
+  send(data, settings) {
+    return createRecordFromData(data, settings);
+  },
+
+  testConnection(settings) {
+    return testAirtableConnection(settings);
+  }
+});
+
 // Listen for messages from popup and options page
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.type === 'SEND_TO_AIRTABLE') {
-    handleAirtableSubmission(request.data, sendResponse);
+    handleAirtableSubmission(request.data, request.profileId, sendResponse);
+    return true; // Keep channel open for async response
+  }
+
+  if (request.type === 'FIND_DUPLICATES') {
+    handleFindDuplicates(request.data, request.profileId, sendResponse);
+    return true; // Keep channel open for async response
+  }
+
+  if (request.type === 'UPDATE_AIRTABLE_RECORD') {
+    handleAirtableUpdate(request.match, request.data, request.profileId, sendResponse);
+    return true; // Keep channel open for async response
+  }
+
+  if (request.type === 'UPDATE_AIRTABLE_STATUS') {
+    handleStatusUpdate(request.match, request.status, request.profileId, sendResponse);
+    return true; // Keep channel open for async response
+  }
+
+  if (request.type === 'RETRY_OUTBOX') {
+    handleRetryOutbox(request.id, sendResponse);
+    return true; // Keep channel open for async response
+  }
+
+  if (request.type === 'DISCARD_OUTBOX_ITEM') {
+    handleDiscardOutbox(request.id, sendResponse);
+    return true; // Keep channel open for async response
+  }
+
+  if (request.type === 'LIST_BASES') {
+    handleListBases(request.apiKey, sendResponse);
+    return true; // Keep channel open for async response
+  }
+
+  if (request.type === 'LIST_TABLES') {
+    handleListTables(request.apiKey, request.baseId, sendResponse);
+    return true; // Keep channel open for async response
+  }
+
+  if (request.type === 'CHECK_SAVED_JOB') {
+    handleCheckSavedJob(sender.tab, sendResponse);
+    return true; // Keep channel open for async response
+  }
+
+  if (request.type === 'PUSH_LOCAL_JOBS') {
+    handlePushLocalJobs(request.profileId, sendResponse);
     return true; // Keep channel open for async response
   }
 
   if (request.type === 'TEST_CONNECTION') {
-    handleTestConnection(request.apiKey, request.baseId, request.tableName, sendResponse);
+    handleTestConnection(request.settings, sendResponse);
     return true; // Keep channel open for async response
   }
 });
 
+// Retry queued submissions on a schedule and when the browser comes back online
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === OUTBOX_ALARM) {
+    processOutbox();
+  }
+
+  if (alarm.name === LINK_INDEX_ALARM) {
+    refreshLinkIndex();
+  }
+});
+
+self.addEventListener('online', () => {
+  processOutbox();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  processOutbox();
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  updateOutboxBadge();
+  scheduleLinkIndexRefresh();
+});
+
+// Mark tabs showing a posting that is already saved (SPA job boards change the URL without reloading)
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url || changeInfo.status === 'complete') {
+    updateTabSavedState(tabId, tab.url, !!changeInfo.url);
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  setTabSaved(tabId, false);
+});
+
+// Keep the badge in sync when the options page discards queued items
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[Outbox.STORAGE_KEY]) {
+    updateOutboxBadge();
+  }
+
+  // Rebuild the "already saved" lookup after a submission or link refresh
+  if (areaName === 'local' && (changes[SubmissionHistory.STORAGE_KEY] || changes[SavedJobIndex.LINK_INDEX_KEY])) {
+    savedJobIndex = null;
+    refreshOpenTabs();
+  }
+
+  if (areaName === 'sync' && changes.checkAirtableLinks) {
+    savedJobIndex = null;
+    scheduleLinkIndexRefresh();
+    refreshOpenTabs();
+  }
+
+  // Send what was queued while the token was locked
+  if (areaName === 'session' && changes[TokenVault.SESSION_KEY] && changes[TokenVault.SESSION_KEY].newValue) {
+    processOutbox();
+  }
+});
+
+/**
+ * Fields that are only set when a record is created; updates keep the user's
+ * Status and Score, and the JobID of the existing record
+ */
+const INITIAL_ONLY_FIELDS = ['jobId', 'status', 'score'];
+
+/**
+ * Token scopes the extension uses; without a required scope sending cannot work
+ */
+const TOKEN_SCOPES = [
+  { scope: 'data.records:read', required: true, purpose: 'look up existing records' },
+  { scope: 'data.records:write', required: true, purpose: 'create and update records' },
+  { scope: 'schema.bases:read', required: false, purpose: 'list bases and tables and check column types' }
+];
+
+/**
+ * Load a profile's settings (the active profile if none is given),
+ * failing with a user-facing error if credentials are missing
+ */
+async function getConfiguredSettings(profileId = null) {
+  const settings = await StorageHelper.getSettings(profileId);
+
+  if (!StorageHelper.isProfileConfigured(settings)) {
+    throw new Error(`Profile "${settings.name}" is not fully configured. Please check settings.`);
+  }
+
+  if (settings.tokenLocked && !Destinations.get(settings.destination).isLocal) {
+    throw new Error(lockedResult().error);
+  }
+
+  return settings;
+}
+
+/**
+ * Map job data to the user's columns and coerce values to the column types
+ */
+async function prepareFields(data, settings) {
+  // Translate job data into the user's Airtable column names
+  const fields = FieldMapping.apply(data, settings.fieldMapping);
+
+  if (Object.keys(fields).length === 0) {
+    throw new Error('No fields are mapped to Airtable columns. Please check your field mapping in settings.');
+  }
+
+  // Coerce values to the column types (best effort: without schema access, send as-is)
+  const table = await getTableSchema(settings.apiKey, settings.baseId, settings.tableName);
+  return AirtableSchema.coerceFields(fields, table);
+}
+
 /**
  * Handle submission to Airtable
  */
-async function handleAirtableSubmission(data, sendResponse) {
-  try {
-    // Get credentials from storage
-    const settings = await chrome.storage.sync.get(['apiKey', 'baseId', 'tableName']);
-
-    if (!settings.apiKey || !settings.baseId || !settings.tableName) {
-      sendResponse({
-        success: false,
-        error: 'Airtable credentials not configured. Please check settings.'
-      });
-      return;
+async function handleAirtableSubmission(data, profileId, sendResponse) {
+  sendResponse(await deliverOrQueue({ type: 'SEND_TO_AIRTABLE', data: data, profileId: profileId }));
+}
+
+/**
+ * Create a record from job data
+ */
+async function createRecordFromData(data, settings) {
+  const fields = await prepareFields(data, settings);
+
+  // Rate limiting and retries are handled by the client
+  const result = await AirtableClient.createRecord(
+    settings.apiKey,
+    settings.baseId,
+    settings.tableName,
+    fields
+  );
+
+  // The table layout may have changed; refetch the schema next time
+  if (!result.success && result.status === 422) {
+    await AirtableSchema.invalidate(settings.baseId);
+  }
+
+  if (result.success) {
+    await recordHistory(result.data, data, settings, 'created');
+  }
+
+  return result;
+}
+
+/**
+ * Create records for many jobs, ten per request (see AirtableClient.createRecords)
+ * @returns {Promise<Object>} {success, created, failed, results} with results in the order of dataList
+ */
+async function createRecordsFromData(dataList, settings) {
+  // A job that can't be prepared (e.g. nothing mapped) fails on its own; the others still go out
+  const results = new Array(dataList.length);
+  const fieldsList = [];
+  const sentIndexes = [];
+
+  for (let i = 0; i < dataList.length; i++) {
+    try {
+      fieldsList.push(await prepareFields(dataList[i], settings));
+      sentIndexes.push(i);
+    } catch (error) {
+      results[i] = { success: false, retryable: false, error: error.message };
+    }
+  }
+
+  const batch = await AirtableClient.createRecords(
+    settings.apiKey,
+    settings.baseId,
+    settings.tableName,
+    fieldsList
+  );
+
+  if (batch.results.some(result => result.status === 422)) {
+    await AirtableSchema.invalidate(settings.baseId);
+  }
+
+  sentIndexes.forEach((index, position) => {
+    results[index] = batch.results[position];
+  });
+
+  for (let i = 0; i < dataList.length; i++) {
+    if (results[i].success) {
+      await recordHistory(results[i].data, dataList[i], settings, 'created');
     }
+  }
+
+  const created = results.filter(result => result.success).length;
 
-    // Make API call with retry logic
-    const result = await retryWithBackoff(async () => {
-      return await createAirtableRecord(
-        settings.apiKey,
-        settings.baseId,
-        settings.tableName,
-        data
-      );
+  return {
+    success: created === dataList.length,
+    created: created,
+    failed: dataList.length - created,
+    results: results
+  };
+}
+
+/**
+ * Handle update of an existing Airtable record
+ */
+async function handleAirtableUpdate(match, data, profileId, sendResponse) {
+  sendResponse(await deliverOrQueue({ type: 'UPDATE_AIRTABLE_RECORD', match: match, data: data, profileId: profileId }));
+}
+
+/**
+ * Handle a Status change on an existing Airtable record
+ */
+async function handleStatusUpdate(match, status, profileId, sendResponse) {
+  sendResponse(await deliverOrQueue({
+    type: 'UPDATE_AIRTABLE_STATUS',
+    match: match,
+    // Kept for the outbox list
+    data: { status: status, company: match.company, jobTitle: match.jobTitle, link: match.link },
+    profileId: profileId
+  }));
+}
+
+/**
+ * Set the Status of the record matched by a duplicate lookup, leaving every other column alone
+ */
+async function updateStatusFromMatch(match, data, profileId) {
+  const settings = await getConfiguredSettings(profileId);
+
+  if (!FieldMapping.normalize(settings.fieldMapping).status) {
+    return { success: false, error: 'The Status field is not mapped to a column. Check the field mapping in settings.' };
+  }
+
+  const fields = await prepareFields({ status: data.status }, settings);
+
+  const result = await AirtableClient.updateRecord(
+    settings.apiKey,
+    settings.baseId,
+    settings.tableName,
+    match.id,
+    fields
+  );
+
+  if (!result.success && result.status === 422) {
+    await AirtableSchema.invalidate(settings.baseId);
+  }
+
+  return result;
+}
+
+/**
+ * Update the record matched by a duplicate lookup.
+ * Upserts on the configured merge field (Link or JobID) when the matched record
+ * still carries the same value, otherwise patches the matched record by ID.
+ */
+async function updateRecordFromMatch(match, data, profileId) {
+  const settings = await getConfiguredSettings(profileId);
+  const mapping = FieldMapping.normalize(settings.fieldMapping);
+  const mergeKey = settings.mergeField;
+
+  const updateData = { ...data };
+  INITIAL_ONLY_FIELDS.forEach(key => delete updateData[key]);
+
+  // Merging on JobID means sending the existing record's JobID back
+  if (mergeKey === 'jobId' && match.jobId) {
+    updateData.jobId = match.jobId;
+  }
+
+  const fields = await prepareFields(updateData, settings);
+  const mergeColumn = mapping[mergeKey];
+  const canUpsert = mergeColumn && fields[mergeColumn] !== undefined && fields[mergeColumn] === match[mergeKey];
+
+  const result = canUpsert
+    ? await AirtableClient.upsertRecord(
+      settings.apiKey,
+      settings.baseId,
+      settings.tableName,
+      fields,
+      [mergeColumn]
+    )
+    : await AirtableClient.updateRecord(
+      settings.apiKey,
+      settings.baseId,
+      settings.tableName,
+      match.id,
+      fields
+    );
+
+  if (!result.success && result.status === 422) {
+    await AirtableSchema.invalidate(settings.baseId);
+  }
+
+  // The matched record was deleted in the meantime, so the upsert created a new one
+  if (result.success && result.created) {
+    await fillInitialFields(result.data.id, data, settings);
+  }
+
+  if (result.success) {
+    await recordHistory(result.data, data, settings, result.created ? 'created' : 'updated');
+  }
+
+  return result;
+}
+
+/**
+ * Add a delivered submission to the local history (failures are logged, never reported)
+ */
+async function recordHistory(record, data, settings, action) {
+  try {
+    const table = await getTableSchema(settings.apiKey, settings.baseId, settings.tableName);
+    const tableId = table ? table.id : settings.tableName;
+
+    await SubmissionHistory.add({
+      recordId: record.id,
+      createdTime: record.createdTime,
+      baseId: settings.baseId,
+      tableId: tableId,
+      tableName: settings.tableName,
+      profileId: settings.id,
+      recordUrl: AirtableClient.getRecordUrl(settings.baseId, tableId, record.id),
+      url: data.link || '',
+      company: data.company || '',
+      jobTitle: data.jobTitle || '',
+      action: action
     });
+  } catch (error) {
+    console.error('Failed to record submission history:', error);
+  }
+}
+
+/**
+ * Set the create-only fields (JobID, Status, Score) on a record created by an upsert
+ */
+async function fillInitialFields(recordId, data, settings) {
+  const initialData = {};
+  INITIAL_ONLY_FIELDS.forEach(key => {
+    initialData[key] = data[key];
+  });
+
+  if (Object.keys(FieldMapping.apply(initialData, settings.fieldMapping)).length === 0) {
+    return;
+  }
+
+  const fields = await prepareFields(initialData, settings);
+  const result = await AirtableClient.updateRecord(settings.apiKey, settings.baseId, settings.tableName, recordId, fields);
+
+  if (!result.success) {
+    console.error('Failed to set initial fields on upserted record:', result.error);
+  }
+}
+
+/**
+ * Send a create/update message to Airtable, queueing it in the outbox if Airtable is unreachable
+ */
+async function deliverOrQueue(message) {
+  try {
+    // Local profiles need neither the network nor the token
+    if (message.type === 'SEND_TO_AIRTABLE' && await isLocalProfile(message.profileId)) {
+      return await deliverMessage(message);
+    }
+
+    // Nothing is sent or queued until the user unlocks the token
+    if (await isProfileLocked(message.profileId)) {
+      return lockedResult();
+    }
 
-    sendResponse(result);
+    if (!navigator.onLine) {
+      return await queueMessage(message, 'You are offline');
+    }
+
+    const result = await deliverMessage(message);
+
+    if (!result.success && result.retryable) {
+      return await queueMessage(message, result.error);
+    }
+
+    return result;
   } catch (error) {
     console.error('Service worker error:', error);
-    sendResponse({
+    return {
       success: false,
       error: error.message || 'An unexpected error occurred'
-    });
+    };
   }
 }
 
 /**
- * Handle test connection request
+ * Perform the Airtable call for a create/update message
  */
-async function handleTestConnection(apiKey, baseId, tableName, sendResponse) {
+async function deliverMessage(message) {
+  if (message.type === 'UPDATE_AIRTABLE_RECORD') {
+    return await updateRecordFromMatch(message.match, message.data, message.profileId);
+  }
+
+  if (message.type === 'UPDATE_AIRTABLE_STATUS') {
+    return await updateStatusFromMatch(message.match, message.data, message.profileId);
+  }
+
+  const settings = await getConfiguredSettings(message.profileId);
+  return await Destinations.get(settings.destination).send(message.data, settings);
+}
+
+/**
+ * Remove a delivered outbox item, or record why it failed
+ */
+async function settleOutboxItem(item, result) {
+  if (result.success) {
+    await Outbox.remove(item.id);
+  } else {
+    await Outbox.recordFailure(item.id, result.error, !result.retryable);
+  }
+}
+
+/**
+ * Whether a profile sends to Airtable (a deleted profile counts as not)
+ */
+async function isAirtableProfile(profileId) {
+  try {
+    const settings = await StorageHelper.getSettings(profileId);
+    return (settings.destination || Destinations.DEFAULT_TYPE) === 'airtable';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a profile's token is encrypted and not unlocked yet (a deleted profile counts as not)
+ */
+async function isProfileLocked(profileId) {
+  if (!(await TokenVault.isLocked())) return false;
+
   try {
-    const result = await validateConnection(apiKey, baseId, tableName);
-    sendResponse(result);
+    return !!(await StorageHelper.getSettings(profileId)).tokenLocked;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a profile keeps jobs on this device
+ */
+async function isLocalProfile(profileId) {
+  const settings = await StorageHelper.getSettings(profileId);
+  return !!Destinations.get(settings.destination).isLocal;
+}
+
+/**
+ * Send the jobs kept on this device to an Airtable profile, oldest first and ten per request.
+ * Pushed jobs are marked, so running it again resumes with the ones that failed.
+ */
+async function handlePushLocalJobs(profileId, sendResponse) {
+  try {
+    if (await isProfileLocked(profileId)) {
+      sendResponse(lockedResult());
+      return;
+    }
+
+    const settings = await getConfiguredSettings(profileId);
+    if (settings.destination !== 'airtable') {
+      throw new Error(`Profile "${settings.name}" doesn't send to Airtable. Choose an Airtable profile.`);
+    }
+
+    const jobs = await LocalJobs.getUnpushed();
+    const batch = await createRecordsFromData(jobs, settings);
+
+    for (let i = 0; i < jobs.length; i++) {
+      if (batch.results[i].success) {
+        await LocalJobs.markPushed(jobs[i].id, batch.results[i].data.id);
+      }
+    }
+
+    const firstFailure = batch.results.find(result => !result.success);
+
+    sendResponse({
+      success: batch.success,
+      pushed: batch.created,
+      total: jobs.length,
+      error: firstFailure ? firstFailure.error : undefined
+    });
   } catch (error) {
-    console.error('Test connection error:', error);
+    console.error('Push local jobs error:', error);
     sendResponse({
       success: false,
-      error: error.message || 'Connection test failed'
+      error: error.message || 'An unexpected error occurred'
     });
   }
 }
 
 /**
- * Validate connection to Airtable
+ * Result telling the popup to ask for the passphrase
  */
-async function validateConnection(apiKey, baseId, tableName) {
-  const url = `https://api.airtable.com/v0/${baseId}/${encodeURIComponent(tableName)}?maxRecords=1`;
+function lockedResult() {
+  return {
+    success: false,
+    locked: true,
+    error: 'Your Airtable token is locked. Enter your passphrase to unlock it.'
+  };
+}
+
+/**
+ * Persist an undelivered message in the outbox
+ */
+async function queueMessage(message, error) {
+  await Outbox.add(message, error);
+  await updateOutboxBadge();
+  await chrome.alarms.create(OUTBOX_ALARM, { periodInMinutes: OUTBOX_RETRY_MINUTES });
+
+  return {
+    success: false,
+    queued: true,
+    error: error
+  };
+}
+
+let outboxProcessing = false;
+
+/**
+ * Try to deliver queued submissions.
+ * Items that failed for a non-retryable reason are skipped unless requested by ID.
+ * @param {string[]|null} ids - Only process these items
+ */
+async function processOutbox(ids = null) {
+  if (outboxProcessing) return;
+  outboxProcessing = true;
 
   try {
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`
+    const items = (await Outbox.getAll())
+      .filter(item => ids ? ids.includes(item.id) : !item.needsAttention);
+
+    // New records for the same Airtable profile go out ten per request
+    const batches = new Map();
+    const singles = [];
+
+    for (const item of items) {
+      const profileId = item.message.profileId || await StorageHelper.getActiveProfileId();
+
+      // Queued items wait until their profile's token is unlocked
+      if (await isProfileLocked(profileId)) continue;
+
+      if (item.message.type === 'SEND_TO_AIRTABLE' && await isAirtableProfile(profileId)) {
+        if (!batches.has(profileId)) batches.set(profileId, []);
+        batches.get(profileId).push(item);
+      } else {
+        singles.push(item);
       }
-    });
+    }
 
-    const data = await response.json();
+    for (const [profileId, batchItems] of batches) {
+      if (!navigator.onLine) break;
 
-    if (!response.ok) {
-      return {
-        success: false,
-        error: parseErrorMessage(data, response.status)
-      };
+      let results;
+      try {
+        const settings = await getConfiguredSettings(profileId);
+        const batch = await createRecordsFromData(batchItems.map(item => item.message.data), settings);
+        results = batch.results;
+      } catch (error) {
+        results = batchItems.map(() => ({ success: false, retryable: false, error: error.message }));
+      }
+
+      for (let i = 0; i < batchItems.length; i++) {
+        await settleOutboxItem(batchItems[i], results[i]);
+      }
     }
 
-    return {
-      success: true
-    };
+    for (const item of singles) {
+      if (!navigator.onLine) break;
+
+      let result;
+      try {
+        result = await deliverMessage(item.message);
+      } catch (error) {
+        result = { success: false, retryable: false, error: error.message };
+      }
+
+      await settleOutboxItem(item, result);
+    }
+
+    if (await Outbox.count() === 0) {
+      await chrome.alarms.clear(OUTBOX_ALARM);
+    }
   } catch (error) {
-    console.error('Validation error:', error);
-    return {
+    console.error('Outbox processing error:', error);
+  } finally {
+    outboxProcessing = false;
+    await updateOutboxBadge();
+  }
+}
+
+/**
+ * Handle a resend request from the options page (one item, or all when no ID is given)
+ */
+async function handleRetryOutbox(id, sendResponse) {
+  if (outboxProcessing) {
+    sendResponse({ success: false, error: 'The outbox is already being sent. Please try again in a moment.' });
+    return;
+  }
+
+  const ids = id ? [id] : (await Outbox.getAll()).map(item => item.id);
+  await processOutbox(ids);
+
+  const remaining = await Outbox.getAll();
+  const failed = remaining.filter(item => ids.includes(item.id));
+
+  // Items for profiles with a locked token were held back
+  for (const item of failed) {
+    if (await isProfileLocked(item.message.profileId)) {
+      sendResponse({ ...lockedResult(), remaining: remaining.length });
+      return;
+    }
+  }
+
+  sendResponse({
+    success: failed.length === 0,
+    remaining: remaining.length,
+    error: failed.length > 0 ? failed[0].lastError : undefined
+  });
+}
+
+/**
+ * Handle a discard request from the options page. Outbox changes all happen here, where they are serialized.
+ */
+async function handleDiscardOutbox(id, sendResponse) {
+  try {
+    await Outbox.remove(id);
+    await updateOutboxBadge();
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('Discard outbox item error:', error);
+    sendResponse({
       success: false,
-      error: error.message || 'Network error occurred'
-    };
+      error: error.message || 'An unexpected error occurred'
+    });
+  }
+}
+
+/**
+ * Show the number of queued submissions on the toolbar icon
+ */
+async function updateOutboxBadge() {
+  const count = await Outbox.count();
+
+  await chrome.action.setBadgeText({ text: count > 0 ? String(count) : '' });
+  await chrome.action.setBadgeBackgroundColor({ color: OUTBOX_BADGE_COLOR });
+  await chrome.action.setTitle({ title: getActionTitle(count, false) });
+
+  // Tabs marked "already saved" carry their own title
+  for (const tabId of await getSavedTabs()) {
+    await chrome.action.setTitle({ tabId: tabId, title: getActionTitle(count, true) }).catch(() => {});
+  }
+}
+
+/**
+ * Toolbar button tooltip
+ */
+function getActionTitle(outboxCount, saved) {
+  const parts = ['Job Lead to Airtable'];
+
+  if (saved) {
+    parts.push('this job is already saved');
   }
+  if (outboxCount > 0) {
+    parts.push(`${outboxCount} submission${outboxCount === 1 ? '' : 's'} waiting to send`);
+  }
+
+  return parts.join(' - ');
 }
 
+// Canonical URL -> where the job was found; rebuilt lazily after changes
+let savedJobIndex = null;
+
+// Tabs currently marked as showing a saved job. Kept in session storage: the worker is stopped when idle,
+// but the tab badges stay.
+const SAVED_TABS_KEY = 'savedTabs';
+let savedTabs = null;
+
 /**
- * Create a record in Airtable
+ * @returns {Promise<Set<number>>} IDs of the tabs marked as saved
  */
-async function createAirtableRecord(apiKey, baseId, tableName, fields) {
-  const url = `https://api.airtable.com/v0/${baseId}/${encodeURIComponent(tableName)}`;
+function getSavedTabs() {
+  if (!savedTabs) {
+    savedTabs = chrome.storage.session.get(SAVED_TABS_KEY)
+      .then(result => new Set(result[SAVED_TABS_KEY] || []))
+      .catch(() => new Set());
+  }
+
+  return savedTabs;
+}
 
+/**
+ * Mark or unmark a tab as showing a saved job
+ */
+async function setTabSaved(tabId, saved) {
+  const tabs = await getSavedTabs();
+  if (tabs.has(tabId) === saved) return;
+
+  if (saved) {
+    tabs.add(tabId);
+  } else {
+    tabs.delete(tabId);
+  }
+  await chrome.storage.session.set({ [SAVED_TABS_KEY]: Array.from(tabs) });
+}
+
+/**
+ * Find a saved job for a page URL
+ * @returns {Promise<Object|null>} {source, recordUrl, company, jobTitle} or null
+ */
+async function findSavedJob(url) {
+  if (!url || !/^https?:/.test(url)) return null;
+
+  if (!savedJobIndex) {
+    const entries = await SubmissionHistory.getAll();
+    const linkIndex = await StorageHelper.getCheckAirtableLinks() ? await SavedJobIndex.getLinkIndex() : {};
+    savedJobIndex = SavedJobIndex.build(entries, linkIndex);
+  }
+
+  return savedJobIndex.get(JobUrl.canonicalize(url)) || null;
+}
+
+/**
+ * Set a tab's badge and tell its content script whether the posting is saved
+ * @param {number} tabId - Tab ID
+ * @param {string} url - Tab URL
+ * @param {boolean} notifyPage - Send the state to the page (the content script asks by itself on load)
+ */
+async function updateTabSavedState(tabId, url, notifyPage) {
   try {
-    const requestBody = {
-      records: [{
-        fields: fields
-      }]
-    };
+    const match = await findSavedJob(url);
+    const wasSaved = (await getSavedTabs()).has(tabId);
+
+    if (match) {
+      await setTabSaved(tabId, true);
+      await chrome.action.setBadgeText({ tabId: tabId, text: '✓' });
+      await chrome.action.setBadgeBackgroundColor({ tabId: tabId, color: SAVED_BADGE_COLOR });
+      await chrome.action.setTitle({ tabId: tabId, title: getActionTitle(await Outbox.count(), true) });
+    } else if (wasSaved) {
+      // Fall back to the global outbox badge
+      await setTabSaved(tabId, false);
+      await chrome.action.setBadgeText({ tabId: tabId, text: null });
+      await chrome.action.setBadgeBackgroundColor({ tabId: tabId, color: OUTBOX_BADGE_COLOR });
+      await chrome.action.setTitle({ tabId: tabId, title: getActionTitle(await Outbox.count(), false) });
+    }
+
+    if (notifyPage && (match || wasSaved)) {
+      await chrome.tabs.sendMessage(tabId, { type: 'SAVED_JOB_STATUS', match: match }).catch(() => {});
+    }
+  } catch (error) {
+    // The tab may have closed in the meantime
+    console.warn('Could not update saved state for tab:', error);
+  }
+}
 
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
+/**
+ * Re-check every open tab after the history or link index changed
+ */
+async function refreshOpenTabs() {
+  const tabs = await chrome.tabs.query({});
+
+  for (const tab of tabs) {
+    await updateTabSavedState(tab.id, tab.url, true);
+  }
+}
+
+/**
+ * Answer a content script asking whether its page is saved
+ */
+async function handleCheckSavedJob(tab, sendResponse) {
+  if (!tab) {
+    sendResponse({ success: false });
+    return;
+  }
+
+  try {
+    const match = await findSavedJob(tab.url);
+    await updateTabSavedState(tab.id, tab.url, false);
+    sendResponse({ success: true, match: match });
+  } catch (error) {
+    console.error('Saved job check error:', error);
+    sendResponse({
+      success: false,
+      error: error.message || 'An unexpected error occurred'
     });
+  }
+}
+
+/**
+ * Start or stop the periodic Airtable link refresh to match the setting
+ */
+async function scheduleLinkIndexRefresh() {
+  if (await StorageHelper.getCheckAirtableLinks()) {
+    // Alarms can't fire sooner than 30 seconds, so the first refresh runs now
+    await chrome.alarms.create(LINK_INDEX_ALARM, { periodInMinutes: LINK_INDEX_REFRESH_MINUTES });
+    await refreshLinkIndex();
+  } else {
+    await chrome.alarms.clear(LINK_INDEX_ALARM);
+    await SavedJobIndex.clearLinkIndex();
+  }
+}
+
+/**
+ * Download the Link column of every configured profile's table
+ */
+async function refreshLinkIndex() {
+  try {
+    if (!(await StorageHelper.getCheckAirtableLinks()) || await TokenVault.isLocked()) return;
 
-    const data = await response.json();
+    const profiles = await StorageHelper.getProfiles();
+    const linkIndex = {};
 
-    if (!response.ok) {
-      return {
-        success: false,
-        error: parseErrorMessage(data, response.status)
+    for (const profile of profiles) {
+      if (profile.destination !== 'airtable' || !StorageHelper.isProfileConfigured(profile)) continue;
+
+      const linkColumn = FieldMapping.normalize(profile.fieldMapping).link;
+      if (!linkColumn) continue;
+
+      const table = await getTableSchema(profile.apiKey, profile.baseId, profile.tableName);
+      const records = [];
+      let offset = null;
+      let pages = 0;
+
+      do {
+        const result = await AirtableClient.listRecords(profile.apiKey, profile.baseId, profile.tableName, {
+          fields: [linkColumn],
+          pageSize: 100,
+          offset: offset
+        });
+
+        if (!result.success) {
+          console.warn(`Could not index links for profile "${profile.name}":`, result.error);
+          break;
+        }
+
+        result.records.forEach(record => {
+          const link = record.fields[linkColumn];
+          if (typeof link === 'string' && link) {
+            records.push([JobUrl.canonicalize(link), record.id]);
+          }
+        });
+
+        offset = result.offset;
+        pages++;
+      } while (offset && pages < SavedJobIndex.MAX_PAGES);
+
+      linkIndex[profile.id] = {
+        fetchedAt: new Date().toISOString(),
+        baseId: profile.baseId,
+        tableId: table ? table.id : profile.tableName,
+        records: records
       };
     }
 
-    return {
+    await SavedJobIndex.saveLinkIndex(linkIndex);
+  } catch (error) {
+    console.error('Link index refresh error:', error);
+  }
+}
+
+/**
+ * Look up existing records for the same posting
+ */
+async function handleFindDuplicates(data, profileId, sendResponse) {
+  try {
+    if (await isProfileLocked(profileId)) {
+      sendResponse(lockedResult());
+      return;
+    }
+
+    const settings = await getConfiguredSettings(profileId);
+
+    // Only destinations that can look records up take part in duplicate checks
+    if (!Destinations.get(settings.destination).supportsRecords) {
+      sendResponse({ success: true, matches: [] });
+      return;
+    }
+
+    const mapping = FieldMapping.normalize(settings.fieldMapping);
+    const formula = buildDuplicateFormula(data, mapping, settings.matchCompanyTitle);
+
+    if (!formula) {
+      sendResponse({ success: true, matches: [] });
+      return;
+    }
+
+    const result = await AirtableClient.listRecords(settings.apiKey, settings.baseId, settings.tableName, {
+      filterByFormula: formula,
+      maxRecords: 5
+    });
+
+    if (!result.success) {
+      sendResponse(result);
+      return;
+    }
+
+    const table = await getTableSchema(settings.apiKey, settings.baseId, settings.tableName);
+    const statusOptions = getStatusOptions(table, mapping.status);
+
+    sendResponse({
       success: true,
-      data: data.records[0]
-    };
+      matches: result.records.map(record => ({
+        id: record.id,
+        createdTime: record.createdTime,
+        jobId: record.fields[mapping.jobId] || '',
+        company: record.fields[mapping.company] || '',
+        jobTitle: record.fields[mapping.jobTitle] || '',
+        status: record.fields[mapping.status] || '',
+        score: formatFieldValue(record.fields[mapping.score]),
+        notes: settings.notesColumns
+          .map(column => ({ column: column, value: formatFieldValue(record.fields[column]) }))
+          .filter(note => note.value),
+        statusEditable: !!mapping.status,
+        statusOptions: statusOptions,
+        link: record.fields[mapping.link] || '',
+        url: AirtableClient.getRecordUrl(settings.baseId, table ? table.id : settings.tableName, record.id)
+      }))
+    });
   } catch (error) {
-    console.error('Airtable API error:', error);
-    return {
+    console.error('Duplicate check error:', error);
+    sendResponse({
       success: false,
-      error: error.message || 'Network error occurred'
-    };
+      error: error.message || 'An unexpected error occurred'
+    });
   }
 }
 
 /**
- * Parse Airtable error response into user-friendly message
+ * Choices of the Status column when it is a single select
+ * @returns {string[]|null} Choice names, or null when the column takes free text (or the schema is unavailable)
  */
-function parseErrorMessage(data, status) {
-  if (status === 401) {
-    return 'Invalid API key. Please check your settings.';
-  }
+function getStatusOptions(table, statusColumn) {
+  if (!table || !statusColumn) return null;
+
+  const field = table.fields.find(item => item.name === statusColumn);
+  if (!field || field.type !== 'singleSelect' || !field.options) return null;
+
+  return field.options.choices.map(choice => choice.name);
+}
 
-  if (status === 404) {
-    return 'Base or table not found. Please verify your Base ID and Table Name in settings.';
+/**
+ * Turn a cell value read from Airtable into display text
+ */
+function formatFieldValue(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(formatFieldValue).filter(Boolean).join(', ');
+  if (typeof value === 'object') return value.name || value.filename || value.email || '';
+  return String(value);
+}
+
+/**
+ * Build a filterByFormula expression matching the posting's Link
+ * (canonical or as captured) and, optionally, Company + Title
+ */
+function buildDuplicateFormula(data, mapping, matchCompanyTitle) {
+  const conditions = [];
+
+  if (mapping.link && data.link) {
+    const field = formulaField(mapping.link);
+    const canonical = JobUrl.canonicalize(data.link);
+
+    conditions.push(`${field} = ${formulaString(canonical)}`);
+    conditions.push(`${field} = ${formulaString(data.link)}`);
+
+    // Older records may hold the raw URL with tracking parameters appended
+    ['?', '&', '#'].forEach(separator => {
+      const prefix = canonical + separator;
+      conditions.push(`LEFT(${field}, ${prefix.length}) = ${formulaString(prefix)}`);
+    });
   }
 
-  if (status === 403) {
-    return 'Access denied. Your API key may not have permission to access this base.';
+  if (matchCompanyTitle && mapping.company && mapping.jobTitle && data.company && data.jobTitle) {
+    conditions.push(
+      `AND(LOWER(${formulaField(mapping.company)}) = ${formulaString(data.company.toLowerCase())}, ` +
+      `LOWER(${formulaField(mapping.jobTitle)}) = ${formulaString(data.jobTitle.toLowerCase())})`
+    );
   }
 
-  if (status === 422) {
-    if (data.error && data.error.type === 'INVALID_REQUEST_BODY') {
-      return 'Invalid field names. Ensure your table has these exact fields: Company, Job Title, Location (case-sensitive).';
+  return conditions.length > 0 ? `OR(${conditions.join(', ')})` : null;
+}
+
+/**
+ * Reference a column in an Airtable formula
+ */
+function formulaField(name) {
+  return `{${name.replace(/}/g, '\\}')}}`;
+}
+
+/**
+ * Quote a string literal for an Airtable formula
+ */
+function formulaString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * List the bases a token can access, for the settings base picker
+ */
+async function handleListBases(apiKey, sendResponse) {
+  try {
+    const result = await AirtableClient.listBases(apiKey);
+
+    if (!result.success) {
+      if (result.status === 403) {
+        result.error = 'Add the schema.bases:read scope to your token to pick bases from a list.';
+      }
+      sendResponse(result);
+      return;
     }
-    return 'Invalid request. Please check your table structure in settings.';
+
+    sendResponse({
+      success: true,
+      bases: result.bases
+        .map(base => ({ id: base.id, name: base.name }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+    });
+  } catch (error) {
+    console.error('List bases error:', error);
+    sendResponse({
+      success: false,
+      error: error.message || 'Could not list bases'
+    });
   }
+}
 
-  if (status === 429) {
-    return 'Rate limit exceeded. Please wait a moment and try again.';
+/**
+ * List the tables of a base, for the settings table picker
+ */
+async function handleListTables(apiKey, baseId, sendResponse) {
+  try {
+    const schema = await fetchBaseSchema(apiKey, baseId);
+
+    if (!schema.success) {
+      sendResponse(schema);
+      return;
+    }
+
+    await AirtableSchema.cacheTables(baseId, schema.tables);
+
+    sendResponse({
+      success: true,
+      tables: schema.tables.map(table => ({ id: table.id, name: table.name }))
+    });
+  } catch (error) {
+    console.error('List tables error:', error);
+    sendResponse({
+      success: false,
+      error: error.message || 'Could not list tables'
+    });
   }
+}
 
-  if (data.error && data.error.message) {
-    return data.error.message;
+/**
+ * Compare a token's scopes with the ones the extension uses
+ * @returns {Promise<Object>} {success, missingScopes} or an error result (e.g. invalid token)
+ */
+async function checkTokenScopes(apiKey) {
+  const identity = await AirtableClient.whoami(apiKey);
+
+  if (!identity.success) {
+    return identity;
   }
 
-  return `Request failed with status ${status}`;
+  // Airtable only reports scopes for tokens that have them; nothing to compare otherwise
+  const missingScopes = identity.scopes
+    ? TOKEN_SCOPES.filter(entry => !identity.scopes.includes(entry.scope))
+    : [];
+
+  return { success: true, missingScopes: missingScopes };
 }
 
 /**
- * Retry a function with exponential backoff
+ * Describe missing scopes for the user
  */
-async function retryWithBackoff(fn, maxRetries = 3) {
-  let lastError;
+function describeMissingScopes(missingScopes) {
+  return missingScopes.map(entry => `${entry.scope} (needed to ${entry.purpose})`).join(', ');
+}
 
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      const result = await fn();
+/**
+ * Handle test connection request for any destination
+ */
+async function handleTestConnection(settings, sendResponse) {
+  try {
+    sendResponse(await Destinations.get(settings.destination).testConnection(settings));
+  } catch (error) {
+    console.error('Test connection error:', error);
+    sendResponse({
+      success: false,
+      error: error.message || 'Connection test failed'
+    });
+  }
+}
 
-      // If result indicates success or a non-retryable error, return immediately
-      if (result.success || !isRetryableError(result.error)) {
-        return result;
-      }
+/**
+ * Check an Airtable token's scopes, the table, and the field mapping against the table's columns
+ */
+async function testAirtableConnection(settings) {
+  const { apiKey, baseId, tableName, fieldMapping } = settings;
+  const scopes = await checkTokenScopes(apiKey);
 
-      lastError = result;
-    } catch (error) {
-      lastError = { success: false, error: error.message };
+  if (!scopes.success) {
+    return scopes;
+  }
+
+  const missingRequired = scopes.missingScopes.filter(entry => entry.required);
+  if (missingRequired.length > 0) {
+    return {
+      success: false,
+      errorType: 'MISSING_SCOPES',
+      missingScopes: scopes.missingScopes,
+      error: `Your token is missing ${describeMissingScopes(missingRequired)}. Edit the token at airtable.com/create/tokens and add the scope.`
+    };
+  }
+
+  const result = await AirtableClient.validateConnection(apiKey, baseId, tableName);
+  result.missingScopes = scopes.missingScopes;
+
+  if (result.success && scopes.missingScopes.length > 0) {
+    // Only schema.bases:read can be missing here
+    result.schemaError = `Your token is missing ${describeMissingScopes(scopes.missingScopes)}.`;
+  } else if (result.success) {
+    // Check the field mapping against the live table layout
+    const schema = await fetchBaseSchema(apiKey, baseId);
+
+    if (schema.success) {
+      await AirtableSchema.cacheTables(baseId, schema.tables);
+      const table = AirtableSchema.findTable(schema.tables, tableName);
+      if (table) {
+        result.schemaReport = AirtableSchema.checkMapping(table, fieldMapping);
+      }
+    } else {
+      result.schemaError = schema.error;
     }
+  }
+
+  return result;
+}
 
-    // Wait before retrying (exponential backoff: 1s, 2s, 4s)
-    if (attempt < maxRetries - 1) {
-      await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
+/**
+ * Get the schema for a table, using the cache when fresh
+ * @returns {Promise<Object|null>} Table schema or null if unavailable
+ */
+async function getTableSchema(apiKey, baseId, tableName) {
+  let tables = await AirtableSchema.getCachedTables(baseId);
+
+  if (!tables) {
+    const schema = await fetchBaseSchema(apiKey, baseId);
+    if (!schema.success) {
+      console.warn('Table schema unavailable, sending values without coercion:', schema.error);
+      return null;
     }
+    tables = schema.tables;
+    await AirtableSchema.cacheTables(baseId, tables);
   }
 
-  return lastError;
+  return AirtableSchema.findTable(tables, tableName);
 }
 
 /**
- * Check if an error is retryable
+ * Fetch all table schemas for a base via the Meta API
  */
-function isRetryableError(error) {
-  if (!error) return false;
+async function fetchBaseSchema(apiKey, baseId) {
+  const result = await AirtableClient.getBaseSchema(apiKey, baseId);
 
-  const retryablePatterns = [
-    'network error',
-    'timeout',
-    'rate limit',
-    'ECONNRESET',
-    'ETIMEDOUT'
-  ];
+  if (!result.success && (result.status === 401 || result.status === 403)) {
+    result.error = 'Cannot read the table schema. Add the schema.bases:read scope to your token to enable column checks.';
+  }
 
-  const errorLower = error.toLowerCase();
-  return retryablePatterns.some(pattern => errorLower.includes(pattern));
+  return result;
 }
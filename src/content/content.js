@@ -6,8 +6,104 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     handleDetection(sendResponse);
     return true; // Keep channel open for async response
   }
+
+  if (request.type === 'SAVED_JOB_STATUS') {
+    showSavedIndicator(request.match);
+  }
+
+  if (request.type === 'START_PICKER') {
+    ElementPicker.start(request.field, request.label);
+    sendResponse({ success: true });
+  }
+
+  if (request.type === 'STOP_PICKER') {
+    ElementPicker.stop();
+    sendResponse({ success: true });
+  }
+});
+
+// Ask whether this posting is already saved (the service worker also reports later URL changes)
+chrome.runtime.sendMessage({ type: 'CHECK_SAVED_JOB' }, (response) => {
+  if (chrome.runtime.lastError || !response || !response.success) return;
+  showSavedIndicator(response.match);
 });
 
+/**
+ * Show or remove the small "Saved to Airtable" pill in the page corner
+ * @param {Object|null} match - Saved job info from the service worker, or null
+ */
+function showSavedIndicator(match) {
+  const existing = document.getElementById('job-lead-saved-indicator');
+  if (existing) {
+    existing.remove();
+  }
+
+  if (!match || !document.body) return;
+
+  // Shadow DOM keeps the page's styles out
+  const host = document.createElement('div');
+  host.id = 'job-lead-saved-indicator';
+  const shadow = host.attachShadow({ mode: 'closed' });
+
+  const style = document.createElement('style');
+  style.textContent = `
+    .pill {
+      position: fixed;
+      right: 16px;
+      bottom: 16px;
+      z-index: 2147483647;
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 6px 10px;
+      background: #28a745;
+      color: white;
+      border-radius: 16px;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
+      font: 500 12px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    }
+    a {
+      color: white;
+      text-decoration: underline;
+    }
+    button {
+      border: none;
+      background: none;
+      color: white;
+      cursor: pointer;
+      font-size: 14px;
+      line-height: 1;
+      padding: 0;
+    }
+  `;
+
+  const pill = document.createElement('div');
+  pill.className = 'pill';
+
+  const label = document.createElement('span');
+  label.textContent = match.source === 'history' ? '✓ Saved to Airtable' : '✓ Already in Airtable';
+  pill.appendChild(label);
+
+  if (match.recordUrl) {
+    const link = document.createElement('a');
+    link.href = match.recordUrl;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = 'Open';
+    pill.appendChild(link);
+  }
+
+  const close = document.createElement('button');
+  close.textContent = '×';
+  close.title = 'Hide';
+  close.addEventListener('click', () => host.remove());
+  pill.appendChild(close);
+
+  shadow.appendChild(style);
+  shadow.appendChild(pill);
+  document.body.appendChild(host);
+}
+
 /**
  * Handle detection request from popup
  */
@@ -34,10 +130,16 @@ function handleDetection(sendResponse) {
 /**
  * Perform the actual detection
  */
-function performDetection(sendResponse) {
+async function performDetection(sendResponse) {
   try {
+    // Rules the user wrote for this site; detection still works if they can't be read
+    const rules = await ExtractionRules.getForUrl(window.location.href).catch(error => {
+      console.warn('Could not load extraction rules:', error);
+      return [];
+    });
+
     // Run detection
-    const detected = JobDetector.detect();
+    const detected = JobDetector.detect({ rules });
 
     // Send back results
     sendResponse({
@@ -1,23 +1,66 @@
 // Smart job data detection engine with multi-layer approach
 
 const JobDetector = {
+  /**
+   * Employment types offered in the form, with the words that identify them
+   * (also matches schema.org values such as FULL_TIME and CONTRACTOR)
+   */
+  EMPLOYMENT_TYPES: [
+    { label: 'Full-time', pattern: /\bfull[-_ ]?time\b/i },
+    { label: 'Part-time', pattern: /\bpart[-_ ]?time\b/i },
+    { label: 'Contract', pattern: /\b(contract|contractor|freelance)\b/i },
+    { label: 'Temporary', pattern: /\b(temporary|temp|seasonal)\b/i },
+    { label: 'Internship', pattern: /\b(intern|internship|working student)\b/i }
+  ],
+
+  /**
+   * Workplace types offered in the form ("Hybrid" first: hybrid badges often mention remote days)
+   */
+  WORKPLACE_TYPES: [
+    { label: 'Hybrid', pattern: /\bhybrid\b/i },
+    { label: 'Remote', pattern: /\b(remote(ly)?|telecommute|work from home|wfh)\b/i },
+    { label: 'On-site', pattern: /\b(on[- ]?site|in[- ]office|in[- ]person|office[- ]based)\b/i }
+  ],
+
+  /**
+   * Confidence and source label for each structured data format
+   */
+  STRUCTURED_DATA_FORMATS: {
+    'JSON-LD': { confidence: 95, source: 'JSON-LD Schema' },
+    'Microdata': { confidence: 90, source: 'Microdata' },
+    'RDFa': { confidence: 90, source: 'RDFa' }
+  },
+
   /**
    * Main detection function that uses all layers
+   * @param {Object} [options] - {rules: the page's extraction rules, from ExtractionRules.getForUrl}
    * @returns {Object} Detected job data with confidence scores
    */
-  detect() {
+  detect(options = {}) {
     const results = {
       company: { value: '', confidence: 0, source: '' },
       jobTitle: { value: '', confidence: 0, source: '' },
       location: { value: '', confidence: 0, source: '' },
-      description: { value: '', confidence: 0, source: '' }
+      description: { value: '', confidence: 0, source: '' },
+      employmentType: { value: '', confidence: 0, source: '' },
+      workplaceType: { value: '', confidence: 0, source: '' },
+      // Dates are YYYY-MM-DD (see PostingDates)
+      datePosted: { value: '', confidence: 0, source: '' },
+      validThrough: { value: '', confidence: 0, source: '' },
+      // Compensation values are {min, max, currency, period} objects (see Compensation)
+      compensation: { value: null, confidence: 0, source: '' }
     };
 
+    // User-defined extraction rules come first, at the confidence set for each rule
+    this.applyExtractedFields(results, ExtractionRules.apply(options.rules || [], document), 'Custom Rule');
+
     // Layer 1: Structured Data (highest confidence)
-    this.detectFromStructuredData(results);
+    const structuredData = StructuredData.findJobPosting(document);
+    this.detectFromStructuredData(results, structuredData);
 
-    // Layer 2: Semantic HTML (high confidence)
-    this.detectFromSemanticHTML(results);
+    // Layer 2: Site adapters and semantic HTML (high confidence)
+    const site = SiteAdapters.detect(document, window.location.href);
+    this.detectFromSemanticHTML(results, site);
 
     // Layer 3: Text Analysis (medium confidence)
     this.detectFromTextAnalysis(results);
@@ -29,43 +72,101 @@ const JobDetector = {
       company: results.company.value,
       jobTitle: results.jobTitle.value,
       location: results.location.value,
+      locations: this.splitLocations(results.location.value),
       description: results.description.value,
+      compensation: results.compensation.value,
+      employmentType: results.employmentType.value,
+      workplaceType: results.workplaceType.value,
+      datePosted: results.datePosted.value,
+      validThrough: results.validThrough.value,
       confidence: {
         company: results.company.confidence,
         jobTitle: results.jobTitle.confidence,
         location: results.location.confidence,
-        description: results.description.confidence
+        description: results.description.confidence,
+        compensation: results.compensation.confidence,
+        employmentType: results.employmentType.confidence,
+        workplaceType: results.workplaceType.confidence,
+        datePosted: results.datePosted.confidence,
+        validThrough: results.validThrough.confidence
       },
       sources: {
         company: results.company.source,
         jobTitle: results.jobTitle.source,
         location: results.location.source,
-        description: results.description.source
-      }
+        description: results.description.source,
+        compensation: results.compensation.source,
+        employmentType: results.employmentType.source,
+        workplaceType: results.workplaceType.source,
+        datePosted: results.datePosted.source,
+        validThrough: results.validThrough.source
+      },
+      // Which structured data block the posting was read from, e.g. {format: 'JSON-LD', block: 2, blockCount: 3}
+      structuredData: structuredData && {
+        format: structuredData.format,
+        block: structuredData.block,
+        blockCount: structuredData.blockCount,
+        repaired: structuredData.repaired
+      },
+      // Site adapter that matched the page, e.g. {id: 'greenhouse', matchedBy: 'host'}
+      siteAdapter: site && { id: site.adapter.id, matchedBy: site.matchedBy }
     };
   },
 
   /**
-   * Layer 1: Detect from structured data (JSON-LD, OpenGraph)
+   * Layer 1: Detect from structured data (JSON-LD, Microdata, RDFa, OpenGraph)
+   * @param {Object} results - Detection results
+   * @param {Object|null} structuredData - JobPosting found by StructuredData.findJobPosting
    */
-  detectFromStructuredData(results) {
-    // Try JSON-LD schema
-    const jsonLdData = this.findJobPostingSchema();
-    if (jsonLdData) {
-      if (jsonLdData.hiringOrganization && jsonLdData.hiringOrganization.name) {
-        this.updateField(results, 'company', jsonLdData.hiringOrganization.name, 95, 'JSON-LD Schema');
+  detectFromStructuredData(results, structuredData) {
+    // Try the JobPosting schema (all formats are read into the same JSON-LD-like shape)
+    const jobPosting = structuredData ? structuredData.item : null;
+    if (jobPosting) {
+      const { confidence, source } = this.STRUCTURED_DATA_FORMATS[structuredData.format];
+
+      const organization = [].concat(jobPosting.hiringOrganization || [])[0];
+      const organizationName = typeof organization === 'string' ? organization : organization && organization.name;
+      if (organizationName) {
+        this.updateField(results, 'company', organizationName, confidence, source);
       }
-      if (jsonLdData.title) {
-        this.updateField(results, 'jobTitle', jsonLdData.title, 95, 'JSON-LD Schema');
+      if (jobPosting.title) {
+        this.updateField(results, 'jobTitle', jobPosting.title, confidence, source);
       }
-      if (jsonLdData.jobLocation) {
-        const location = this.parseJobLocation(jsonLdData.jobLocation);
-        if (location) {
-          this.updateField(results, 'location', location, 95, 'JSON-LD Schema');
+      if (jobPosting.jobLocation) {
+        const locations = this.parseJobLocations(jobPosting.jobLocation);
+        if (locations.length > 0) {
+          this.updateField(results, 'location', locations.join('; '), confidence, source);
         }
       }
-      if (jsonLdData.description) {
-        this.updateField(results, 'description', jsonLdData.description, 95, 'JSON-LD Schema');
+      if (jobPosting.description) {
+        this.updateField(results, 'description', jobPosting.description, confidence, source);
+      }
+      if (jobPosting.baseSalary) {
+        this.updateCompensation(results, Compensation.fromMonetaryAmount(jobPosting.baseSalary), confidence, source);
+      }
+      if (jobPosting.estimatedSalary) {
+        // An estimate by the job board rather than the employer's stated pay
+        this.updateCompensation(results, Compensation.fromMonetaryAmount(jobPosting.estimatedSalary), confidence - 10, `${structuredData.format} Estimate`);
+      }
+      if (jobPosting.employmentType) {
+        const employmentType = this.classifyType([].concat(jobPosting.employmentType).join(' '), this.EMPLOYMENT_TYPES);
+        this.updateField(results, 'employmentType', employmentType, confidence, source);
+      }
+      if (/TELECOMMUTE/i.test([].concat(jobPosting.jobLocationType || []).join(' '))) {
+        this.updateField(results, 'workplaceType', 'Remote', confidence, source);
+      } else if (jobPosting.applicantLocationRequirements) {
+        // Only used by remote postings, to say where applicants may live
+        this.updateField(results, 'workplaceType', 'Remote', confidence - 5, source);
+      }
+      if (jobPosting.datePosted) {
+        this.updateField(results, 'datePosted', PostingDates.toDateString(jobPosting.datePosted), confidence, source);
+      }
+      if (jobPosting.validThrough) {
+        this.updateField(results, 'validThrough', PostingDates.toDateString(jobPosting.validThrough), confidence, source);
+      }
+      if (results.workplaceType.value === 'Remote' && !results.location.value) {
+        const regions = this.parseLocationRequirements(jobPosting.applicantLocationRequirements);
+        this.updateField(results, 'location', regions ? `Remote (${regions})` : 'Remote', confidence - 5, source);
       }
     }
 
@@ -83,53 +184,14 @@ const JobDetector = {
   },
 
   /**
-   * Layer 2: Detect from semantic HTML
+   * Layer 2: Detect from site adapters and semantic HTML
+   * @param {Object} results - Detection results
+   * @param {Object|null} site - Matching adapter and its fields, from SiteAdapters.detect
    */
-  detectFromSemanticHTML(results) {
-    // Known job site patterns
-    const patterns = {
-      // LinkedIn
-      linkedin: {
-        company: '.topcard__org-name-link, .top-card-layout__card .topcard__flavor--black-link',
-        jobTitle: '.topcard__title, .top-card-layout__title',
-        location: '.topcard__flavor--bullet, .top-card-layout__second-subline',
-        description: '.show-more-less-html__markup, .description__text'
-      },
-      // Indeed
-      indeed: {
-        company: '[data-company-name], .jobsearch-InlineCompanyRating-companyHeader, .icl-u-lg-mr--sm',
-        jobTitle: '.jobsearch-JobInfoHeader-title, h1.icl-u-xs-mb--xs',
-        location: '[data-testid="job-location"], .jobsearch-JobInfoHeader-subtitle',
-        description: '#jobDescriptionText, .jobsearch-jobDescriptionText'
-      },
-      // Glassdoor
-      glassdoor: {
-        company: '[data-test="employer-name"], .EmployerProfile_employerName__QvlPJ',
-        jobTitle: '[data-test="job-title"], .JobDetails_jobTitle__cNuIa',
-        location: '[data-test="location"], .JobDetails_location__MbnUM',
-        description: '[data-test="job-description"], .JobDetails_jobDescription__uW_fK'
-      }
-    };
-
-    // Try site-specific patterns
-    const hostname = window.location.hostname.toLowerCase();
-    let sitePattern = null;
-
-    if (hostname.includes('linkedin.com')) {
-      sitePattern = patterns.linkedin;
-    } else if (hostname.includes('indeed.com')) {
-      sitePattern = patterns.indeed;
-    } else if (hostname.includes('glassdoor.com')) {
-      sitePattern = patterns.glassdoor;
-    }
-
-    if (sitePattern) {
-      this.trySelectors(results, 'company', sitePattern.company, 80, 'Known Site Pattern');
-      this.trySelectors(results, 'jobTitle', sitePattern.jobTitle, 80, 'Known Site Pattern');
-      this.trySelectors(results, 'location', sitePattern.location, 80, 'Known Site Pattern');
-      if (sitePattern.description) {
-        this.trySelectors(results, 'description', sitePattern.description, 80, 'Known Site Pattern');
-      }
+  detectFromSemanticHTML(results, site) {
+    // Known job boards and applicant tracking systems
+    if (site) {
+      this.applyExtractedFields(results, site.fields, `${site.adapter.name} Adapter`);
     }
 
     // Try common generic selectors
@@ -137,6 +199,10 @@ const JobDetector = {
     this.trySelectors(results, 'jobTitle', '.job-title, [data-job-title], .position-title, h1[class*="title"]', 75, 'Semantic HTML');
     this.trySelectors(results, 'location', '.location, [data-location], .job-location, .work-location', 75, 'Semantic HTML');
     this.trySelectors(results, 'description', '.job-description, [data-description], .description, .job-details, [class*="description"]', 70, 'Semantic HTML');
+    this.trySalarySelectors(results, '.salary, [data-salary], .compensation, .pay-range, [class*="salary"], [class*="compensation"]', 70, 'Semantic HTML');
+    this.tryDateSelectors(results, 'datePosted', '.posted-date, .job-posted-date, .date-posted, [class*="posted"], [data-posted]', 70, 'Semantic HTML');
+    this.tryDateSelectors(results, 'validThrough', '.closing-date, .application-deadline, [class*="deadline"], [class*="closing-date"]', 70, 'Semantic HTML');
+    this.tryBadges(results, '[class*="employment-type"], [class*="job-type"], [class*="workplace-type"], [class*="work-type"], [data-employment-type], [data-workplace-type]', 70, 'Semantic HTML');
 
     // Try ARIA labels
     this.tryAriaLabels(results);
@@ -173,6 +239,52 @@ const JobDetector = {
         this.updateField(results, 'location', location, 60, 'Text Analysis');
       }
     }
+
+    // Detect employment and workplace type. Phrases are only searched in the description:
+    // navigation and search filters on job boards mention "Remote" and "Full-time" everywhere.
+    const scopedText = results.description.value || '';
+
+    if (results.employmentType.confidence < 60) {
+      const employmentType = this.findEmploymentType(bodyText, scopedText);
+      if (employmentType) {
+        this.updateField(results, 'employmentType', employmentType, 60, 'Text Analysis');
+      }
+    }
+
+    if (results.workplaceType.confidence < 60) {
+      const workplaceType = this.findWorkplaceType(bodyText, scopedText);
+      if (workplaceType) {
+        this.updateField(results, 'workplaceType', workplaceType, 60, 'Text Analysis');
+      }
+    }
+
+    // A remote job without a place still needs a location
+    if (!results.location.value && results.workplaceType.value === 'Remote') {
+      this.updateField(results, 'location', 'Remote', 50, 'Workplace Type');
+    }
+
+    // Detect posted and closing dates ("Posted 3 days ago" is more reliable than a bare "3 days ago")
+    if (results.datePosted.confidence < 60) {
+      const posted = PostingDates.findPosted(bodyText);
+      if (posted) {
+        this.updateField(results, 'datePosted', posted.date, posted.labeled ? 60 : 50, 'Text Analysis');
+      }
+    }
+
+    if (results.validThrough.confidence < 60) {
+      const closing = PostingDates.findClosing(bodyText);
+      if (closing) {
+        this.updateField(results, 'validThrough', closing, 60, 'Text Analysis');
+      }
+    }
+
+    // Detect compensation (amounts right after "salary", "pay" etc. are more likely to be the salary)
+    if (results.compensation.confidence < 60) {
+      const found = Compensation.findInText(bodyText);
+      if (found) {
+        this.updateCompensation(results, found.compensation, found.inContext ? 60 : 50, 'Text Analysis');
+      }
+    }
   },
 
   /**
@@ -205,12 +317,14 @@ const JobDetector = {
   },
 
   /**
-   * Helper: Update field if new confidence is higher
+   * Helper: Update field if new confidence is higher.
+   * Descriptions (HTML or text) become Markdown; other fields are collapsed to a single line.
    */
   updateField(results, field, value, confidence, source) {
-    if (!value || value.trim().length === 0) return;
+    if (!value || typeof value !== 'string' || value.trim().length === 0) return;
 
-    const cleanValue = value.trim().replace(/\s+/g, ' ');
+    const cleanValue = field === 'description' ? Markdown.fromHtml(value) : value.trim().replace(/\s+/g, ' ');
+    if (!cleanValue) return;
 
     if (confidence > results[field].confidence) {
       results[field] = {
@@ -222,53 +336,238 @@ const JobDetector = {
   },
 
   /**
-   * Find JobPosting JSON-LD schema
+   * Apply fields found by a site adapter or extraction rule: each entry has a selector to read or an extracted value
+   * @param {Object} results
+   * @param {Array} entries - [{field, selector} or {field, value}, each with confidence]
+   * @param {string} source
+   */
+  applyExtractedFields(results, entries, source) {
+    entries.forEach(({ field, selector, value, confidence }) => {
+      if (selector) {
+        this.applySelector(results, field, selector, confidence, source);
+      } else {
+        this.applyValue(results, field, value, confidence, source);
+      }
+    });
+  },
+
+  /**
+   * Read a field from the page with the helper that understands its values
+   */
+  applySelector(results, field, selector, confidence, source) {
+    if (field === 'compensation') {
+      this.trySalarySelectors(results, selector, confidence, source);
+    } else if (field === 'badges' || field === 'employmentType' || field === 'workplaceType') {
+      this.tryBadges(results, selector, confidence, source);
+    } else if (field === 'datePosted' || field === 'validThrough') {
+      this.tryDateSelectors(results, field, selector, confidence, source);
+    } else if (results[field]) {
+      this.trySelectors(results, field, selector, confidence, source);
+    }
+  },
+
+  /**
+   * Use an extracted text value for a field, parsing salaries, types and dates like the page layers do
+   */
+  applyValue(results, field, value, confidence, source) {
+    const text = Array.isArray(value) ? value.join('; ') : String(value || '');
+    if (!text.trim()) return;
+
+    if (field === 'compensation') {
+      this.updateCompensation(results, Compensation.parseText(text, { requireCurrency: false }), confidence, source);
+    } else if (field === 'badges' || field === 'employmentType' || field === 'workplaceType') {
+      if (field !== 'workplaceType') {
+        this.updateField(results, 'employmentType', this.classifyType(text, this.EMPLOYMENT_TYPES), confidence, source);
+      }
+      if (field !== 'employmentType') {
+        this.updateField(results, 'workplaceType', this.classifyType(text, this.WORKPLACE_TYPES), confidence, source);
+      }
+    } else if (field === 'datePosted' || field === 'validThrough') {
+      this.updateField(results, field, PostingDates.toDateString(text) || PostingDates.parse(text), confidence, source);
+    } else if (results[field]) {
+      this.updateField(results, field, text, confidence, source);
+    }
+  },
+
+  /**
+   * Helper: Update compensation if new confidence is higher
+   */
+  updateCompensation(results, compensation, confidence, source) {
+    if (!compensation) return;
+
+    if (confidence > results.compensation.confidence) {
+      results.compensation = {
+        value: compensation,
+        confidence: confidence,
+        source: source
+      };
+    }
+  },
+
+  /**
+   * Try multiple selectors for the salary, parsing the element text
+   */
+  trySalarySelectors(results, selectors, confidence, source) {
+    if (results.compensation.confidence >= confidence) return;
+
+    const selectorList = selectors.split(',').map(s => s.trim());
+
+    for (const selector of selectorList) {
+      try {
+        for (const element of document.querySelectorAll(selector)) {
+          const compensation = Compensation.parseText(element.textContent);
+          if (compensation) {
+            this.updateCompensation(results, compensation, confidence, source);
+            return;
+          }
+        }
+      } catch (e) {
+        continue;
+      }
+    }
+  },
+
+  /**
+   * Try short badge-like elements (e.g. "Full-time", "Hybrid") for employment and workplace type
    */
-  findJobPostingSchema() {
-    const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+  tryBadges(results, selectors, confidence, source) {
+    if (results.employmentType.confidence >= confidence && results.workplaceType.confidence >= confidence) return;
 
-    for (const script of scripts) {
+    const selectorList = selectors.split(',').map(s => s.trim());
+
+    for (const selector of selectorList) {
       try {
-        const data = JSON.parse(script.textContent);
+        for (const element of document.querySelectorAll(selector)) {
+          const text = element.textContent.trim();
+          if (!text || text.length > 60) continue;
 
-        // Handle both single object and array formats
-        const items = Array.isArray(data) ? data : [data];
+          this.updateField(results, 'employmentType', this.classifyType(text, this.EMPLOYMENT_TYPES), confidence, source);
+          this.updateField(results, 'workplaceType', this.classifyType(text, this.WORKPLACE_TYPES), confidence, source);
+        }
+      } catch (e) {
+        continue;
+      }
+    }
+  },
+
+  /**
+   * Try multiple selectors for a date, preferring machine-readable datetime/content attributes
+   * over text such as "Posted 3 days ago"
+   */
+  tryDateSelectors(results, field, selectors, confidence, source) {
+    if (results[field].confidence >= confidence) return;
 
-        for (const item of items) {
-          if (item['@type'] === 'JobPosting') {
-            return item;
+    const selectorList = selectors.split(',').map(s => s.trim());
+
+    for (const selector of selectorList) {
+      try {
+        for (const element of document.querySelectorAll(selector)) {
+          const attribute = element.getAttribute('datetime') || element.getAttribute('content');
+          const text = element.textContent.trim();
+          let date = attribute ? PostingDates.toDateString(attribute) : null;
+
+          if (!date && field === 'datePosted') {
+            const posted = PostingDates.findPosted(text);
+            date = posted ? posted.date : null;
+          } else if (!date) {
+            date = PostingDates.findClosing(text);
+          }
+
+          // A short element may hold just the date ("3 days ago", "May 30, 2024")
+          if (!date && text.length <= 40) {
+            date = PostingDates.parse(text);
+          }
+
+          if (date) {
+            this.updateField(results, field, date, confidence, source);
+            return;
           }
         }
       } catch (e) {
         continue;
       }
     }
+  },
 
-    return null;
+  /**
+   * Parse all job locations (jobLocation may be a single Place, an array of them or text)
+   * @returns {string[]} Deduplicated locations
+   */
+  parseJobLocations(jobLocation) {
+    const locations = [].concat(jobLocation)
+      .map(place => this.parseJobLocation(place))
+      .filter(Boolean);
+
+    return this.dedupeLocations(locations);
   },
 
   /**
    * Parse job location from various formats
    */
   parseJobLocation(jobLocation) {
+    if (!jobLocation) return null;
+
     if (typeof jobLocation === 'string') {
-      return jobLocation;
+      return jobLocation.trim() || null;
     }
 
     if (jobLocation.address) {
       const addr = jobLocation.address;
-      if (typeof addr === 'string') return addr;
+      if (typeof addr === 'string') return addr.trim() || null;
+
+      // Format: City, Region, Country (country may be a Country object)
+      const country = addr.addressCountry && typeof addr.addressCountry === 'object'
+        ? addr.addressCountry.name
+        : addr.addressCountry;
 
-      // Format: City, State
       const parts = [];
-      if (addr.addressLocality) parts.push(addr.addressLocality);
-      if (addr.addressRegion) parts.push(addr.addressRegion);
+      [addr.addressLocality, addr.addressRegion, country].forEach(part => {
+        const text = typeof part === 'string' ? part.trim() : '';
+        // Skip repeats such as "Singapore, Singapore"
+        if (text && !parts.some(existing => existing.toLowerCase() === text.toLowerCase())) {
+          parts.push(text);
+        }
+      });
       if (parts.length > 0) return parts.join(', ');
-
-      if (addr.addressCountry) return addr.addressCountry;
     }
 
-    return null;
+    return typeof jobLocation.name === 'string' && jobLocation.name.trim() ? jobLocation.name.trim() : null;
+  },
+
+  /**
+   * Split a location value listing several places ("Boston, MA; London, UK" or "Boston | London")
+   * @returns {string[]}
+   */
+  splitLocations(value) {
+    if (!value) return [];
+    return this.dedupeLocations(value.split(/\s*[;|]\s*/));
+  },
+
+  /**
+   * Remove empty and repeated locations (ignoring case and spacing)
+   */
+  dedupeLocations(locations) {
+    const seen = new Set();
+
+    return locations.filter(location => {
+      const key = (location || '').toLowerCase().replace(/[\s,]+/g, ' ').trim();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  },
+
+  /**
+   * Parse applicantLocationRequirements (Country/State objects or text) into a list of names
+   */
+  parseLocationRequirements(requirements) {
+    if (!requirements) return null;
+
+    const names = [].concat(requirements)
+      .map(item => (typeof item === 'string' ? item : item && item.name))
+      .filter(name => typeof name === 'string' && name.trim());
+
+    return names.length > 0 ? names.join(', ') : null;
   },
 
   /**
@@ -302,7 +601,9 @@ const JobDetector = {
       try {
         const element = document.querySelector(selector);
         if (element && element.textContent.trim()) {
-          this.updateField(results, field, element.textContent.trim(), confidence, source);
+          // Descriptions keep their markup so headings and lists survive the Markdown conversion
+          const value = field === 'description' ? element.innerHTML : element.textContent.trim();
+          this.updateField(results, field, value, confidence, source);
           if (results[field].confidence >= confidence) return;
         }
       } catch (e) {
@@ -417,19 +718,14 @@ const JobDetector = {
       return `${match[1]}, ${match[2]}`;
     }
 
-    // Pattern 2: Remote work
-    if (/\b(remote|work from home|wfh)\b/i.test(text)) {
-      return 'Remote';
-    }
-
-    // Pattern 3: "Location:" label
+    // Pattern 2: "Location:" label
     const locationPattern = /location:?\s*([A-Z][a-zA-Z\s,.-]+(?:,\s*[A-Z]{2})?)/i;
     match = locationPattern.exec(text);
     if (match && match[1]) {
       return match[1].trim();
     }
 
-    // Pattern 4: US States (full names)
+    // Pattern 3: US States (full names)
     const states = ['California', 'New York', 'Texas', 'Florida', 'Illinois', 'Pennsylvania',
                    'Ohio', 'Georgia', 'North Carolina', 'Michigan', 'Massachusetts', 'Washington'];
     for (const state of states) {
@@ -442,6 +738,68 @@ const JobDetector = {
     return null;
   },
 
+  /**
+   * Find employment type from a label ("Employment type: Full-time") or a phrase in the description
+   */
+  findEmploymentType(text, scopedText) {
+    const labelPattern = /\b(?:employment|job|contract|position)\s+type\s*[:\n]\s*([^\n]{2,40})/i;
+    const match = labelPattern.exec(text);
+    const labeled = match && this.classifyType(match[1], this.EMPLOYMENT_TYPES);
+    if (labeled) return labeled;
+
+    const phrasePattern = /\b(?:full[- ]time|part[- ]time|contract|temporary|internship)\s+(?:role|position|job|opportunity|contract|employment)\b/gi;
+    return this.findPhrase(scopedText, phrasePattern, this.EMPLOYMENT_TYPES);
+  },
+
+  /**
+   * Find workplace type from a label ("Workplace type: Hybrid", "Location: Remote")
+   * or a phrase in the description that isn't negated ("no remote work")
+   */
+  findWorkplaceType(text, scopedText) {
+    const labelPattern = /\b(?:workplace(?:\s+type)?|work\s+(?:type|model|arrangement|setting|location)|location(?:\s+type)?|remote\s+status)\s*[:\n]\s*([^\n]{2,60})/gi;
+    for (const match of text.matchAll(labelPattern)) {
+      // "Location: Not remote" says nothing about the workplace type
+      const labeled = this.classifyType(match[1], this.WORKPLACE_TYPES, true);
+      if (labeled) return labeled;
+    }
+
+    const phrasePattern = /\b(?:fully remote|100% remote|remote[- ](?:first|friendly|position|role|job|opportunity)|work(?:ing)? (?:from home|remotely)|hybrid(?: work)? (?:role|position|model|schedule|arrangement)|(?:on[- ]?site|in[- ]office|in[- ]person) (?:role|position|job))\b/gi;
+    return this.findPhrase(scopedText, phrasePattern, this.WORKPLACE_TYPES);
+  },
+
+  /**
+   * Classify the first phrase match that isn't preceded by a negation
+   */
+  findPhrase(text, pattern, types) {
+    for (const match of text.matchAll(pattern)) {
+      if (this.isNegated(text.slice(Math.max(0, match.index - 25), match.index))) continue;
+
+      const type = this.classifyType(match[0], types);
+      if (type) return type;
+    }
+
+    return null;
+  },
+
+  /**
+   * Check whether text ends in a negation that carries over to what follows ("no", "not", "non-")
+   */
+  isNegated(text) {
+    return /\b(no|not|non|never|without|isn't)\b[^.!?]*$/i.test(text);
+  },
+
+  /**
+   * Map text to the label of the first matching type
+   * @param {boolean} skipNegated - Ignore a type whose match is preceded by a negation
+   */
+  classifyType(text, types, skipNegated = false) {
+    const type = types.find(candidate => {
+      const match = candidate.pattern.exec(text);
+      return match && !(skipNegated && this.isNegated(text.slice(0, match.index)));
+    });
+    return type ? type.label : null;
+  },
+
   /**
    * Clean company name
    */
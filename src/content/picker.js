@@ -0,0 +1,283 @@
+// Click-to-capture element picker: highlights elements under the pointer and reports the clicked
+// element's value for a form field, with a CSS selector that can be saved as an extraction rule
+
+const ElementPicker = {
+  HOST_ID: 'job-lead-element-picker',
+
+  /**
+   * Attributes sites use for stable hooks (tests, analytics, structured data), preferred in selectors
+   */
+  STABLE_ATTRIBUTES: ['data-testid', 'data-test', 'data-qa', 'data-automation-id', 'data-ui', 'data-field', 'itemprop'],
+
+  MAX_DEPTH: 6,
+
+  _active: null,
+
+  /**
+   * Show the overlay and wait for a click
+   * @param {string} field - Field being picked (JobDetector result key)
+   * @param {string} label - Field name shown in the banner
+   */
+  start(field, label) {
+    this.stop();
+
+    const host = document.createElement('div');
+    host.id = this.HOST_ID;
+    // Shadow DOM keeps the page's styles out
+    const shadow = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = `
+      .box {
+        position: fixed;
+        z-index: 2147483646;
+        pointer-events: none;
+        background: rgba(74, 144, 226, 0.15);
+        outline: 2px solid #4A90E2;
+        border-radius: 2px;
+        display: none;
+      }
+      .banner {
+        position: fixed;
+        top: 12px;
+        left: 50%;
+        transform: translateX(-50%);
+        z-index: 2147483647;
+        pointer-events: none;
+        padding: 8px 14px;
+        background: #333;
+        color: white;
+        border-radius: 16px;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+        font: 500 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      }
+    `;
+
+    const box = document.createElement('div');
+    box.className = 'box';
+
+    const banner = document.createElement('div');
+    banner.className = 'banner';
+    banner.textContent = `Click the ${label || field} on the page · Esc to cancel`;
+
+    shadow.appendChild(style);
+    shadow.appendChild(box);
+    shadow.appendChild(banner);
+    document.documentElement.appendChild(host);
+
+    const onMove = (e) => {
+      const element = this._target(e);
+      if (!element) return;
+
+      const rect = element.getBoundingClientRect();
+      Object.assign(box.style, {
+        display: 'block',
+        top: `${rect.top}px`,
+        left: `${rect.left}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`
+      });
+    };
+
+    // Keep the page from reacting (links, buttons, its own click handlers)
+    const onBlock = (e) => {
+      if (!this._target(e)) return;
+      e.preventDefault();
+      e.stopPropagation();
+    };
+
+    const onClick = (e) => {
+      const element = this._target(e);
+      if (!element) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      this.stop();
+      this._report({ type: 'ELEMENT_PICKED', field, value: this.readValue(element, field), selector: this.getSelector(element) });
+    };
+
+    const onKey = (e) => {
+      if (e.key !== 'Escape') return;
+      e.preventDefault();
+      this.stop();
+      this._report({ type: 'ELEMENT_PICK_CANCELLED', field });
+    };
+
+    document.addEventListener('mousemove', onMove, true);
+    document.addEventListener('mousedown', onBlock, true);
+    document.addEventListener('mouseup', onBlock, true);
+    document.addEventListener('click', onClick, true);
+    document.addEventListener('keydown', onKey, true);
+
+    this._active = { host, listeners: { mousemove: onMove, mousedown: onBlock, mouseup: onBlock, click: onClick, keydown: onKey } };
+  },
+
+  /**
+   * Remove the overlay
+   */
+  stop() {
+    if (!this._active) return;
+
+    Object.entries(this._active.listeners).forEach(([type, listener]) => {
+      document.removeEventListener(type, listener, true);
+    });
+    this._active.host.remove();
+    this._active = null;
+  },
+
+  /**
+   * Read an element's value the way the form needs it: Markdown for descriptions,
+   * a parsed salary for compensation, YYYY-MM-DD for dates, a form option for the type selects, text otherwise
+   * @param {Element} element
+   * @param {string} field
+   * @returns {*} String ('' if the element has no usable value), or a {min, max, currency, period} object
+   *   for compensation (null if none found)
+   */
+  readValue(element, field) {
+    const text = (element.innerText || element.textContent || '').replace(/\s+/g, ' ').trim();
+
+    if (field === 'description') {
+      return Markdown.fromHtml(element.innerHTML);
+    }
+
+    if (field === 'compensation') {
+      // The picked element may not name a currency ("Base: 120k"), but a bare "401k" isn't a salary
+      return Compensation.parseText(text, { requireCurrency: false, requireContext: true });
+    }
+
+    if (field === 'employmentType') {
+      return JobDetector.classifyType(text, JobDetector.EMPLOYMENT_TYPES, true) || '';
+    }
+
+    if (field === 'workplaceType') {
+      return JobDetector.classifyType(text, JobDetector.WORKPLACE_TYPES, true) || '';
+    }
+
+    if (field === 'datePosted' || field === 'validThrough') {
+      const attribute = element.getAttribute('datetime') || element.getAttribute('content');
+      const posted = field === 'datePosted' ? PostingDates.findPosted(text) : null;
+      return (attribute && PostingDates.toDateString(attribute)) ||
+        (posted && posted.date) ||
+        (field === 'validThrough' && PostingDates.findClosing(text)) ||
+        PostingDates.parse(text) || '';
+    }
+
+    return text;
+  },
+
+  /**
+   * Build a short selector that matches only this element: an ID or stable attribute when there is one,
+   * else a path of tag names, readable classes and :nth-of-type from the nearest anchor
+   * @param {Element} element
+   * @returns {string}
+   */
+  getSelector(element) {
+    const unique = selector => {
+      try {
+        return document.querySelectorAll(selector).length === 1;
+      } catch (e) {
+        return false;
+      }
+    };
+
+    const parts = [];
+    let current = element;
+
+    while (current && current !== document.body && current !== document.documentElement && parts.length < this.MAX_DEPTH) {
+      const anchor = this._anchor(current);
+      if (anchor && unique([anchor].concat(parts).join(' > '))) {
+        return [anchor].concat(parts).join(' > ');
+      }
+
+      parts.unshift(this._step(current));
+      if (unique(parts.join(' > '))) {
+        return parts.join(' > ');
+      }
+
+      current = current.parentElement;
+    }
+
+    return parts.join(' > ');
+  },
+
+  /**
+   * Selector for an element on its own: #id or [stable-attribute="value"] (null if it has neither)
+   * @private
+   */
+  _anchor(element) {
+    // Generated IDs ("ember123", "react-select-4-input", long hashes) change between visits
+    if (element.id && !/\d{3,}|^[a-f0-9-]{16,}$|:/i.test(element.id)) {
+      return `#${CSS.escape(element.id)}`;
+    }
+
+    for (const attribute of this.STABLE_ATTRIBUTES) {
+      const value = element.getAttribute(attribute);
+      if (value) {
+        return `${element.tagName.toLowerCase()}[${attribute}="${CSS.escape(value)}"]`;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * One path step: tag, up to two readable classes, and its position among siblings of the same tag
+   * @private
+   */
+  _step(element) {
+    const tag = element.tagName.toLowerCase();
+
+    // Hashed class names from CSS-in-JS ("css-1x2y3z", "sc-bdVaJa", "JobDetails_title__cNuIa") don't last
+    const classes = Array.from(element.classList)
+      .filter(name => !/\d{2,}|^css-|^sc-|__[A-Za-z0-9]{5}$/.test(name))
+      .slice(0, 2)
+      .map(name => `.${CSS.escape(name)}`)
+      .join('');
+
+    const siblings = element.parentElement
+      ? Array.from(element.parentElement.children).filter(child => child.tagName === element.tagName)
+      : [];
+    const position = siblings.length > 1 ? `:nth-of-type(${siblings.indexOf(element) + 1})` : '';
+
+    return tag + classes + position;
+  },
+
+  /**
+   * Element under the pointer, unless it is the overlay itself
+   * @private
+   */
+  _target(e) {
+    const element = e.target;
+    if (!element || element.nodeType !== 1 || element.id === this.HOST_ID) return null;
+    return element;
+  },
+
+  /**
+   * Tell the popup or side panel. The pick is also kept in local storage, because the popup
+   * (unlike the side panel) closes when the page is clicked and reads it when it opens again.
+   * @private
+   */
+  _report(message) {
+    const payload = { ...message, url: window.location.href };
+
+    const send = () => {
+      chrome.runtime.sendMessage(payload, () => {
+        // Reading lastError marks it handled when no extension page is listening (the popup closed);
+        // the stored pick covers that case
+        if (chrome.runtime.lastError) return;
+      });
+    };
+
+    // Stored first, so a listening side panel can remove it again once it has the message
+    if (message.type === 'ELEMENT_PICKED') {
+      chrome.storage.local.set({ pendingPick: { ...payload, pickedAt: Date.now() } }, send);
+    } else {
+      send();
+    }
+  }
+};
+
+// Make it available globally for use in other scripts
+if (typeof window !== 'undefined') {
+  window.ElementPicker = ElementPicker;
+}
@@ -0,0 +1,406 @@
+// Site adapter registry: per-site selectors and extractors for job boards and applicant tracking systems.
+// An adapter matches a page by host, URL pattern or page fingerprint (for boards embedded on company
+// domains) and yields fields with confidences; JobDetector interprets the values.
+
+const SiteAdapters = {
+  /**
+   * Confidence for applicant tracking systems: their markup is generated from the posting itself, so it
+   * beats OpenGraph tags (85, often shortened titles and descriptions) but not structured data (90+)
+   */
+  ATS_CONFIDENCE: 88,
+
+  /**
+   * Confidence lost when an adapter only matched by fingerprint (an embedded board on a company domain)
+   */
+  FINGERPRINT_PENALTY: 5,
+
+  /**
+   * Registered adapters, checked in order. Each adapter has:
+   * - id, name
+   * - hosts: host names matched with their subdomains
+   * - urlPattern (optional): RegExp tested against the full URL
+   * - fingerprint (optional): selector for markup unique to the site
+   * - confidence: applied to every field unless the field sets its own
+   * - fields: field key → selector string, or {selector, confidence}. Keys are JobDetector fields
+   *   (company, jobTitle, location, description, compensation, employmentType, workplaceType,
+   *   datePosted, validThrough) or "badges" (short labels classified as employment/workplace type)
+   * - extract(doc, url) (optional): returns {field: value} for values selectors can't reach
+   */
+  adapters: [],
+
+  /**
+   * Add an adapter to the registry
+   * @param {Object} adapter - See adapters
+   */
+  register(adapter) {
+    this.adapters = this.adapters.filter(existing => existing.id !== adapter.id).concat([adapter]);
+  },
+
+  /**
+   * Find the adapter for a page: host and URL matches first, then fingerprints
+   * @param {Document} doc
+   * @param {string} url - Page URL
+   * @returns {Object|null} {adapter, matchedBy: 'host'|'url'|'fingerprint'}
+   */
+  find(doc, url) {
+    let hostname = '';
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch {
+      return null;
+    }
+
+    for (const adapter of this.adapters) {
+      if ((adapter.hosts || []).some(host => hostname === host || hostname.endsWith(`.${host}`))) {
+        return { adapter, matchedBy: 'host' };
+      }
+      if (adapter.urlPattern && adapter.urlPattern.test(url)) {
+        return { adapter, matchedBy: 'url' };
+      }
+    }
+
+    for (const adapter of this.adapters) {
+      if (!adapter.fingerprint) continue;
+      try {
+        if (doc.querySelector(adapter.fingerprint)) {
+          return { adapter, matchedBy: 'fingerprint' };
+        }
+      } catch (e) {
+        continue;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Run the matching adapter
+   * @param {Document} doc
+   * @param {string} url - Page URL
+   * @returns {Object|null} {adapter, fields: [{field, selector} or {field, value}, each with confidence]}
+   */
+  detect(doc, url) {
+    const match = this.find(doc, url);
+    if (!match) return null;
+
+    const { adapter, matchedBy } = match;
+    const penalty = matchedBy === 'fingerprint' ? this.FINGERPRINT_PENALTY : 0;
+    const fields = [];
+
+    // Extracted values come first: they handle cases the plain selectors get wrong (e.g. "at Acme")
+    if (typeof adapter.extract === 'function') {
+      let values = {};
+      try {
+        values = adapter.extract(doc, url) || {};
+      } catch (e) {
+        console.warn(`Site adapter ${adapter.id} failed:`, e);
+      }
+
+      Object.entries(values).forEach(([field, value]) => {
+        if (value) fields.push({ field, value, confidence: adapter.confidence - penalty });
+      });
+    }
+
+    Object.entries(adapter.fields || {}).forEach(([field, entry]) => {
+      const selector = typeof entry === 'string' ? entry : entry.selector;
+      const confidence = (typeof entry === 'string' ? adapter.confidence : entry.confidence || adapter.confidence) - penalty;
+      fields.push({ field, selector, confidence });
+    });
+
+    return { adapter, matchedBy, fields };
+  },
+
+  /**
+   * Text of the first element matching a selector
+   * @returns {string}
+   */
+  text(doc, selector) {
+    const element = doc.querySelector(selector);
+    return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+  },
+
+  /**
+   * Markup of every element matching a selector, in order (for descriptions split into sections)
+   * @returns {string}
+   */
+  html(doc, selector) {
+    return Array.from(doc.querySelectorAll(selector)).map(element => element.innerHTML).join('\n');
+  },
+
+  /**
+   * Value next to a label, in definition lists ("<dt>Location</dt><dd>Berlin</dd>") or
+   * heading/value pairs ("<h2>Employment Type</h2><p>Full time</p>")
+   * @param {Document|Element} scope - Where to look
+   * @param {RegExp} label - Matched against the whole label text
+   * @returns {string}
+   */
+  labeledValue(scope, label) {
+    const labels = Array.from(scope.querySelectorAll('dt, th, h2, h3, h4, label, strong, b'));
+
+    for (const element of labels) {
+      const text = element.textContent.replace(/\s+/g, ' ').replace(/:\s*$/, '').trim();
+      if (!label.test(text)) continue;
+
+      const sibling = element.nextElementSibling;
+      if (sibling && sibling.textContent.trim()) {
+        return sibling.textContent.replace(/\s+/g, ' ').trim();
+      }
+    }
+
+    return '';
+  },
+
+  /**
+   * Part of the page title, e.g. the company in "Senior Engineer @ Acme"
+   * @param {Document} doc
+   * @param {RegExp} pattern - Its first group is returned
+   * @returns {string}
+   */
+  titlePart(doc, pattern) {
+    const match = String(doc.title || '').match(pattern);
+    return match ? match[1].trim() : '';
+  }
+};
+
+// Job boards. Their markup changes often, so they stay at the confidence of the original site patterns.
+SiteAdapters.register({
+  id: 'linkedin',
+  name: 'LinkedIn',
+  hosts: ['linkedin.com'],
+  confidence: 80,
+  fields: {
+    company: '.topcard__org-name-link, .top-card-layout__card .topcard__flavor--black-link',
+    jobTitle: '.topcard__title, .top-card-layout__title',
+    location: '.topcard__flavor--bullet, .top-card-layout__second-subline',
+    description: '.show-more-less-html__markup, .description__text',
+    compensation: '.compensation__salary, .salary.compensation__salary, .job-details-jobs-unified-top-card__job-insight',
+    badges: '.job-details-jobs-unified-top-card__job-insight span, .job-details-preferences-and-skills__pill, .description__job-criteria-text',
+    datePosted: '.posted-time-ago__text, .jobs-unified-top-card__posted-date, .job-details-jobs-unified-top-card__primary-description-container .tvm__text'
+  }
+});
+
+SiteAdapters.register({
+  id: 'indeed',
+  name: 'Indeed',
+  hosts: ['indeed.com'],
+  confidence: 80,
+  fields: {
+    company: '[data-company-name], .jobsearch-InlineCompanyRating-companyHeader, .icl-u-lg-mr--sm',
+    jobTitle: '.jobsearch-JobInfoHeader-title, h1.icl-u-xs-mb--xs',
+    location: '[data-testid="job-location"], .jobsearch-JobInfoHeader-subtitle',
+    description: '#jobDescriptionText, .jobsearch-jobDescriptionText',
+    compensation: '#salaryInfoAndJobType, [data-testid="jobsearch-OtherJobDetailsContainer"], .jobsearch-JobMetadataHeader-item',
+    badges: '#salaryInfoAndJobType span, [data-testid="attribute_snippet_testid"], [data-testid="inlineHeader-companyLocation"], .jobsearch-JobMetadataHeader-item',
+    datePosted: '[data-testid="myJobsStateDate"], .jobsearch-HiringInsights-entry--age, .jobsearch-JobMetadataFooter'
+  }
+});
+
+SiteAdapters.register({
+  id: 'glassdoor',
+  name: 'Glassdoor',
+  hosts: ['glassdoor.com'],
+  confidence: 80,
+  fields: {
+    company: '[data-test="employer-name"], .EmployerProfile_employerName__QvlPJ',
+    jobTitle: '[data-test="job-title"], .JobDetails_jobTitle__cNuIa',
+    location: '[data-test="location"], .JobDetails_location__MbnUM',
+    description: '[data-test="job-description"], .JobDetails_jobDescription__uW_fK',
+    compensation: '[data-test="detailSalary"], [data-test="salaryEstimate"]',
+    badges: '[data-test="location"], [data-test="job-type"]',
+    datePosted: '[data-test="job-age"]'
+  }
+});
+
+// Applicant tracking systems behind most company career pages
+SiteAdapters.register({
+  id: 'greenhouse',
+  name: 'Greenhouse',
+  hosts: ['greenhouse.io'],
+  urlPattern: /[?&]gh_jid=\d+/,
+  fingerprint: '#app_body .app-title, .job__title, [data-provided-by="greenhouse"]',
+  confidence: SiteAdapters.ATS_CONFIDENCE,
+  fields: {
+    jobTitle: '.app-title, .job__title h1, .job__title',
+    location: '#header .location, .job__location',
+    description: '#content, .job__description',
+    compensation: '.pay-range, .content-pay-transparency, .job__pay-ranges'
+  },
+  extract(doc) {
+    return {
+      // Classic boards show "at Acme" under the title; new boards only name the company in the title
+      company: SiteAdapters.text(doc, '#header .company-name').replace(/^at\s+/i, '') ||
+        SiteAdapters.titlePart(doc, /^Job Application for .+ at (.+)$/i)
+    };
+  }
+});
+
+SiteAdapters.register({
+  id: 'lever',
+  name: 'Lever',
+  hosts: ['lever.co'],
+  fingerprint: '.posting-headline, .posting-categories',
+  confidence: SiteAdapters.ATS_CONFIDENCE,
+  fields: {
+    jobTitle: '.posting-headline h2',
+    location: '.posting-categories .location, .posting-categories .sort-by-location',
+    employmentType: '.posting-categories .commitment, .posting-categories .sort-by-commitment',
+    workplaceType: '.posting-categories .workplaceTypes',
+    compensation: '[data-qa="salary-range"], .posting-page .section .salary'
+  },
+  extract(doc) {
+    const logo = doc.querySelector('.main-header-logo img');
+    return {
+      company: (logo && (logo.getAttribute('alt') || '').replace(/\s+logo$/i, '').trim()) ||
+        SiteAdapters.titlePart(doc, /^(.+?)\s+-\s+/),
+      // The description is split into intro, list sections and closing text
+      description: SiteAdapters.html(doc, '[data-qa="job-description"], [data-qa="job-description"] ~ .section:not(.last-section-apply)')
+    };
+  }
+});
+
+SiteAdapters.register({
+  id: 'workday',
+  name: 'Workday',
+  hosts: ['myworkdayjobs.com', 'myworkdaysite.com'],
+  fingerprint: '[data-automation-id="jobPostingHeader"]',
+  confidence: SiteAdapters.ATS_CONFIDENCE,
+  fields: {
+    jobTitle: '[data-automation-id="jobPostingHeader"]',
+    location: '[data-automation-id="locations"] dd',
+    description: '[data-automation-id="jobPostingDescription"]',
+    employmentType: '[data-automation-id="time"] dd',
+    workplaceType: '[data-automation-id="remoteType"] dd',
+    datePosted: '[data-automation-id="postedOn"] dd'
+  },
+  extract(doc) {
+    // Sites are named after the company ("Acme Careers"); the host only has a short tenant name
+    return {
+      company: SiteAdapters.titlePart(doc, /^(.+?)\s+(?:Careers|Jobs|Career Site)\b/i)
+    };
+  }
+});
+
+SiteAdapters.register({
+  id: 'ashby',
+  name: 'Ashby',
+  hosts: ['ashbyhq.com'],
+  urlPattern: /[?&]ashby_jid=/,
+  fingerprint: '.ashby-job-posting-heading, .ashby-job-posting-brief-list',
+  confidence: SiteAdapters.ATS_CONFIDENCE,
+  fields: {
+    jobTitle: '.ashby-job-posting-heading, h1[class*="title"]',
+    description: '.ashby-job-posting-description, [class*="descriptionText"]'
+  },
+  extract(doc) {
+    const brief = doc.querySelector('.ashby-job-posting-brief-list') || doc;
+    return {
+      company: SiteAdapters.titlePart(doc, /@\s*(.+)$/),
+      location: SiteAdapters.labeledValue(brief, /^Location$/i),
+      employmentType: SiteAdapters.labeledValue(brief, /^Employment Type$/i),
+      workplaceType: SiteAdapters.labeledValue(brief, /^Location Type$/i),
+      compensation: SiteAdapters.labeledValue(brief, /^Compensation$/i)
+    };
+  }
+});
+
+SiteAdapters.register({
+  id: 'smartrecruiters',
+  name: 'SmartRecruiters',
+  hosts: ['smartrecruiters.com'],
+  fingerprint: '.job-sections, spl-job-location',
+  confidence: SiteAdapters.ATS_CONFIDENCE,
+  fields: {
+    company: '[itemprop="hiringOrganization"] [itemprop="name"]',
+    jobTitle: 'h1.job-title, [itemprop="title"]',
+    location: '[itemprop="jobLocation"], spl-job-location, .job-detail-location',
+    description: '.job-sections, [itemprop="description"]',
+    employmentType: '[itemprop="employmentType"]',
+    datePosted: '[itemprop="datePosted"]'
+  }
+});
+
+SiteAdapters.register({
+  id: 'icims',
+  name: 'iCIMS',
+  hosts: ['icims.com'],
+  fingerprint: '.iCIMS_JobContent, .iCIMS_MainWrapper',
+  confidence: SiteAdapters.ATS_CONFIDENCE,
+  fields: {
+    jobTitle: '.iCIMS_Header h1, h1.iCIMS_Header',
+    description: '.iCIMS_JobContent, .iCIMS_InfoMsg_Job'
+  },
+  extract(doc) {
+    const header = doc.querySelector('.iCIMS_JobHeaderGroup') || doc;
+    return {
+      location: SiteAdapters.labeledValue(header, /^(?:Job )?Locations?$/i),
+      employmentType: SiteAdapters.labeledValue(header, /^(?:Position Type|Job Type|Employment Type)$/i),
+      datePosted: SiteAdapters.labeledValue(header, /^(?:Posted Date|Date Posted)$/i)
+    };
+  }
+});
+
+SiteAdapters.register({
+  id: 'bamboohr',
+  name: 'BambooHR',
+  hosts: ['bamboohr.com'],
+  confidence: SiteAdapters.ATS_CONFIDENCE,
+  fields: {
+    jobTitle: '.ResAts__card-title, [class*="jobTitle"], main h2',
+    description: '.ResAts__card-content, [class*="jobDescription"], .BambooRichText'
+  },
+  extract(doc) {
+    return {
+      company: SiteAdapters.titlePart(doc, /^(.+?)\s*(?:-\s*)?Careers\b/i),
+      location: SiteAdapters.labeledValue(doc, /^Location$/i),
+      employmentType: SiteAdapters.labeledValue(doc, /^Employment Type$/i),
+      compensation: SiteAdapters.labeledValue(doc, /^Compensation$/i)
+    };
+  }
+});
+
+SiteAdapters.register({
+  id: 'wellfound',
+  name: 'Wellfound',
+  hosts: ['wellfound.com', 'angel.co'],
+  confidence: SiteAdapters.ATS_CONFIDENCE,
+  fields: {
+    company: 'a[href^="/company/"] h2, a[href^="/company/"]',
+    jobTitle: 'h1',
+    description: '[data-test="JobDescription"], [class*="description"]',
+    compensation: '[data-test="SalaryTag"], [class*="compensation"]',
+    badges: '[data-test="JobDetail"] li, [class*="jobTypes"] span'
+  },
+  extract(doc) {
+    return {
+      location: SiteAdapters.labeledValue(doc, /^Locations?$/i),
+      employmentType: SiteAdapters.labeledValue(doc, /^Job Type$/i)
+    };
+  }
+});
+
+SiteAdapters.register({
+  id: 'workable',
+  name: 'Workable',
+  hosts: ['workable.com'],
+  fingerprint: '[data-ui="job-title"], [data-ui="job-description"]',
+  confidence: SiteAdapters.ATS_CONFIDENCE,
+  fields: {
+    jobTitle: '[data-ui="job-title"]',
+    location: '[data-ui="job-location"]',
+    employmentType: '[data-ui="job-type"]',
+    workplaceType: '[data-ui="job-workplace"]',
+    datePosted: '[data-ui="job-posted"]',
+    compensation: '[data-ui="job-salary"]'
+  },
+  extract(doc) {
+    return {
+      company: SiteAdapters.text(doc, '[data-ui="company-name"]') || SiteAdapters.titlePart(doc, /\s+-\s+([^-]+)$/),
+      description: SiteAdapters.html(doc, '[data-ui="job-description"], [data-ui="job-requirements"], [data-ui="job-benefits"]')
+    };
+  }
+});
+
+// Make it available globally for use in other scripts
+if (typeof window !== 'undefined') {
+  window.SiteAdapters = SiteAdapters;
+}
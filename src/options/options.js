@@ -1,5 +1,28 @@
 // Options page logic for managing Airtable credentials
 
+// Profile whose settings are shown in the form
+let editingProfileId = null;
+
+// Picker option that reveals the text input for typing an ID by hand
+const MANUAL_ENTRY = '__manual__';
+
+// Incremented per picker load so a slow response can't overwrite a newer one
+let pickerRequestId = 0;
+
+// Submission history entries, loaded once and filtered in place
+let historyEntries = [];
+const HISTORY_PAGE_SIZE = 100;
+
+// Jobs kept on this device by local profiles
+let localJobs = [];
+
+// How queued messages are described in the outbox list
+const OUTBOX_ACTIONS = {
+  SEND_TO_AIRTABLE: 'New record',
+  UPDATE_AIRTABLE_RECORD: 'Update',
+  UPDATE_AIRTABLE_STATUS: 'Status change'
+};
+
 document.addEventListener('DOMContentLoaded', async () => {
   const form = document.getElementById('settingsForm');
   const testButton = document.getElementById('testButton');
@@ -7,8 +30,23 @@ document.addEventListener('DOMContentLoaded', async () => {
   const apiKeyInput = document.getElementById('apiKey');
   const statusDiv = document.getElementById('status');
 
-  // Load saved settings
-  await loadSettings();
+  // Load profiles and the selected profile's settings
+  await loadProfiles();
+
+  document.getElementById('profileSelect').addEventListener('change', async (e) => {
+    editingProfileId = e.target.value;
+    hideSchemaReport();
+    await loadSettings();
+    await loadFieldMapping();
+  });
+
+  document.getElementById('newProfileButton').addEventListener('click', async () => {
+    await createProfile();
+  });
+
+  document.getElementById('deleteProfileButton').addEventListener('click', async () => {
+    await deleteProfile();
+  });
 
   // Form submission
   form.addEventListener('submit', async (e) => {
@@ -26,6 +64,187 @@ document.addEventListener('DOMContentLoaded', async () => {
     apiKeyInput.type = e.target.checked ? 'text' : 'password';
   });
 
+  document.getElementById('destination').addEventListener('change', async () => {
+    hideSchemaReport();
+    applyDestination();
+    await loadBases();
+  });
+
+  // Base and table pickers
+  apiKeyInput.addEventListener('change', async () => {
+    await loadBases();
+  });
+
+  document.getElementById('baseSelect').addEventListener('change', async (e) => {
+    syncPicker(e.target, document.getElementById('baseId'));
+    await loadTables();
+  });
+
+  document.getElementById('baseId').addEventListener('change', async () => {
+    await loadTables();
+  });
+
+  document.getElementById('tableSelect').addEventListener('change', (e) => {
+    syncPicker(e.target, document.getElementById('tableName'));
+  });
+
+  // Token encryption
+  await loadEncryptionState();
+
+  document.getElementById('enableEncryptionButton').addEventListener('click', async () => {
+    await enableTokenEncryption();
+  });
+
+  document.getElementById('unlockButton').addEventListener('click', async () => {
+    await unlockTokens();
+  });
+
+  document.getElementById('lockButton').addEventListener('click', async () => {
+    await TokenVault.lock();
+    await loadEncryptionState();
+    await loadSettings();
+    showStatus('Tokens locked', 'success', 'encryptionStatus');
+  });
+
+  document.getElementById('disableEncryptionButton').addEventListener('click', async () => {
+    await disableTokenEncryption();
+  });
+
+  document.getElementById('forgetTokensButton').addEventListener('click', async () => {
+    await forgetEncryptedTokens();
+  });
+
+  // Field mapping
+  await loadFieldMapping();
+
+  document.getElementById('saveMappingButton').addEventListener('click', async () => {
+    await saveFieldMapping();
+  });
+
+  document.getElementById('resetMappingButton').addEventListener('click', () => {
+    renderFieldMapping(FieldMapping.getDefaultMapping());
+    showStatus('Defaults restored. Click "Save Field Mapping" to keep them.', 'info', 'mappingStatus');
+  });
+
+  // Domain rules
+  await loadDomainRules();
+
+  document.getElementById('addDomainRuleButton').addEventListener('click', async () => {
+    const profiles = await StorageHelper.getProfiles();
+    addDomainRuleRow({ domain: '', profileId: editingProfileId }, profiles);
+  });
+
+  document.getElementById('saveDomainRulesButton').addEventListener('click', async () => {
+    await saveDomainRules();
+  });
+
+  // Extraction rules
+  await loadExtractionRules();
+
+  document.getElementById('addExtractionRuleButton').addEventListener('click', () => {
+    addExtractionRuleRow({ domain: '', field: 'company', type: 'css', expression: '', confidence: ExtractionRules.DEFAULT_CONFIDENCE });
+  });
+
+  document.getElementById('saveExtractionRulesButton').addEventListener('click', async () => {
+    await saveExtractionRules();
+  });
+
+  document.getElementById('exportExtractionRulesButton').addEventListener('click', async () => {
+    await exportExtractionRules();
+  });
+
+  document.getElementById('importExtractionRulesButton').addEventListener('click', () => {
+    document.getElementById('importExtractionRulesFile').click();
+  });
+
+  document.getElementById('importExtractionRulesFile').addEventListener('change', async (e) => {
+    if (e.target.files.length > 0) {
+      await importExtractionRules(e.target.files[0]);
+    }
+    e.target.value = '';
+  });
+
+  // Submission history
+  await loadHistory();
+
+  const checkAirtableLinks = document.getElementById('checkAirtableLinks');
+  checkAirtableLinks.checked = await StorageHelper.getCheckAirtableLinks();
+  checkAirtableLinks.addEventListener('change', async (e) => {
+    await StorageHelper.saveCheckAirtableLinks(e.target.checked);
+  });
+
+  document.getElementById('refreshHistoryButton').addEventListener('click', async () => {
+    await loadHistory();
+  });
+
+  document.getElementById('historySearch').addEventListener('input', renderHistory);
+  document.getElementById('historyTable').addEventListener('change', renderHistory);
+
+  document.getElementById('exportHistoryCsvButton').addEventListener('click', () => {
+    exportHistory('csv');
+  });
+
+  document.getElementById('exportHistoryJsonButton').addEventListener('click', () => {
+    exportHistory('json');
+  });
+
+  document.getElementById('clearHistoryButton').addEventListener('click', async () => {
+    if (confirm('Clear your submission history? Records in Airtable are not affected.')) {
+      await SubmissionHistory.clear();
+      await loadHistory();
+    }
+  });
+
+  // Local jobs
+  await loadLocalJobs();
+
+  document.getElementById('refreshLocalJobsButton').addEventListener('click', async () => {
+    await loadLocalJobs();
+  });
+
+  document.getElementById('localJobsSearch').addEventListener('input', renderLocalJobs);
+
+  document.getElementById('exportLocalCsvButton').addEventListener('click', () => {
+    exportLocalJobs('csv');
+  });
+
+  document.getElementById('exportLocalJsonButton').addEventListener('click', () => {
+    exportLocalJobs('json');
+  });
+
+  document.getElementById('importLocalButton').addEventListener('click', () => {
+    document.getElementById('importLocalFile').click();
+  });
+
+  document.getElementById('importLocalFile').addEventListener('change', async (e) => {
+    if (e.target.files.length > 0) {
+      await importLocalJobs(e.target.files[0]);
+    }
+    e.target.value = '';
+  });
+
+  document.getElementById('pushLocalJobsButton').addEventListener('click', async () => {
+    await pushLocalJobs();
+  });
+
+  document.getElementById('clearLocalJobsButton').addEventListener('click', async () => {
+    if (confirm('Delete all jobs saved on this device? Export them first if you want to keep them.')) {
+      await LocalJobs.clear();
+      await loadLocalJobs();
+    }
+  });
+
+  // Outbox
+  await loadOutbox();
+
+  document.getElementById('refreshOutboxButton').addEventListener('click', async () => {
+    await loadOutbox();
+  });
+
+  document.getElementById('resendAllButton').addEventListener('click', async () => {
+    await resendOutbox(null);
+  });
+
   // Draft management
   await loadDrafts();
 
@@ -44,19 +263,117 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
 });
 
-async function loadSettings() {
+// Profile Functions
+
+async function loadProfiles() {
   try {
-    const settings = await StorageHelper.getSettings();
+    const profiles = await StorageHelper.getProfiles();
 
-    if (settings.apiKey) {
-      document.getElementById('apiKey').value = settings.apiKey;
-    }
-    if (settings.baseId) {
-      document.getElementById('baseId').value = settings.baseId;
-    }
-    if (settings.tableName) {
-      document.getElementById('tableName').value = settings.tableName;
+    if (!editingProfileId || !profiles.some(profile => profile.id === editingProfileId)) {
+      editingProfileId = await StorageHelper.getActiveProfileId();
     }
+
+    renderProfileOptions(profiles);
+    document.getElementById('deleteProfileButton').disabled = profiles.length < 2;
+
+    await loadSettings();
+  } catch (error) {
+    console.error('Error loading profiles:', error);
+    showStatus('Error loading profiles', 'error');
+  }
+}
+
+function renderProfileOptions(profiles) {
+  const select = document.getElementById('profileSelect');
+  select.innerHTML = '';
+
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    select.appendChild(option);
+  });
+
+  select.value = editingProfileId;
+  renderPushTargets(profiles);
+}
+
+async function createProfile() {
+  const name = prompt('Name of the new profile (e.g. Contracts):');
+  if (!name || !name.trim()) return;
+
+  try {
+    // Start from the current profile's token and base; most people add a table in the same base
+    const current = await StorageHelper.getSettings(editingProfileId);
+    const profile = await StorageHelper.createProfile(name.trim(), {
+      apiKey: current.apiKey,
+      baseId: current.baseId,
+      fieldMapping: current.fieldMapping,
+      matchCompanyTitle: current.matchCompanyTitle,
+      mergeField: current.mergeField,
+      notesColumns: current.notesColumns,
+      destination: current.destination,
+      webhook: current.webhook,
+      notion: current.notion
+    });
+
+    editingProfileId = profile.id;
+    hideSchemaReport();
+    await loadProfiles();
+    await loadFieldMapping();
+    await loadDomainRules();
+    showStatus(`Profile "${profile.name}" created. Enter its table name and save.`, 'info');
+  } catch (error) {
+    console.error('Error creating profile:', error);
+    showStatus('Error creating profile: ' + error.message, 'error');
+  }
+}
+
+async function deleteProfile() {
+  const name = document.getElementById('profileName').value.trim() || 'this profile';
+  if (!confirm(`Delete "${name}"? Its settings and domain rules will be removed.`)) return;
+
+  try {
+    await StorageHelper.deleteProfile(editingProfileId);
+    editingProfileId = null;
+    hideSchemaReport();
+    await loadProfiles();
+    await loadFieldMapping();
+    await loadDomainRules();
+    showStatus('Profile deleted', 'success');
+  } catch (error) {
+    console.error('Error deleting profile:', error);
+    showStatus('Error deleting profile: ' + error.message, 'error');
+  }
+}
+
+async function loadSettings() {
+  try {
+    const settings = await StorageHelper.getSettings(editingProfileId);
+
+    document.getElementById('profileName').value = settings.name;
+    document.getElementById('apiKey').value = settings.apiKey;
+    document.getElementById('apiKey').placeholder = settings.tokenLocked
+      ? 'Locked - unlock it under Token Encryption'
+      : 'pat********************';
+    document.getElementById('baseId').value = settings.baseId;
+    document.getElementById('tableName').value = settings.tableName;
+    document.getElementById('destination').value = settings.destination;
+    document.getElementById('webhookUrl').value = settings.webhook.url;
+    document.getElementById('webhookMethod').value = settings.webhook.method;
+    document.getElementById('webhookHeaders').value = settings.webhook.headers;
+    document.getElementById('webhookBodyTemplate').value = settings.webhook.bodyTemplate;
+    document.getElementById('notionDatabaseId').value = settings.notion.databaseId;
+    applyDestination();
+    document.getElementById('matchCompanyTitle').checked = settings.matchCompanyTitle;
+    document.getElementById('mergeField').value = settings.mergeField;
+    document.getElementById('notesColumns').value = settings.notesColumns.join(', ');
+    document.getElementById('defaultStatus').value = settings.defaults.status;
+    document.getElementById('defaultSource').value = settings.defaults.source;
+    document.getElementById('defaultScore').value = settings.defaults.score;
+
+    // Fill the pickers in the background
+    loadBases();
   } catch (error) {
     console.error('Error loading settings:', error);
     showStatus('Error loading settings', 'error');
@@ -64,24 +381,53 @@ async function loadSettings() {
 }
 
 async function saveSettings() {
+  const name = document.getElementById('profileName').value.trim();
   const apiKey = document.getElementById('apiKey').value.trim();
   const baseId = document.getElementById('baseId').value.trim();
   const tableName = document.getElementById('tableName').value.trim();
+  const matchCompanyTitle = document.getElementById('matchCompanyTitle').checked;
+  const mergeField = document.getElementById('mergeField').value;
+  const notesColumns = document.getElementById('notesColumns').value
+    .split(',')
+    .map(column => column.trim())
+    .filter(Boolean);
+  const defaults = {
+    status: document.getElementById('defaultStatus').value.trim(),
+    source: document.getElementById('defaultSource').value.trim(),
+    score: Number(document.getElementById('defaultScore').value) || 0
+  };
+  const destination = readDestinationSettings();
 
-  // Validate inputs
-  if (!apiKey || !baseId || !tableName) {
-    showStatus('Please fill in all fields', 'error');
+  if (!name) {
+    showStatus('Please enter a profile name', 'error');
     return;
   }
 
-  // Validate Base ID format
-  if (!baseId.match(/^app[a-zA-Z0-9]{14}$/)) {
-    showStatus('Invalid Base ID format. Should start with "app" followed by 14 characters', 'error');
+  const invalid = validateDestination({ ...destination, apiKey, baseId, tableName });
+  if (invalid) {
+    showStatus(invalid, 'error');
+    return;
+  }
+
+  // Ask while the click still counts as a user gesture
+  if (!(await requestDestinationAccess(destination))) {
+    showStatus('Access to the destination was not granted, so jobs could not be sent there.', 'error');
+    return;
+  }
+
+  if (!apiKey && needsToken(destination.destination) && await TokenVault.isLocked()) {
+    showStatus('Your token is locked. Unlock it under Token Encryption first.', 'error');
+    return;
+  }
+
+  if (!apiKey && needsToken(destination.destination)) {
+    showStatus('Please fill in all fields', 'error');
     return;
   }
 
   try {
-    await StorageHelper.saveSettings({ apiKey, baseId, tableName });
+    await StorageHelper.saveSettings({ name, apiKey, baseId, tableName, matchCompanyTitle, mergeField, notesColumns, defaults, ...destination }, editingProfileId);
+    renderProfileOptions(await StorageHelper.getProfiles());
     showStatus('Settings saved successfully!', 'success');
   } catch (error) {
     console.error('Error saving settings:', error);
@@ -89,18 +435,147 @@ async function saveSettings() {
   }
 }
 
+/**
+ * Get the selected destination type
+ */
+function getSelectedDestination() {
+  return document.getElementById('destination').value;
+}
+
+/**
+ * Show only the settings for the selected destination. Hidden inputs are disabled
+ * so their required attributes don't block saving.
+ */
+function applyDestination() {
+  const destination = getSelectedDestination();
+
+  document.querySelectorAll('[data-destination]').forEach(element => {
+    const hidden = !element.dataset.destination.split(' ').includes(destination);
+    element.classList.toggle('hidden', hidden);
+    element.querySelectorAll('input, select, textarea').forEach(input => {
+      input.disabled = hidden;
+    });
+  });
+
+  document.getElementById('apiKey').required = needsToken(destination);
+}
+
+/**
+ * Whether a destination needs a token (the webhook secret is optional)
+ */
+function needsToken(destination) {
+  return destination === 'airtable' || destination === 'notion';
+}
+
+/**
+ * Read the destination type and its webhook/Notion settings from the form
+ * @returns {Object} {destination, webhook, notion}
+ */
+function readDestinationSettings() {
+  return {
+    destination: getSelectedDestination(),
+    webhook: {
+      url: document.getElementById('webhookUrl').value.trim(),
+      method: document.getElementById('webhookMethod').value,
+      headers: document.getElementById('webhookHeaders').value.trim(),
+      bodyTemplate: document.getElementById('webhookBodyTemplate').value.trim()
+    },
+    notion: {
+      databaseId: document.getElementById('notionDatabaseId').value.trim()
+    }
+  };
+}
+
+/**
+ * Check the settings the selected destination needs
+ * @param {Object} settings - Destination settings plus apiKey, baseId and tableName
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateDestination(settings) {
+  if (settings.destination === 'webhook') {
+    try {
+      WebhookClient.buildRequest(settings.webhook, WebhookClient.getSampleJob(), settings.apiKey);
+    } catch (error) {
+      return error.message;
+    }
+    return null;
+  }
+
+  if (settings.destination === 'local') {
+    return null;
+  }
+
+  if (settings.destination === 'notion') {
+    return NotionClient.normalizeDatabaseId(settings.notion.databaseId)
+      ? null
+      : 'Enter the Notion database ID or the URL of the database';
+  }
+
+  if (!settings.baseId || !settings.tableName) {
+    return 'Please fill in all fields';
+  }
+
+  // Validate Base ID format
+  if (!settings.baseId.match(/^app[a-zA-Z0-9]{14}$/)) {
+    return 'Invalid Base ID format. Should start with "app" followed by 14 characters';
+  }
+
+  return null;
+}
+
+/**
+ * Ask for access to the destination's host. Airtable is granted at install;
+ * webhook hosts and the Notion API are optional permissions.
+ * @returns {Promise<boolean>} Whether access is granted
+ */
+async function requestDestinationAccess(settings) {
+  let origin = null;
+
+  if (settings.destination === 'notion') {
+    origin = `${NotionClient.API_URL.replace(/\/v1$/, '')}/*`;
+  } else if (settings.destination === 'webhook') {
+    try {
+      origin = `${new URL(settings.webhook.url).origin}/*`;
+    } catch {
+      return false;
+    }
+  }
+
+  if (!origin) return true;
+
+  try {
+    return await chrome.permissions.request({ origins: [origin] });
+  } catch (error) {
+    console.error('Permission request failed:', error);
+    return false;
+  }
+}
+
 async function testConnection() {
   const apiKey = document.getElementById('apiKey').value.trim();
   const baseId = document.getElementById('baseId').value.trim();
   const tableName = document.getElementById('tableName').value.trim();
+  const settings = { ...readDestinationSettings(), apiKey, baseId, tableName, fieldMapping: readFieldMapping() };
 
   // Validate inputs
-  if (!apiKey || !baseId || !tableName) {
-    showStatus('Please fill in all fields before testing', 'error');
+  if (settings.destination === 'local') {
+    showStatus('Jobs are kept on this device, so there is nothing to connect to.', 'info');
+    return;
+  }
+
+  const invalid = validateDestination(settings) || (!apiKey && needsToken(settings.destination) ? 'Please fill in all fields before testing' : null);
+  if (invalid) {
+    showStatus(invalid, 'error');
+    return;
+  }
+
+  if (!(await requestDestinationAccess(settings))) {
+    showStatus('Access to the destination was not granted.', 'error');
     return;
   }
 
   showStatus('Testing connection...', 'info');
+  hideSchemaReport();
   const testButton = document.getElementById('testButton');
   testButton.disabled = true;
 
@@ -108,13 +583,25 @@ async function testConnection() {
     // Send to service worker to test (avoids CORS issues)
     const result = await chrome.runtime.sendMessage({
       type: 'TEST_CONNECTION',
-      apiKey: apiKey,
-      baseId: baseId,
-      tableName: tableName
+      settings: settings
     });
 
     if (result.success) {
-      showStatus('Connection successful! Your Airtable is configured correctly.', 'success');
+      const report = result.schemaReport;
+      const hasProblems = report && (report.missing.length > 0 || report.mismatched.length > 0);
+
+      if (settings.destination === 'webhook') {
+        showStatus(`Webhook answered with HTTP ${result.status}. A sample job marked with the ${WebhookClient.TEST_HEADER} header was sent.`, 'success');
+      } else if (settings.destination === 'notion') {
+        showStatus('Connection successful! The Notion database has all mapped properties.', 'success');
+      } else if (hasProblems) {
+        showStatus('Connected, but some mapped columns need attention (see below).', 'error');
+        renderSchemaReport(report);
+      } else if (result.schemaError) {
+        showStatus('Connection successful! Column check skipped: ' + result.schemaError, 'info');
+      } else {
+        showStatus('Connection successful! Your Airtable is configured correctly.', 'success');
+      }
     } else {
       showStatus('Connection failed: ' + result.error, 'error');
     }
@@ -126,8 +613,157 @@ async function testConnection() {
   }
 }
 
-function showStatus(message, type = 'info') {
-  const statusDiv = document.getElementById('status');
+// Base and Table Picker Functions
+
+async function loadBases() {
+  const requestId = ++pickerRequestId;
+  const apiKey = document.getElementById('apiKey').value.trim();
+  const baseSelect = document.getElementById('baseSelect');
+  const baseInput = document.getElementById('baseId');
+
+  hidePicker(document.getElementById('tableSelect'), document.getElementById('tableName'), 'tablePickerStatus');
+
+  if (!apiKey || getSelectedDestination() !== 'airtable') {
+    hidePicker(baseSelect, baseInput, 'basePickerStatus');
+    return;
+  }
+
+  setPickerStatus('basePickerStatus', 'Loading your bases...');
+
+  try {
+    const result = await chrome.runtime.sendMessage({ type: 'LIST_BASES', apiKey: apiKey });
+    if (requestId !== pickerRequestId) return;
+
+    if (!result.success) {
+      hidePicker(baseSelect, baseInput, 'basePickerStatus');
+      setPickerStatus('basePickerStatus', `Couldn't list bases: ${result.error} Enter the Base ID instead.`, true);
+      return;
+    }
+
+    fillPicker(baseSelect, result.bases.map(base => ({
+      value: base.id,
+      label: `${base.name} (${base.id})`
+    })), baseInput.value.trim(), 'Select a base...', 'Enter Base ID manually...');
+    syncPicker(baseSelect, baseInput);
+    setPickerStatus('basePickerStatus', '');
+
+    await loadTables(requestId);
+  } catch (error) {
+    console.error('Error listing bases:', error);
+    hidePicker(baseSelect, baseInput, 'basePickerStatus');
+  }
+}
+
+async function loadTables(requestId = ++pickerRequestId) {
+  const apiKey = document.getElementById('apiKey').value.trim();
+  const baseId = document.getElementById('baseId').value.trim();
+  const tableSelect = document.getElementById('tableSelect');
+  const tableInput = document.getElementById('tableName');
+
+  if (!apiKey || !baseId.match(/^app[a-zA-Z0-9]{14}$/)) {
+    hidePicker(tableSelect, tableInput, 'tablePickerStatus');
+    return;
+  }
+
+  setPickerStatus('tablePickerStatus', 'Loading tables...');
+
+  try {
+    const result = await chrome.runtime.sendMessage({ type: 'LIST_TABLES', apiKey: apiKey, baseId: baseId });
+    if (requestId !== pickerRequestId) return;
+
+    if (!result.success) {
+      hidePicker(tableSelect, tableInput, 'tablePickerStatus');
+      setPickerStatus('tablePickerStatus', `Couldn't list tables: ${result.error}`, true);
+      return;
+    }
+
+    fillPicker(tableSelect, result.tables.map(table => ({
+      value: table.name,
+      label: table.name
+    })), tableInput.value.trim(), 'Select a table...', 'Enter table name manually...');
+    syncPicker(tableSelect, tableInput);
+    setPickerStatus('tablePickerStatus', '');
+  } catch (error) {
+    console.error('Error listing tables:', error);
+    hidePicker(tableSelect, tableInput, 'tablePickerStatus');
+  }
+}
+
+function fillPicker(select, items, currentValue, placeholder, manualLabel) {
+  select.innerHTML = '';
+
+  const addOption = (value, label) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  };
+
+  if (!currentValue) {
+    addOption('', placeholder);
+  }
+  items.forEach(item => addOption(item.value, item.label));
+  addOption(MANUAL_ENTRY, manualLabel);
+
+  // Keep a value the list doesn't know about (e.g. a base shared later) as a manual entry
+  if (items.some(item => item.value === currentValue)) {
+    select.value = currentValue;
+  } else {
+    select.value = currentValue ? MANUAL_ENTRY : '';
+  }
+
+  select.classList.remove('hidden');
+}
+
+function syncPicker(select, input) {
+  const manual = select.value === MANUAL_ENTRY;
+
+  if (!manual) {
+    input.value = select.value;
+  }
+
+  // A hidden required input would block form submission
+  input.classList.toggle('hidden', !manual);
+  input.required = manual;
+}
+
+function hidePicker(select, input, statusId) {
+  select.classList.add('hidden');
+  input.classList.remove('hidden');
+  input.required = true;
+  setPickerStatus(statusId, '');
+}
+
+function setPickerStatus(statusId, message, isError = false) {
+  const status = document.getElementById(statusId);
+  status.textContent = message;
+  status.classList.toggle('picker-error', isError);
+  status.classList.toggle('hidden', !message);
+}
+
+function renderSchemaReport(report) {
+  const reportDiv = document.getElementById('schemaReport');
+
+  const missingItems = report.missing.map(item =>
+    `<li><strong>${escapeHtml(item.column)}</strong> (${escapeHtml(item.label)}) - column not found in table</li>`
+  );
+  const mismatchedItems = report.mismatched.map(item =>
+    `<li><strong>${escapeHtml(item.column)}</strong> (${escapeHtml(item.label)}) - ${escapeHtml(item.type)} column ${escapeHtml(item.reason)}</li>`
+  );
+
+  reportDiv.innerHTML = `
+    <p>These values will be rejected or skipped. Add the columns to your table, change their type, or update the Field Mapping:</p>
+    <ul>${missingItems.concat(mismatchedItems).join('')}</ul>
+  `;
+  reportDiv.classList.remove('hidden');
+}
+
+function hideSchemaReport() {
+  document.getElementById('schemaReport').classList.add('hidden');
+}
+
+function showStatus(message, type = 'info', statusId = 'status') {
+  const statusDiv = document.getElementById(statusId);
   statusDiv.textContent = message;
   statusDiv.className = `status ${type}`;
   statusDiv.classList.remove('hidden');
@@ -140,6 +776,693 @@ function showStatus(message, type = 'info') {
   }
 }
 
+// Field Mapping Functions
+
+async function loadFieldMapping() {
+  try {
+    const mapping = await StorageHelper.getFieldMapping(editingProfileId);
+    renderFieldMapping(FieldMapping.normalize(mapping));
+  } catch (error) {
+    console.error('Error loading field mapping:', error);
+    showStatus('Error loading field mapping', 'error', 'mappingStatus');
+  }
+}
+
+function renderFieldMapping(mapping) {
+  const listDiv = document.getElementById('fieldMappingList');
+
+  listDiv.innerHTML = FieldMapping.FIELDS.map(field => `
+    <div class="mapping-row">
+      <label for="mapping-${field.key}">${escapeHtml(field.label)}</label>
+      <input
+        type="text"
+        id="mapping-${field.key}"
+        data-key="${field.key}"
+        placeholder="Don't send"
+      >
+    </div>
+  `).join('');
+
+  // Set values via the DOM so column names containing quotes survive
+  listDiv.querySelectorAll('input[data-key]').forEach(input => {
+    input.value = mapping[input.getAttribute('data-key')] || '';
+    updateDroppedState(input);
+    input.addEventListener('input', () => updateDroppedState(input));
+  });
+}
+
+function updateDroppedState(input) {
+  input.classList.toggle('mapping-dropped', input.value.trim() === '');
+}
+
+function readFieldMapping() {
+  const mapping = {};
+  document.querySelectorAll('#fieldMappingList input[data-key]').forEach(input => {
+    mapping[input.getAttribute('data-key')] = input.value.trim();
+  });
+  return mapping;
+}
+
+async function saveFieldMapping() {
+  const mapping = readFieldMapping();
+
+  if (Object.values(mapping).every(column => !column)) {
+    showStatus('Map at least one value to an Airtable column', 'error', 'mappingStatus');
+    return;
+  }
+
+  const duplicates = FieldMapping.findDuplicateColumns(mapping);
+  if (duplicates.length > 0) {
+    showStatus(`Each column can only receive one value. Duplicated: ${duplicates.join(', ')}`, 'error', 'mappingStatus');
+    return;
+  }
+
+  try {
+    await StorageHelper.saveFieldMapping(mapping, editingProfileId);
+    showStatus('Field mapping saved successfully!', 'success', 'mappingStatus');
+  } catch (error) {
+    console.error('Error saving field mapping:', error);
+    showStatus('Error saving field mapping: ' + error.message, 'error', 'mappingStatus');
+  }
+}
+
+// Token Encryption Functions
+
+async function loadEncryptionState() {
+  const enabled = await TokenVault.isEnabled();
+  const locked = await TokenVault.isLocked();
+
+  document.getElementById('encryptionState').textContent = !enabled
+    ? 'Tokens are stored unencrypted in sync storage'
+    : locked
+      ? 'Tokens are encrypted and locked'
+      : 'Tokens are encrypted and unlocked for this browser session';
+
+  document.getElementById('encryptionSetup').classList.toggle('hidden', enabled);
+  document.getElementById('encryptionUnlock').classList.toggle('hidden', !locked);
+  document.getElementById('encryptionActive').classList.toggle('hidden', !enabled || locked);
+}
+
+async function enableTokenEncryption() {
+  const passphrase = document.getElementById('newPassphrase').value;
+  const confirmation = document.getElementById('confirmPassphrase').value;
+
+  if (passphrase !== confirmation) {
+    showStatus('Passphrases do not match', 'error', 'encryptionStatus');
+    return;
+  }
+
+  showStatus('Encrypting tokens...', 'info', 'encryptionStatus');
+
+  try {
+    await StorageHelper.enableTokenEncryption(passphrase);
+    document.getElementById('newPassphrase').value = '';
+    document.getElementById('confirmPassphrase').value = '';
+    await loadEncryptionState();
+    showStatus('Tokens encrypted and removed from sync storage', 'success', 'encryptionStatus');
+  } catch (error) {
+    console.error('Error encrypting tokens:', error);
+    showStatus('Error encrypting tokens: ' + error.message, 'error', 'encryptionStatus');
+  }
+}
+
+async function unlockTokens() {
+  const input = document.getElementById('unlockPassphrase');
+  if (!input.value) return;
+
+  showStatus('Unlocking...', 'info', 'encryptionStatus');
+
+  try {
+    await TokenVault.unlock(input.value);
+    input.value = '';
+    await loadEncryptionState();
+    await loadSettings();
+    showStatus('Unlocked for this browser session', 'success', 'encryptionStatus');
+  } catch (error) {
+    console.error('Error unlocking tokens:', error);
+    showStatus(error.message, 'error', 'encryptionStatus');
+  }
+}
+
+async function disableTokenEncryption() {
+  if (!confirm('Store your tokens unencrypted in sync storage again?')) return;
+
+  try {
+    await StorageHelper.disableTokenEncryption();
+    await loadEncryptionState();
+    await loadSettings();
+    showStatus('Encryption removed', 'success', 'encryptionStatus');
+  } catch (error) {
+    console.error('Error removing encryption:', error);
+    showStatus('Error removing encryption: ' + error.message, 'error', 'encryptionStatus');
+  }
+}
+
+async function forgetEncryptedTokens() {
+  if (!confirm('Delete your encrypted tokens? You will need to enter the token of every profile again.')) return;
+
+  try {
+    await TokenVault.reset();
+    await loadEncryptionState();
+    await loadSettings();
+    showStatus('Encrypted tokens deleted. Enter your tokens and save each profile.', 'info', 'encryptionStatus');
+  } catch (error) {
+    console.error('Error deleting encrypted tokens:', error);
+    showStatus('Error deleting encrypted tokens: ' + error.message, 'error', 'encryptionStatus');
+  }
+}
+
+// Domain Rule Functions
+
+async function loadDomainRules() {
+  const listDiv = document.getElementById('domainRuleList');
+
+  try {
+    const profiles = await StorageHelper.getProfiles();
+    const rules = await StorageHelper.getDomainRules();
+
+    listDiv.innerHTML = '';
+
+    if (rules.length === 0) {
+      listDiv.innerHTML = '<div class="empty-state">No domain rules yet.</div>';
+      return;
+    }
+
+    rules.forEach(rule => addDomainRuleRow(rule, profiles));
+  } catch (error) {
+    console.error('Error loading domain rules:', error);
+    showStatus('Error loading domain rules', 'error', 'domainRulesStatus');
+  }
+}
+
+function addDomainRuleRow(rule, profiles) {
+  const listDiv = document.getElementById('domainRuleList');
+  const emptyState = listDiv.querySelector('.empty-state');
+  if (emptyState) {
+    emptyState.remove();
+  }
+
+  const row = document.createElement('div');
+  row.className = 'mapping-row domain-rule-row';
+  row.innerHTML = `
+    <input type="text" class="domain-rule-domain" placeholder="upwork.com">
+    <select class="domain-rule-profile"></select>
+    <button type="button" class="draft-delete">Remove</button>
+  `;
+
+  const select = row.querySelector('.domain-rule-profile');
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    select.appendChild(option);
+  });
+
+  // Set values via the DOM so domains and names containing quotes survive
+  row.querySelector('.domain-rule-domain').value = rule.domain;
+  select.value = rule.profileId;
+
+  row.querySelector('.draft-delete').addEventListener('click', () => {
+    row.remove();
+  });
+
+  listDiv.appendChild(row);
+}
+
+function readDomainRules() {
+  return Array.from(document.querySelectorAll('#domainRuleList .domain-rule-row')).map(row => ({
+    domain: row.querySelector('.domain-rule-domain').value,
+    profileId: row.querySelector('.domain-rule-profile').value
+  }));
+}
+
+async function saveDomainRules() {
+  try {
+    await StorageHelper.saveDomainRules(readDomainRules());
+    await loadDomainRules();
+    showStatus('Domain rules saved successfully!', 'success', 'domainRulesStatus');
+  } catch (error) {
+    console.error('Error saving domain rules:', error);
+    showStatus('Error saving domain rules: ' + error.message, 'error', 'domainRulesStatus');
+  }
+}
+
+// Extraction Rule Functions
+
+async function loadExtractionRules() {
+  const listDiv = document.getElementById('extractionRuleList');
+
+  try {
+    const rules = await ExtractionRules.getAll();
+
+    listDiv.innerHTML = '';
+
+    if (rules.length === 0) {
+      listDiv.innerHTML = '<div class="empty-state">No extraction rules yet.</div>';
+      return;
+    }
+
+    rules.forEach(rule => addExtractionRuleRow(rule));
+  } catch (error) {
+    console.error('Error loading extraction rules:', error);
+    showStatus('Error loading extraction rules', 'error', 'extractionRulesStatus');
+  }
+}
+
+function addExtractionRuleRow(rule) {
+  const listDiv = document.getElementById('extractionRuleList');
+  const emptyState = listDiv.querySelector('.empty-state');
+  if (emptyState) {
+    emptyState.remove();
+  }
+
+  const row = document.createElement('div');
+  row.className = 'mapping-row extraction-rule-row';
+  row.innerHTML = `
+    <input type="text" class="extraction-rule-domain" placeholder="careers.example.com">
+    <select class="extraction-rule-field"></select>
+    <select class="extraction-rule-type"></select>
+    <input type="text" class="extraction-rule-expression" placeholder=".job-header h1">
+    <input type="number" class="extraction-rule-confidence" min="1" max="100" title="Confidence (1-100); the highest value wins">
+    <button type="button" class="draft-delete">Remove</button>
+  `;
+
+  const addOptions = (select, items) => {
+    items.forEach(item => {
+      const option = document.createElement('option');
+      option.value = item.key;
+      option.textContent = item.label;
+      select.appendChild(option);
+    });
+  };
+  addOptions(row.querySelector('.extraction-rule-field'), ExtractionRules.FIELDS);
+  addOptions(row.querySelector('.extraction-rule-type'), ExtractionRules.TYPES);
+
+  // Set values via the DOM so selectors containing quotes survive
+  row.querySelector('.extraction-rule-domain').value = rule.domain;
+  row.querySelector('.extraction-rule-field').value = rule.field;
+  row.querySelector('.extraction-rule-type').value = rule.type;
+  row.querySelector('.extraction-rule-expression').value = rule.expression;
+  row.querySelector('.extraction-rule-confidence').value = rule.confidence;
+
+  row.querySelector('.draft-delete').addEventListener('click', () => {
+    row.remove();
+  });
+
+  listDiv.appendChild(row);
+}
+
+function readExtractionRules() {
+  return Array.from(document.querySelectorAll('#extractionRuleList .extraction-rule-row')).map(row => ({
+    domain: row.querySelector('.extraction-rule-domain').value,
+    field: row.querySelector('.extraction-rule-field').value,
+    type: row.querySelector('.extraction-rule-type').value,
+    expression: row.querySelector('.extraction-rule-expression').value,
+    confidence: row.querySelector('.extraction-rule-confidence').value
+  }));
+}
+
+async function saveExtractionRules() {
+  try {
+    await ExtractionRules.save(readExtractionRules());
+    await loadExtractionRules();
+    showStatus('Extraction rules saved successfully!', 'success', 'extractionRulesStatus');
+  } catch (error) {
+    console.error('Error saving extraction rules:', error);
+    showStatus('Error saving extraction rules: ' + error.message, 'error', 'extractionRulesStatus');
+  }
+}
+
+async function exportExtractionRules() {
+  const rules = await ExtractionRules.getAll();
+
+  if (rules.length === 0) {
+    showStatus('No saved extraction rules to export', 'info', 'extractionRulesStatus');
+    return;
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(`job-lead-rules-${date}.json`, ExtractionRules.toJson(rules), 'application/json');
+}
+
+async function importExtractionRules(file) {
+  try {
+    const imported = ExtractionRules.parseJson(await file.text());
+    const result = ExtractionRules.merge(await ExtractionRules.getAll(), imported);
+
+    await ExtractionRules.save(result.rules);
+    await loadExtractionRules();
+
+    const updated = result.updated > 0 ? ` (${result.updated} already present, updated)` : '';
+    showStatus(`Imported ${result.added} rule${result.added === 1 ? '' : 's'}${updated}`, 'success', 'extractionRulesStatus');
+  } catch (error) {
+    console.error('Error importing extraction rules:', error);
+    showStatus('Could not import the rules: ' + error.message, 'error', 'extractionRulesStatus');
+  }
+}
+
+// Submission History Functions
+
+async function loadHistory() {
+  historyEntries = await SubmissionHistory.getAll();
+
+  // Offer each table that appears in the history as a filter
+  const tableSelect = document.getElementById('historyTable');
+  const selected = tableSelect.value;
+  const tables = new Map();
+  historyEntries.forEach(entry => {
+    tables.set(SubmissionHistory.getTableKey(entry), entry.tableName);
+  });
+
+  tableSelect.innerHTML = '<option value="">All tables</option>';
+  tables.forEach((name, key) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = name;
+    tableSelect.appendChild(option);
+  });
+  tableSelect.value = tables.has(selected) ? selected : '';
+
+  renderHistory();
+}
+
+function renderHistory() {
+  const historyListDiv = document.getElementById('historyList');
+  const historyCountSpan = document.getElementById('historyCount');
+  const hasHistory = historyEntries.length > 0;
+
+  document.getElementById('exportHistoryCsvButton').disabled = !hasHistory;
+  document.getElementById('exportHistoryJsonButton').disabled = !hasHistory;
+  document.getElementById('clearHistoryButton').disabled = !hasHistory;
+
+  if (!hasHistory) {
+    historyCountSpan.textContent = 'No jobs sent yet';
+    historyListDiv.innerHTML = '<div class="empty-state">Jobs you send to Airtable will appear here.</div>';
+    return;
+  }
+
+  const matches = SubmissionHistory.filter(historyEntries, {
+    query: document.getElementById('historySearch').value,
+    table: document.getElementById('historyTable').value
+  });
+
+  historyCountSpan.textContent = matches.length === historyEntries.length
+    ? `${historyEntries.length} job${historyEntries.length === 1 ? '' : 's'} sent`
+    : `${matches.length} of ${historyEntries.length} jobs match`;
+
+  if (matches.length === 0) {
+    historyListDiv.innerHTML = '<div class="empty-state">No jobs match your search.</div>';
+    return;
+  }
+
+  const shown = matches.slice(0, HISTORY_PAGE_SIZE);
+
+  historyListDiv.innerHTML = shown.map(entry => `
+    <div class="draft-item">
+      <div class="draft-item-header">
+        <span class="draft-url">${escapeHtml(entry.jobTitle || 'Untitled job')} at ${escapeHtml(entry.company || 'unknown company')}</span>
+      </div>
+      <div class="draft-meta">${entry.action === 'updated' ? 'Updated' : 'Created'} in ${escapeHtml(entry.tableName)} ${getTimeAgo(new Date(entry.submittedAt))}</div>
+      <div class="history-links">
+        <a href="${escapeHtml(entry.recordUrl)}" target="_blank">Open in Airtable</a>
+        ${entry.url ? `<a href="${escapeHtml(entry.url)}" target="_blank" title="${escapeHtml(entry.url)}">${escapeHtml(truncateUrl(entry.url, 50))}</a>` : ''}
+      </div>
+    </div>
+  `).join('') + (matches.length > shown.length
+    ? `<div class="empty-state">Showing the ${shown.length} most recent. Search to narrow down, or export for the full list.</div>`
+    : '');
+}
+
+function exportHistory(format) {
+  const date = new Date().toISOString().slice(0, 10);
+
+  if (format === 'csv') {
+    downloadFile(`job-lead-history-${date}.csv`, SubmissionHistory.toCsv(historyEntries), 'text/csv');
+  } else {
+    downloadFile(`job-lead-history-${date}.json`, JSON.stringify(historyEntries, null, 2), 'application/json');
+  }
+}
+
+async function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+
+  try {
+    const downloadId = await chrome.downloads.download({ url: url, filename: filename, saveAs: true });
+
+    // The blob has to stay readable until Chrome has written the file
+    const onChanged = (delta) => {
+      if (delta.id === downloadId && delta.state && delta.state.current !== 'in_progress') {
+        chrome.downloads.onChanged.removeListener(onChanged);
+        URL.revokeObjectURL(url);
+      }
+    };
+    chrome.downloads.onChanged.addListener(onChanged);
+  } catch (error) {
+    // Also raised when the Save As dialog is cancelled
+    console.error('Download failed:', error);
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Local Jobs Functions
+
+async function loadLocalJobs() {
+  try {
+    localJobs = await LocalJobs.getAll();
+  } catch (error) {
+    console.error('Error loading local jobs:', error);
+    localJobs = [];
+  }
+
+  renderLocalJobs();
+}
+
+function renderLocalJobs() {
+  const listDiv = document.getElementById('localJobsList');
+  const countSpan = document.getElementById('localJobsCount');
+  const hasJobs = localJobs.length > 0;
+  const unpushed = localJobs.filter(job => !job.pushedAt).length;
+
+  document.getElementById('exportLocalCsvButton').disabled = !hasJobs;
+  document.getElementById('exportLocalJsonButton').disabled = !hasJobs;
+  document.getElementById('clearLocalJobsButton').disabled = !hasJobs;
+  document.getElementById('pushLocalJobsButton').disabled = unpushed === 0;
+
+  if (!hasJobs) {
+    countSpan.textContent = 'No jobs saved on this device';
+    listDiv.innerHTML = '<div class="empty-state">Jobs saved with a "This device only" profile will appear here.</div>';
+    return;
+  }
+
+  const matches = LocalJobs.filter(localJobs, document.getElementById('localJobsSearch').value);
+
+  countSpan.textContent = (matches.length === localJobs.length
+    ? `${localJobs.length} job${localJobs.length === 1 ? '' : 's'}`
+    : `${matches.length} of ${localJobs.length} jobs match`) + `, ${unpushed} not in Airtable yet`;
+
+  if (matches.length === 0) {
+    listDiv.innerHTML = '<div class="empty-state">No jobs match your search.</div>';
+    return;
+  }
+
+  const shown = matches.slice(0, HISTORY_PAGE_SIZE);
+
+  listDiv.innerHTML = shown.map(job => `
+    <div class="draft-item">
+      <div class="draft-item-header">
+        <span class="draft-url">${escapeHtml(job.jobTitle || 'Untitled job')} at ${escapeHtml(job.company || 'unknown company')}</span>
+        <div class="draft-item-buttons">
+          <button class="draft-delete" data-id="${job.id}">Delete</button>
+        </div>
+      </div>
+      <div class="draft-meta">${escapeHtml(FieldMapping.toText(job.location || ''))}${job.location && job.location.length ? ' - ' : ''}saved ${getTimeAgo(new Date(job.createdAt))}${job.pushedAt ? ', pushed to Airtable' : ''}</div>
+      <div class="history-links">
+        ${job.link ? `<a href="${escapeHtml(job.link)}" target="_blank" title="${escapeHtml(job.link)}">${escapeHtml(truncateUrl(job.link, 50))}</a>` : ''}
+      </div>
+    </div>
+  `).join('') + (matches.length > shown.length
+    ? `<div class="empty-state">Showing the ${shown.length} most recent. Search to narrow down, or export for the full list.</div>`
+    : '');
+
+  listDiv.querySelectorAll('.draft-delete').forEach(button => {
+    button.addEventListener('click', async () => {
+      await LocalJobs.remove(button.getAttribute('data-id'));
+      await loadLocalJobs();
+    });
+  });
+}
+
+/**
+ * Offer the Airtable profiles as push targets
+ */
+function renderPushTargets(profiles) {
+  const select = document.getElementById('pushProfileSelect');
+  const selected = select.value;
+  const targets = profiles.filter(profile => profile.destination === 'airtable' && StorageHelper.isProfileConfigured(profile));
+
+  select.innerHTML = targets.length > 0 ? '' : '<option value="">Set up an Airtable profile first</option>';
+  targets.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = `${profile.name} (${profile.tableName})`;
+    select.appendChild(option);
+  });
+
+  if (targets.some(profile => profile.id === selected)) {
+    select.value = selected;
+  }
+}
+
+function exportLocalJobs(format) {
+  const date = new Date().toISOString().slice(0, 10);
+
+  if (format === 'csv') {
+    downloadFile(`job-lead-local-${date}.csv`, LocalJobs.toCsv(localJobs), 'text/csv');
+  } else {
+    downloadFile(`job-lead-local-${date}.json`, LocalJobs.toJson(localJobs), 'application/json');
+  }
+}
+
+async function importLocalJobs(file) {
+  try {
+    const items = LocalJobs.parseFile(await file.text(), file.name);
+    const result = await LocalJobs.importJobs(items, editingProfileId);
+    await loadLocalJobs();
+
+    const skipped = result.skipped > 0 ? ` (${result.skipped} skipped: already saved or empty)` : '';
+    showStatus(`Imported ${result.added} job${result.added === 1 ? '' : 's'}${skipped}`, 'success', 'localJobsStatus');
+  } catch (error) {
+    console.error('Error importing jobs:', error);
+    showStatus('Could not import the file: ' + error.message, 'error', 'localJobsStatus');
+  }
+}
+
+async function pushLocalJobs() {
+  const profileId = document.getElementById('pushProfileSelect').value;
+  if (!profileId) {
+    showStatus('Set up and save an Airtable profile first', 'error', 'localJobsStatus');
+    return;
+  }
+
+  const button = document.getElementById('pushLocalJobsButton');
+  button.disabled = true;
+  showStatus('Pushing jobs to Airtable...', 'info', 'localJobsStatus');
+
+  try {
+    const result = await chrome.runtime.sendMessage({ type: 'PUSH_LOCAL_JOBS', profileId: profileId });
+
+    if (result.success) {
+      showStatus(`Pushed ${result.pushed} job${result.pushed === 1 ? '' : 's'} to Airtable`, 'success', 'localJobsStatus');
+    } else if (result.total) {
+      showStatus(`Pushed ${result.pushed} of ${result.total}. The rest were not pushed: ${result.error} Push again to retry them.`, 'error', 'localJobsStatus');
+    } else {
+      showStatus('Push failed: ' + result.error, 'error', 'localJobsStatus');
+    }
+  } catch (error) {
+    console.error('Error pushing local jobs:', error);
+    showStatus('Push failed: ' + error.message, 'error', 'localJobsStatus');
+  } finally {
+    await loadLocalJobs();
+  }
+}
+
+// Outbox Functions
+
+async function loadOutbox() {
+  const outboxListDiv = document.getElementById('outboxList');
+  const outboxCountSpan = document.getElementById('outboxCount');
+
+  try {
+    const items = await Outbox.getAll();
+
+    if (items.length === 0) {
+      outboxCountSpan.textContent = 'Nothing waiting to send';
+      outboxListDiv.innerHTML = '<div class="empty-state">All jobs have been delivered to Airtable.</div>';
+      document.getElementById('resendAllButton').disabled = true;
+      return;
+    }
+
+    outboxCountSpan.textContent = `${items.length} job${items.length === 1 ? '' : 's'} waiting to send`;
+    document.getElementById('resendAllButton').disabled = false;
+
+    outboxListDiv.innerHTML = items.map(item => {
+      const data = item.message.data || {};
+      const action = OUTBOX_ACTIONS[item.message.type] || 'New record';
+
+      return `
+        <div class="draft-item">
+          <div class="draft-item-header">
+            <span class="draft-url">${escapeHtml(data.jobTitle || 'Untitled job')} at ${escapeHtml(data.company || 'unknown company')}</span>
+            <div class="draft-item-buttons">
+              <button class="outbox-resend" data-id="${item.id}">Resend</button>
+              <button class="draft-delete" data-id="${item.id}">Discard</button>
+            </div>
+          </div>
+          <div class="draft-meta">${action} - queued ${getTimeAgo(new Date(item.createdAt))}, ${item.attempts} attempt${item.attempts === 1 ? '' : 's'}</div>
+          <div class="draft-data">
+            ${data.link ? `<div><strong>Link:</strong> ${escapeHtml(truncateUrl(data.link, 60))}</div>` : ''}
+            ${item.lastError ? `<div class="outbox-error"><strong>Last error:</strong> ${escapeHtml(item.lastError)}</div>` : ''}
+            ${item.needsAttention ? '<div class="outbox-error">Not retried automatically - fix the problem in settings, then resend.</div>' : ''}
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    outboxListDiv.querySelectorAll('.outbox-resend').forEach(button => {
+      button.addEventListener('click', async () => {
+        await resendOutbox(button.getAttribute('data-id'));
+      });
+    });
+
+    outboxListDiv.querySelectorAll('.draft-delete').forEach(button => {
+      button.addEventListener('click', async () => {
+        await discardOutboxItem(button.getAttribute('data-id'));
+      });
+    });
+  } catch (error) {
+    console.error('Error loading outbox:', error);
+    outboxCountSpan.textContent = 'Error loading outbox';
+    outboxListDiv.innerHTML = '<div class="empty-state">Error loading outbox. Please try refreshing.</div>';
+  }
+}
+
+async function resendOutbox(id) {
+  showStatus('Sending to Airtable...', 'info', 'outboxStatus');
+
+  try {
+    const result = await chrome.runtime.sendMessage({ type: 'RETRY_OUTBOX', id: id });
+
+    if (result.success) {
+      showStatus(id ? 'Job sent to Airtable' : 'All queued jobs sent to Airtable', 'success', 'outboxStatus');
+    } else {
+      showStatus('Resend failed: ' + result.error, 'error', 'outboxStatus');
+    }
+  } catch (error) {
+    console.error('Error resending outbox:', error);
+    showStatus('Resend failed: ' + error.message, 'error', 'outboxStatus');
+  }
+
+  await loadOutbox();
+}
+
+async function discardOutboxItem(id) {
+  if (!confirm('Discard this job? It will not be sent to Airtable.')) return;
+
+  try {
+    // The service worker owns outbox changes, so a discard can't race a delivery
+    const result = await chrome.runtime.sendMessage({ type: 'DISCARD_OUTBOX_ITEM', id: id });
+    if (!result || !result.success) {
+      throw new Error(result ? result.error : 'No response');
+    }
+
+    await loadOutbox();
+    showStatus('Job discarded', 'success', 'outboxStatus');
+  } catch (error) {
+    console.error('Error discarding outbox item:', error);
+    showStatus('Error discarding job', 'error', 'outboxStatus');
+  }
+}
+
 // Draft Management Functions
 
 async function loadDrafts() {
@@ -174,7 +1497,9 @@ async function loadDrafts() {
     draftListDiv.innerHTML = drafts.map(draft => {
       const date = new Date(draft.timestamp);
       const timeAgo = getTimeAgo(date);
-      const { company, jobTitle, location, description } = draft.formData;
+      const { company, jobTitle, description } = draft.formData;
+      // Location chips, plus any location still being typed
+      const location = FieldMapping.toText((draft.formData.locations || []).concat(draft.formData.location || []).filter(Boolean));
 
       return `
         <div class="draft-item" data-key="${draft.key}">
@@ -287,5 +1612,6 @@ function truncateText(text, maxLength) {
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  // innerHTML leaves quotes alone; escape them too so values are safe inside attributes
+  return div.innerHTML.replace(/"/g, '&quot;');
 }
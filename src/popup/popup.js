@@ -5,6 +5,23 @@ let currentUrl = null;
 let detectedData = null;
 let draftSaveTimeout = null;
 
+// Airtable record already holding this posting (enables "Update existing")
+let existingMatch = null;
+
+// Locations shown as chips (postings often list several offices)
+let jobLocations = [];
+
+// Destination profiles and the one this submission goes to
+let profiles = [];
+let selectedProfileId = null;
+
+// Element picker: the tab being picked from and the last pick, offered as an extraction rule
+let pickTabId = null;
+let pickedRule = null;
+
+// Picks older than this are ignored when the popup opens again
+const PENDING_PICK_MAX_AGE = 5 * 60 * 1000;
+
 document.addEventListener('DOMContentLoaded', async () => {
   // Try to upgrade to side panel if supported (Chrome 114+)
   if (chrome.sidePanel && typeof chrome.sidePanel.open === 'function') {
@@ -29,15 +46,18 @@ document.addEventListener('DOMContentLoaded', async () => {
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
   currentUrl = tab ? tab.url : null;
 
-  // Check if configured
-  const isConfigured = await chrome.storage.sync.get(['apiKey', 'baseId', 'tableName'])
-    .then(result => !!(result.apiKey && result.baseId && result.tableName));
+  // Pick the destination profile for this page
+  await loadProfiles(currentUrl);
 
-  if (!isConfigured) {
+  if (!profiles.some(profile => StorageHelper.isProfileConfigured(profile))) {
+    setupNotConfiguredHandlers();
     showNotConfiguredState();
     return;
   }
 
+  // Encrypted token not unlocked yet this session: ask for the passphrase
+  updateUnlockPrompt();
+
   // Show loading and start detection
   showLoadingState();
   await detectJobData();
@@ -49,6 +69,10 @@ document.addEventListener('DOMContentLoaded', async () => {
   setupEventListeners();
   setupAutoSave();
   setupDraftHandlers();
+  setupDuplicateHandlers();
+  setupProfileHandlers();
+  setupUnlockHandlers();
+  setupPickHandlers();
 });
 
 /**
@@ -100,14 +124,131 @@ function showForm(data) {
   // Populate fields
   document.getElementById('company').value = data.company || '';
   document.getElementById('jobTitle').value = data.jobTitle || '';
-  document.getElementById('location').value = data.location || '';
+  document.getElementById('location').value = '';
+  setLocations(data.locations || (data.location ? [data.location] : []));
   document.getElementById('description').value = data.description || '';
+  document.getElementById('employmentType').value = data.employmentType || '';
+  document.getElementById('workplaceType').value = data.workplaceType || '';
+  document.getElementById('datePosted').value = data.datePosted || '';
+  document.getElementById('validThrough').value = data.validThrough || '';
+  fillCompensation(data.compensation);
 
   // Set confidence indicators
   setConfidenceIndicator('companyConfidence', data.confidence?.company || 0);
   setConfidenceIndicator('jobTitleConfidence', data.confidence?.jobTitle || 0);
   setConfidenceIndicator('locationConfidence', data.confidence?.location || 0);
   setConfidenceIndicator('descriptionConfidence', data.confidence?.description || 0);
+  setConfidenceIndicator('employmentTypeConfidence', data.confidence?.employmentType || 0);
+  setConfidenceIndicator('workplaceTypeConfidence', data.confidence?.workplaceType || 0);
+  setConfidenceIndicator('datePostedConfidence', data.confidence?.datePosted || 0);
+  setConfidenceIndicator('validThroughConfidence', data.confidence?.validThrough || 0);
+  setConfidenceIndicator('compensationConfidence', data.confidence?.compensation || 0);
+
+  // Look up the posting in Airtable in the background
+  checkForExistingRecord(data);
+
+  // A pick made while the popup was closed (clicking the page closes it)
+  applyPendingPick();
+}
+
+/**
+ * Replace the location chips
+ */
+function setLocations(list) {
+  jobLocations = [];
+  list.forEach(addLocation);
+  renderLocations();
+}
+
+/**
+ * Add a location chip unless it is already there
+ */
+function addLocation(value) {
+  const location = (value || '').trim();
+  if (location && !jobLocations.some(existing => existing.toLowerCase() === location.toLowerCase())) {
+    jobLocations.push(location);
+  }
+}
+
+/**
+ * Render the location chips with remove buttons
+ */
+function renderLocations() {
+  const container = document.getElementById('locationChips');
+  container.innerHTML = '';
+
+  jobLocations.forEach((location, index) => {
+    const chip = document.createElement('span');
+    chip.className = 'location-chip';
+    chip.textContent = location;
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'location-chip-remove';
+    remove.textContent = '×';
+    remove.title = `Remove ${location}`;
+    remove.addEventListener('click', async () => {
+      jobLocations.splice(index, 1);
+      renderLocations();
+      await saveCurrentDraft();
+    });
+
+    chip.appendChild(remove);
+    container.appendChild(chip);
+  });
+
+  container.classList.toggle('hidden', jobLocations.length === 0);
+}
+
+/**
+ * Locations to send: the chips plus a location still typed in the input
+ * @returns {string[]}
+ */
+function readLocations() {
+  const typed = document.getElementById('location').value.trim();
+  const alreadyAdded = jobLocations.some(existing => existing.toLowerCase() === typed.toLowerCase());
+  return typed && !alreadyAdded ? jobLocations.concat(typed) : jobLocations.slice();
+}
+
+/**
+ * Fill the salary inputs from detected compensation ({min, max, currency, period} or null)
+ */
+function fillCompensation(compensation) {
+  document.getElementById('salaryMin').value = compensation?.min || '';
+  document.getElementById('salaryMax').value = compensation?.max || '';
+  document.getElementById('salaryCurrency').value = compensation?.currency || '';
+  document.getElementById('salaryPeriod').value = compensation?.period || '';
+}
+
+/**
+ * Read the salary inputs. Amounts may be typed as "120k" or "$120,000";
+ * the formatted salary is sent along for plain text columns.
+ * @returns {Object} {salary, salaryMin, salaryMax, salaryCurrency, salaryPeriod}
+ */
+function readCompensation() {
+  const readAmount = id => {
+    const parsed = Compensation.parseText(document.getElementById(id).value, { requireCurrency: false });
+    return parsed ? parsed.min : '';
+  };
+
+  const min = readAmount('salaryMin');
+  const max = readAmount('salaryMax');
+
+  // Currency and period mean nothing without an amount
+  if (!min && !max) {
+    return { salary: '', salaryMin: '', salaryMax: '', salaryCurrency: '', salaryPeriod: '' };
+  }
+
+  const currency = document.getElementById('salaryCurrency').value.trim().toUpperCase();
+  const period = document.getElementById('salaryPeriod').value;
+
+  return {
+    salary: Compensation.format({ min, max, currency, period }),
+    salaryMin: min,
+    salaryMax: max,
+    salaryCurrency: currency,
+    salaryPeriod: period
+  };
 }
 
 /**
@@ -152,6 +293,7 @@ function setupEventListeners() {
   if (clearButton) {
     clearButton.addEventListener('click', async () => {
       form.reset();
+      setLocations([]);
       // Clear saved draft too
       if (currentUrl) {
         await DraftStorage.clearDraft(currentUrl);
@@ -160,6 +302,20 @@ function setupEventListeners() {
     });
   }
 
+  // Enter in the location input adds a chip (and submits the form when the input is empty)
+  const locationInput = document.getElementById('location');
+  if (locationInput) {
+    locationInput.addEventListener('keydown', async (e) => {
+      if (e.key !== 'Enter' || !locationInput.value.trim()) return;
+
+      e.preventDefault();
+      addLocation(locationInput.value);
+      locationInput.value = '';
+      renderLocations();
+      await saveCurrentDraft();
+    });
+  }
+
   // Settings link
   const settingsLink = document.getElementById('settingsLink');
   if (settingsLink) {
@@ -200,7 +356,7 @@ function setupEventListeners() {
  * Setup auto-save functionality
  */
 function setupAutoSave() {
-  const fields = ['company', 'jobTitle', 'location', 'description'];
+  const fields = ['company', 'jobTitle', 'location', 'description', 'employmentType', 'workplaceType', 'datePosted', 'validThrough', 'salaryMin', 'salaryMax', 'salaryCurrency', 'salaryPeriod'];
 
   fields.forEach(fieldId => {
     const element = document.getElementById(fieldId);
@@ -282,7 +438,16 @@ async function restoreDraft() {
     document.getElementById('company').value = draft.formData.company || '';
     document.getElementById('jobTitle').value = draft.formData.jobTitle || '';
     document.getElementById('location').value = draft.formData.location || '';
+    setLocations(draft.formData.locations || []);
     document.getElementById('description').value = draft.formData.description || '';
+    document.getElementById('employmentType').value = draft.formData.employmentType || '';
+    document.getElementById('workplaceType').value = draft.formData.workplaceType || '';
+    document.getElementById('datePosted').value = draft.formData.datePosted || '';
+    document.getElementById('validThrough').value = draft.formData.validThrough || '';
+    document.getElementById('salaryMin').value = draft.formData.salaryMin || '';
+    document.getElementById('salaryMax').value = draft.formData.salaryMax || '';
+    document.getElementById('salaryCurrency').value = draft.formData.salaryCurrency || '';
+    document.getElementById('salaryPeriod').value = draft.formData.salaryPeriod || '';
 
     // Hide draft prompt
     document.getElementById('draftPrompt').classList.add('hidden');
@@ -302,11 +467,20 @@ async function saveCurrentDraft() {
     company: document.getElementById('company').value,
     jobTitle: document.getElementById('jobTitle').value,
     location: document.getElementById('location').value,
-    description: document.getElementById('description').value
+    locations: jobLocations.slice(),
+    description: document.getElementById('description').value,
+    employmentType: document.getElementById('employmentType').value,
+    workplaceType: document.getElementById('workplaceType').value,
+    datePosted: document.getElementById('datePosted').value,
+    validThrough: document.getElementById('validThrough').value,
+    salaryMin: document.getElementById('salaryMin').value,
+    salaryMax: document.getElementById('salaryMax').value,
+    salaryCurrency: document.getElementById('salaryCurrency').value,
+    salaryPeriod: document.getElementById('salaryPeriod').value
   };
 
   // Only save if at least one field has data
-  const hasData = Object.values(formData).some(val => val.trim() !== '');
+  const hasData = Object.values(formData).some(val => (Array.isArray(val) ? val.length > 0 : val.trim() !== ''));
 
   if (hasData) {
     await DraftStorage.saveDraft(currentUrl, formData, detectedData?.confidence);
@@ -338,26 +512,27 @@ async function handleSubmit(e) {
 
   const company = document.getElementById('company').value.trim();
   const jobTitle = document.getElementById('jobTitle').value.trim();
-  const location = document.getElementById('location').value.trim();
+  const locations = readLocations();
   const description = document.getElementById('description').value.trim();
 
   // Validate required fields
-  if (!company || !jobTitle || !location) {
+  if (!company || !jobTitle || locations.length === 0) {
     showStatus('Please fill in required fields', 'error');
     return;
   }
 
-  // Disable submit button
-  const submitButton = e.target.querySelector('button[type="submit"]');
-  submitButton.disabled = true;
-  submitButton.textContent = 'Sending...';
+  const compensation = readCompensation();
+  if (compensation.salaryMin && compensation.salaryMax && compensation.salaryMin > compensation.salaryMax) {
+    showStatus('The minimum salary is higher than the maximum', 'error');
+    return;
+  }
 
-  showStatus('Sending to Airtable...', 'info');
+  setSubmitting(true, existingMatch ? 'Sending...' : 'Checking...');
 
   try {
     // Get current tab URL
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    const currentUrl = tab ? tab.url : '';
+    const tabUrl = tab ? tab.url : '';
 
     // Get current timestamp in format: YYYY-MM-DD HH:MM:SS
     const now = new Date();
@@ -372,51 +547,594 @@ async function handleSubmit(e) {
     // Generate unique JobID using UUID
     const jobId = crypto.randomUUID();
 
-    // Build data object (include description only if it has a value)
+    // New records start with the profile's default Status, Score and Source
+    const defaults = getSelectedProfile().defaults;
+
+    // Build data object keyed by internal field names; the service worker
+    // maps these to Airtable columns (empty values such as a blank description are skipped)
     const data = {
-      JobID: jobId,
-      Company: company,
-      Title: jobTitle,
-      Location: location,
-      Status: 'New',
-      'Last Updated': lastUpdated,
-      Score: 0,
-      Source: 'Browser',
-      Link: currentUrl
+      jobId: jobId,
+      company: company,
+      jobTitle: jobTitle,
+      location: locations,
+      status: defaults.status,
+      lastUpdated: lastUpdated,
+      score: defaults.score,
+      source: defaults.source,
+      link: JobUrl.canonicalize(tabUrl),
+      description: description,
+      employmentType: document.getElementById('employmentType').value,
+      workplaceType: document.getElementById('workplaceType').value,
+      datePosted: document.getElementById('datePosted').value,
+      validThrough: document.getElementById('validThrough').value,
+      ...compensation
     };
 
-    if (description) {
-      data.Summary = description;
+    if (!existingMatch) {
+      // Look for the same posting before creating a new row
+      showStatus('Checking Airtable for this job...', 'info');
+      const match = await findExistingRecord(data);
+
+      if (match) {
+        hideStatus();
+        showExistingMatch(match);
+        return;
+      }
+
+      await sendJobData({ type: 'SEND_TO_AIRTABLE', data: data, profileId: selectedProfileId }, getSentMessage());
+    } else if (getSubmitMode() === 'update') {
+      await sendJobData({ type: 'UPDATE_AIRTABLE_RECORD', match: existingMatch, data: data, profileId: selectedProfileId }, 'Updated existing Airtable record!');
+    } else {
+      await sendJobData({ type: 'SEND_TO_AIRTABLE', data: data, profileId: selectedProfileId }, getSentMessage());
+    }
+  } catch (error) {
+    console.error('Submission error:', error);
+    showStatus('Error: ' + error.message, 'error');
+  } finally {
+    setSubmitting(false);
+  }
+}
+
+/**
+ * Send a create/update message to the service worker and report the result
+ */
+async function sendJobData(message, successMessage) {
+  showStatus('Sending to Airtable...', 'info');
+
+  const response = await chrome.runtime.sendMessage(message);
+
+  if (response.success) {
+    // Clear draft after successful submission
+    if (currentUrl) {
+      await DraftStorage.clearDraft(currentUrl);
     }
 
-    // Send to service worker
-    const response = await chrome.runtime.sendMessage({
-      type: 'SEND_TO_AIRTABLE',
-      data: data
+    clearExistingMatch();
+    showStatus(successMessage, 'success');
+
+    // Clear form after 2 seconds
+    setTimeout(() => {
+      document.getElementById('jobForm').reset();
+      setLocations([]);
+      hideStatus();
+    }, 2000);
+  } else if (response.locked) {
+    // The service worker won't send until the token is unlocked
+    document.getElementById('unlockPrompt').classList.remove('hidden');
+    document.getElementById('unlockPassphrase').focus();
+    showStatus(response.error, 'error');
+  } else if (response.queued) {
+    // Airtable unreachable: the service worker keeps it in the outbox and retries
+    if (currentUrl) {
+      await DraftStorage.clearDraft(currentUrl);
+    }
+
+    clearExistingMatch();
+    showStatus('Airtable is unreachable (' + response.error + '). Saved to the outbox - it will be sent automatically.', 'info');
+  } else {
+    showStatus('Failed: ' + response.error, 'error');
+  }
+}
+
+/**
+ * Toggle the submit button's busy state
+ */
+function setSubmitting(isSubmitting, label = 'Sending...') {
+  const submitButton = document.querySelector('#jobForm button[type="submit"]');
+  if (!submitButton) return;
+
+  submitButton.disabled = isSubmitting;
+  submitButton.textContent = isSubmitting ? label : getSubmitLabel();
+}
+
+/**
+ * Look up an Airtable record for the same posting (a failed lookup counts as no match)
+ */
+async function findExistingRecord(data) {
+  const response = await chrome.runtime.sendMessage({
+    type: 'FIND_DUPLICATES',
+    data: data,
+    profileId: selectedProfileId
+  });
+
+  return response && response.success && response.matches.length > 0 ? response.matches[0] : null;
+}
+
+/**
+ * Check whether the detected posting is already in Airtable as soon as the form is shown
+ */
+async function checkForExistingRecord(data) {
+  const profileId = selectedProfileId;
+
+  try {
+    const match = await findExistingRecord({
+      link: JobUrl.canonicalize(currentUrl || ''),
+      company: data.company || '',
+      jobTitle: data.jobTitle || ''
     });
 
-    if (response.success) {
-      // Clear draft after successful submission
-      if (currentUrl) {
-        await DraftStorage.clearDraft(currentUrl);
-      }
+    // Ignore the answer if the user switched profiles while waiting
+    if (match && profileId === selectedProfileId) {
+      showExistingMatch(match);
+    }
+  } catch (error) {
+    console.error('Duplicate check error:', error);
+  }
+}
 
-      showStatus('Successfully sent to Airtable!', 'success');
+/**
+ * Show the "already in Airtable" prompt and switch to "Update existing" mode
+ */
+function showExistingMatch(match) {
+  existingMatch = match;
 
-      // Clear form after 2 seconds
-      setTimeout(() => {
-        document.getElementById('jobForm').reset();
-        hideStatus();
-      }, 2000);
+  document.getElementById('duplicateMessage').textContent = 'Already in Airtable';
+  renderRecordDetails(match);
+  document.getElementById('duplicatePrompt').classList.remove('hidden');
+  document.getElementById('submitModeGroup').classList.remove('hidden');
+
+  setSubmitMode('update');
+}
+
+/**
+ * Show the matched record's Status (editable), Score and notes columns
+ */
+function renderRecordDetails(match) {
+  const select = document.getElementById('recordStatusSelect');
+  const input = document.getElementById('recordStatusInput');
+  const useSelect = !!match.statusOptions;
+
+  document.getElementById('recordStatusRow').classList.toggle('hidden', !match.statusEditable);
+  select.classList.toggle('hidden', !useSelect);
+  input.classList.toggle('hidden', useSelect);
+  input.value = match.status;
+
+  select.innerHTML = '';
+  if (useSelect) {
+    // Keep the current value selectable even if it is no longer one of the choices
+    const choices = match.statusOptions.slice();
+    if (!choices.includes(match.status)) {
+      choices.unshift(match.status);
+    }
+
+    choices.forEach(choice => {
+      const option = document.createElement('option');
+      option.value = choice;
+      option.textContent = choice || '(no status)';
+      select.appendChild(option);
+    });
+    select.value = match.status;
+  }
+
+  const score = document.getElementById('recordScore');
+  score.textContent = `Score: ${match.score}`;
+  score.classList.toggle('hidden', !match.score);
+
+  const notes = document.getElementById('recordNotes');
+  notes.innerHTML = '';
+  match.notes.forEach(note => {
+    const term = document.createElement('dt');
+    term.textContent = note.column;
+    const value = document.createElement('dd');
+    value.textContent = note.value;
+    notes.append(term, value);
+  });
+  notes.classList.toggle('hidden', match.notes.length === 0);
+}
+
+/**
+ * Push the chosen Status to the matched Airtable record
+ */
+async function saveRecordStatus() {
+  if (!existingMatch) return;
+
+  const useSelect = !!existingMatch.statusOptions;
+  const status = (useSelect
+    ? document.getElementById('recordStatusSelect').value
+    : document.getElementById('recordStatusInput').value).trim();
+
+  if (!status) {
+    showStatus('Choose a Status first', 'error');
+    return;
+  }
+
+  const button = document.getElementById('saveStatus');
+  button.disabled = true;
+  button.textContent = 'Saving...';
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'UPDATE_AIRTABLE_STATUS',
+      match: existingMatch,
+      status: status,
+      profileId: selectedProfileId
+    });
+
+    if (response.success) {
+      existingMatch.status = status;
+      showStatus(`Status changed to "${status}"`, 'success');
+    } else if (response.locked) {
+      document.getElementById('unlockPrompt').classList.remove('hidden');
+      document.getElementById('unlockPassphrase').focus();
+      showStatus(response.error, 'error');
+    } else if (response.queued) {
+      existingMatch.status = status;
+      showStatus('Airtable is unreachable (' + response.error + '). The Status change is in the outbox and will be sent automatically.', 'info');
     } else {
       showStatus('Failed: ' + response.error, 'error');
     }
   } catch (error) {
-    console.error('Submission error:', error);
+    console.error('Status update error:', error);
     showStatus('Error: ' + error.message, 'error');
   } finally {
-    submitButton.disabled = false;
-    submitButton.textContent = 'Send to Airtable';
+    button.disabled = false;
+    button.textContent = 'Save Status';
+  }
+}
+
+/**
+ * Forget the matched record and go back to plain "Send to Airtable"
+ */
+function clearExistingMatch() {
+  existingMatch = null;
+  document.getElementById('duplicatePrompt').classList.add('hidden');
+  document.getElementById('submitModeGroup').classList.add('hidden');
+  updateSubmitLabel();
+}
+
+/**
+ * Get the selected submit mode ('update' or 'create')
+ */
+function getSubmitMode() {
+  if (!existingMatch) return 'create';
+
+  const selected = document.querySelector('input[name="submitMode"]:checked');
+  return selected ? selected.value : 'update';
+}
+
+/**
+ * Select a submit mode
+ */
+function setSubmitMode(mode) {
+  const radio = document.querySelector(`input[name="submitMode"][value="${mode}"]`);
+  if (radio) {
+    radio.checked = true;
+  }
+  updateSubmitLabel();
+}
+
+/**
+ * Submit button text for the current mode
+ */
+function getSubmitLabel() {
+  if (getSubmitMode() === 'update') return 'Update in Airtable';
+  return isLocalProfile() ? 'Save on This Device' : 'Send to Airtable';
+}
+
+/**
+ * Success message for a new job
+ */
+function getSentMessage() {
+  return isLocalProfile() ? 'Saved on this device! Export it or push it to Airtable from settings.' : 'Successfully sent to Airtable!';
+}
+
+/**
+ * Whether the selected profile keeps jobs on this device instead of sending them
+ */
+function isLocalProfile() {
+  const profile = getSelectedProfile();
+  return !!profile && profile.destination === 'local';
+}
+
+/**
+ * Refresh the submit button text (unless a submission is in progress)
+ */
+function updateSubmitLabel() {
+  const submitButton = document.querySelector('#jobForm button[type="submit"]');
+  if (submitButton && !submitButton.disabled) {
+    submitButton.textContent = getSubmitLabel();
+  }
+}
+
+/**
+ * Setup duplicate prompt and submit mode handlers
+ */
+function setupDuplicateHandlers() {
+  const form = document.getElementById('jobForm');
+
+  document.getElementById('openDuplicate').addEventListener('click', () => {
+    if (existingMatch) {
+      chrome.tabs.create({ url: existingMatch.url });
+    }
+  });
+
+  document.getElementById('updateDuplicate').addEventListener('click', () => {
+    setSubmitMode('update');
+    form.requestSubmit();
+  });
+
+  document.getElementById('createAnyway').addEventListener('click', () => {
+    setSubmitMode('create');
+    form.requestSubmit();
+  });
+
+  document.getElementById('saveStatus').addEventListener('click', saveRecordStatus);
+
+  document.querySelectorAll('input[name="submitMode"]').forEach(radio => {
+    radio.addEventListener('change', updateSubmitLabel);
+  });
+}
+
+/**
+ * Load destination profiles and pick the one for this page
+ * (a matching domain rule, otherwise the last used profile)
+ */
+async function loadProfiles(url) {
+  profiles = await StorageHelper.getProfiles();
+  selectedProfileId = await StorageHelper.getProfileIdForUrl(url || '');
+
+  const select = document.getElementById('profileSelect');
+  select.innerHTML = '';
+
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = StorageHelper.isProfileConfigured(profile) ? profile.name : `${profile.name} (not configured)`;
+    select.appendChild(option);
+  });
+
+  select.value = selectedProfileId;
+
+  // Only show the switcher when there is a choice
+  document.getElementById('profileGroup').classList.toggle('hidden', profiles.length < 2);
+}
+
+/**
+ * Get the profile selected in the switcher
+ */
+function getSelectedProfile() {
+  return profiles.find(profile => profile.id === selectedProfileId) || profiles[0];
+}
+
+/**
+ * Setup profile switcher handler
+ */
+function setupProfileHandlers() {
+  const select = document.getElementById('profileSelect');
+  updateSubmitLabel();
+
+  select.addEventListener('change', async () => {
+    selectedProfileId = select.value;
+    await StorageHelper.setActiveProfileId(selectedProfileId);
+    updateUnlockPrompt();
+
+    // A match in the previous table says nothing about this one
+    clearExistingMatch();
+    checkForExistingRecord({
+      company: document.getElementById('company').value.trim(),
+      jobTitle: document.getElementById('jobTitle').value.trim()
+    });
+  });
+}
+
+/**
+ * Setup "pick from page" buttons and the rule prompt shown after a pick
+ */
+function setupPickHandlers() {
+  document.querySelectorAll('.pick-button').forEach(button => {
+    button.addEventListener('click', async (e) => {
+      // The button sits inside a label; don't focus the input
+      e.preventDefault();
+      await startPicker(button.dataset.field, button.dataset.label);
+    });
+  });
+
+  chrome.runtime.onMessage.addListener((message, sender) => {
+    if (!sender.tab || sender.tab.id !== pickTabId) return;
+
+    if (message.type === 'ELEMENT_PICKED') {
+      chrome.storage.local.remove('pendingPick');
+      applyPick(message);
+    } else if (message.type === 'ELEMENT_PICK_CANCELLED') {
+      endPicking();
+      hideStatus();
+    }
+  });
+
+  document.getElementById('savePickRule').addEventListener('click', savePickedRule);
+  document.getElementById('dismissPickRule').addEventListener('click', () => {
+    pickedRule = null;
+    document.getElementById('pickRulePrompt').classList.add('hidden');
+  });
+}
+
+/**
+ * Ask the page to show the element picker for a field
+ */
+async function startPicker(field, label) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !tab.id) {
+    showStatus('No active tab to pick from', 'error');
+    return;
+  }
+
+  endPicking();
+  pickTabId = tab.id;
+  document.querySelector(`.pick-button[data-field="${field}"]`).classList.add('picking');
+
+  chrome.tabs.sendMessage(tab.id, { type: 'START_PICKER', field, label }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      endPicking();
+      showStatus('Could not reach the page. Please refresh it and try again.', 'error');
+      return;
+    }
+
+    showStatus(`Click the ${label} on the page (Esc cancels)`, 'info');
+  });
+}
+
+/**
+ * Reset the pick buttons
+ */
+function endPicking() {
+  document.querySelectorAll('.pick-button.picking').forEach(button => button.classList.remove('picking'));
+}
+
+/**
+ * Fill a field from a picked element and offer to save its selector as a rule
+ * @param {Object} pick - {field, value, selector, url}
+ */
+async function applyPick(pick) {
+  endPicking();
+  hideStatus();
+
+  const { field, value } = pick;
+
+  if (!value) {
+    // Salaries and the type selects need a recognizable value, not just any text
+    const parsed = ['compensation', 'employmentType', 'workplaceType'].includes(field);
+    showStatus(parsed ? `No ${ExtractionRules.getFieldLabel(field).toLowerCase()} found in that element` : 'That element has no text', 'error');
+    return;
+  }
+
+  if (field === 'location') {
+    addLocation(value);
+    renderLocations();
+  } else if (field === 'compensation') {
+    fillCompensation(value);
+  } else {
+    document.getElementById(field).value = value;
+  }
+
+  // Chosen by hand, so it's as certain as it gets
+  setConfidenceIndicator(`${field}Confidence`, 100);
+  await saveCurrentDraft();
+
+  let domain = '';
+  try {
+    domain = new URL(pick.url).hostname.replace(/^www\./, '');
+  } catch {
+    return;
+  }
+
+  if (!pick.selector || !domain) return;
+
+  pickedRule = { domain, field, type: 'css', expression: pick.selector, confidence: ExtractionRules.DEFAULT_CONFIDENCE };
+  document.getElementById('pickRuleMessage').textContent =
+    `Always read the ${ExtractionRules.getFieldLabel(field).toLowerCase()} on ${domain} from this element?`;
+  document.getElementById('pickRuleSelector').textContent = pick.selector;
+  document.getElementById('pickRulePrompt').classList.remove('hidden');
+}
+
+/**
+ * Apply a pick stored by the page while the popup was closed
+ */
+async function applyPendingPick() {
+  const { pendingPick } = await chrome.storage.local.get('pendingPick');
+  if (!pendingPick) return;
+
+  await chrome.storage.local.remove('pendingPick');
+
+  if (pendingPick.url === currentUrl && Date.now() - pendingPick.pickedAt < PENDING_PICK_MAX_AGE) {
+    await applyPick(pendingPick);
+  }
+}
+
+/**
+ * Save the last pick as an extraction rule for its domain
+ */
+async function savePickedRule() {
+  if (!pickedRule) return;
+
+  try {
+    const { rules } = ExtractionRules.merge(await ExtractionRules.getAll(), [ExtractionRules.normalize(pickedRule)]);
+    await ExtractionRules.save(rules);
+    showStatus(`Rule saved for ${pickedRule.domain}. Edit it under Extraction Rules in Settings.`, 'success');
+  } catch (error) {
+    console.error('Error saving rule:', error);
+    showStatus('Could not save the rule: ' + error.message, 'error');
+  } finally {
+    pickedRule = null;
+    document.getElementById('pickRulePrompt').classList.add('hidden');
+  }
+}
+
+/**
+ * Setup token unlock prompt handlers
+ */
+function setupUnlockHandlers() {
+  const input = document.getElementById('unlockPassphrase');
+
+  document.getElementById('unlockButton').addEventListener('click', unlockToken);
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      unlockToken();
+    }
+  });
+}
+
+/**
+ * Ask for the passphrase only when the selected profile has an encrypted token that is still locked
+ */
+function updateUnlockPrompt() {
+  const profile = getSelectedProfile();
+  document.getElementById('unlockPrompt').classList.toggle('hidden', !(profile && profile.tokenLocked));
+}
+
+/**
+ * Unlock the encrypted token for this browser session
+ */
+async function unlockToken() {
+  const input = document.getElementById('unlockPassphrase');
+  const button = document.getElementById('unlockButton');
+
+  if (!input.value) return;
+
+  button.disabled = true;
+  button.textContent = 'Unlocking...';
+
+  try {
+    await TokenVault.unlock(input.value);
+    input.value = '';
+
+    // One passphrase unlocks every profile's token
+    profiles = profiles.map(profile => ({ ...profile, tokenLocked: false }));
+    updateUnlockPrompt();
+    showStatus('Unlocked for this browser session', 'success');
+
+    // The duplicate check was skipped while locked
+    checkForExistingRecord({
+      company: document.getElementById('company').value.trim(),
+      jobTitle: document.getElementById('jobTitle').value.trim()
+    });
+  } catch (error) {
+    console.error('Unlock error:', error);
+    showStatus(error.message, 'error');
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Unlock';
   }
 }
 
@@ -438,6 +1156,21 @@ function showError(message) {
   document.getElementById('errorMessage').textContent = message;
 }
 
+/**
+ * Setup buttons of the not configured state
+ */
+function setupNotConfiguredHandlers() {
+  document.getElementById('openSettingsButton').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  // Capture now, connect Airtable later: this page's profile keeps jobs on this device
+  document.getElementById('useLocalButton').addEventListener('click', async () => {
+    await StorageHelper.saveSettings({ destination: 'local' }, selectedProfileId);
+    location.reload();
+  });
+}
+
 /**
  * Show not configured state
  */
@@ -0,0 +1,133 @@
+// Request scheduler that keeps Airtable calls within the per-base rate limit
+
+const AirtableScheduler = {
+  RATE_PER_SECOND: 5,          // Airtable allows 5 requests per second per base
+  BURST: 5,
+  RATE_LIMIT_PENALTY_MS: 30000, // Airtable blocks a base for 30 seconds after a 429
+  MAX_INLINE_WAIT_MS: 5000,     // Longer waits are reported back instead of blocking the caller
+
+  // baseId -> {tokens, refilledAt, blockedUntil, queue}
+  buckets: {},
+
+  /**
+   * Get (or create) the token bucket for a base
+   * @param {string} key - Base ID, or 'meta' for calls not scoped to a base
+   * @returns {Object} Bucket state
+   * @private
+   */
+  _getBucket(key) {
+    if (!this.buckets[key]) {
+      this.buckets[key] = {
+        tokens: this.BURST,
+        refilledAt: Date.now(),
+        blockedUntil: 0,
+        queue: Promise.resolve()
+      };
+    }
+    return this.buckets[key];
+  },
+
+  /**
+   * Milliseconds until a rate-limited base accepts requests again (0 if not blocked)
+   * @param {string} key - Base ID
+   * @returns {number}
+   */
+  getBlockedMs(key) {
+    return Math.max(0, this._getBucket(key).blockedUntil - Date.now());
+  },
+
+  /**
+   * Wait for a request slot. Callers are served in order.
+   * @param {string} key - Base ID
+   * @returns {Promise<void>}
+   */
+  acquire(key) {
+    const bucket = this._getBucket(key);
+    const turn = bucket.queue.then(() => this._takeToken(bucket));
+    // Keep the queue alive even if a waiter fails
+    bucket.queue = turn.catch(() => {});
+    return turn;
+  },
+
+  /**
+   * Block a base after a 429 response
+   * @param {string} key - Base ID
+   * @param {number} delayMs - How long to wait (from Retry-After, or the 30s penalty)
+   */
+  penalize(key, delayMs) {
+    const bucket = this._getBucket(key);
+    bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + delayMs);
+    bucket.tokens = 0;
+  },
+
+  /**
+   * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+   * @param {string|null} header - Header value
+   * @returns {number} Delay, defaulting to Airtable's 30 second penalty
+   */
+  parseRetryAfter(header) {
+    if (!header) return this.RATE_LIMIT_PENALTY_MS;
+
+    const seconds = Number(header);
+    if (!isNaN(seconds)) {
+      return seconds * 1000;
+    }
+
+    const date = Date.parse(header);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+
+    return this.RATE_LIMIT_PENALTY_MS;
+  },
+
+  /**
+   * Exponential backoff delay for transient failures (1s, 2s, 4s...)
+   * @param {number} attempt - Attempt number starting at 1
+   * @returns {Promise<void>}
+   */
+  backoff(attempt) {
+    return this._sleep(Math.pow(2, attempt - 1) * 1000);
+  },
+
+  /**
+   * Refill the bucket and take one token, sleeping until one is available
+   * @param {Object} bucket - Bucket state
+   * @private
+   */
+  async _takeToken(bucket) {
+    while (true) {
+      const now = Date.now();
+
+      if (now < bucket.blockedUntil) {
+        await this._sleep(bucket.blockedUntil - now);
+        continue;
+      }
+
+      const elapsed = (now - bucket.refilledAt) / 1000;
+      bucket.tokens = Math.min(this.BURST, bucket.tokens + elapsed * this.RATE_PER_SECOND);
+      bucket.refilledAt = now;
+
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return;
+      }
+
+      await this._sleep(((1 - bucket.tokens) / this.RATE_PER_SECOND) * 1000);
+    }
+  },
+
+  /**
+   * @param {number} ms
+   * @returns {Promise<void>}
+   * @private
+   */
+  _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+};
+
+// Make it available globally for use in other scripts
+if (typeof window !== 'undefined') {
+  window.AirtableScheduler = AirtableScheduler;
+}
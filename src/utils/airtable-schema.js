@@ -0,0 +1,308 @@
+// Airtable table schema helpers: caching, mapping checks and field-type-aware coercion
+
+const AirtableSchema = {
+  CACHE_KEY: 'airtableSchemaCache',
+  CACHE_TTL_MS: 60 * 60 * 1000, // 1 hour
+
+  /**
+   * Airtable field types that cannot be written through the API
+   */
+  READ_ONLY_TYPES: [
+    'formula', 'rollup', 'multipleLookupValues', 'count', 'autoNumber',
+    'createdTime', 'lastModifiedTime', 'createdBy', 'lastModifiedBy',
+    'button', 'externalSyncSource', 'aiText'
+  ],
+
+  /**
+   * Writable Airtable field types that plain text values can be coerced into
+   */
+  TEXT_TYPES: [
+    'singleLineText', 'multilineText', 'richText', 'email', 'phoneNumber',
+    'singleSelect', 'multipleSelects'
+  ],
+
+  /**
+   * Additional Airtable field types accepted for each value kind (see FieldMapping.FIELDS)
+   */
+  KIND_TYPES: {
+    text: [],
+    number: ['number', 'currency', 'percent', 'rating', 'duration'],
+    date: ['date', 'dateTime'],
+    url: ['url'],
+    boolean: ['checkbox']
+  },
+
+  /**
+   * Find a table in a base schema by name or ID
+   * @param {Array} tables - Tables from the Meta API
+   * @param {string} tableName - Table name or ID from settings
+   * @returns {Object|null} Table schema
+   */
+  findTable(tables, tableName) {
+    if (!Array.isArray(tables)) return null;
+    return tables.find(table => table.name === tableName || table.id === tableName) || null;
+  },
+
+  /**
+   * Check a field mapping against a table schema
+   * @param {Object} table - Table schema from the Meta API
+   * @param {Object} mapping - Field mapping (internal key -> column name)
+   * @returns {Object} {missing: [{key, label, column}], mismatched: [{key, label, column, type, reason}]}
+   */
+  checkMapping(table, mapping) {
+    const report = { missing: [], mismatched: [] };
+    const normalized = FieldMapping.normalize(mapping);
+
+    FieldMapping.FIELDS.forEach(field => {
+      const column = normalized[field.key];
+      if (!column) return;
+
+      const schemaField = table.fields.find(f => f.name === column);
+      if (!schemaField) {
+        report.missing.push({ key: field.key, label: field.label, column });
+        return;
+      }
+
+      if (this.READ_ONLY_TYPES.includes(schemaField.type)) {
+        report.mismatched.push({
+          key: field.key,
+          label: field.label,
+          column,
+          type: schemaField.type,
+          reason: 'is computed by Airtable and cannot be written'
+        });
+        return;
+      }
+
+      const accepted = this.TEXT_TYPES.concat(this.KIND_TYPES[field.kind] || []);
+      if (!accepted.includes(schemaField.type)) {
+        report.mismatched.push({
+          key: field.key,
+          label: field.label,
+          column,
+          type: schemaField.type,
+          reason: `cannot hold a ${field.kind} value`
+        });
+      }
+    });
+
+    return report;
+  },
+
+  /**
+   * Coerce record fields to the types of their columns.
+   * Columns not in the schema are passed through unchanged (lists joined as text); values that cannot be
+   * converted (or target read-only columns) are dropped so the rest of the record still saves.
+   * @param {Object} fields - Record fields keyed by column name
+   * @param {Object} table - Table schema from the Meta API
+   * @returns {Object} Coerced fields
+   */
+  coerceFields(fields, table) {
+    const coerced = {};
+
+    Object.entries(fields).forEach(([column, value]) => {
+      const schemaField = table && Array.isArray(table.fields) ? table.fields.find(f => f.name === column) : null;
+
+      // Without the column type, a joined list is accepted by text and (with typecast) select columns
+      if (!schemaField) {
+        coerced[column] = Array.isArray(value) ? FieldMapping.toText(value) : value;
+        return;
+      }
+
+      const result = this.coerceValue(value, schemaField);
+      if (result !== undefined) {
+        coerced[column] = result;
+      } else {
+        console.warn(`Skipping "${column}": cannot convert value to ${schemaField.type}`);
+      }
+    });
+
+    return coerced;
+  },
+
+  /**
+   * Coerce a single value to an Airtable field type
+   * @param {*} value - Raw value
+   * @param {Object} schemaField - Field schema {name, type, options}
+   * @returns {*} Coerced value, or undefined if it cannot be sent
+   */
+  coerceValue(value, schemaField) {
+    const options = schemaField.options || {};
+
+    if (this.READ_ONLY_TYPES.includes(schemaField.type)) {
+      return undefined;
+    }
+
+    // Lists (several locations) become separate choices of a multiple select, or one joined text value
+    if (Array.isArray(value) && schemaField.type !== 'multipleSelects') {
+      value = FieldMapping.toText(value);
+    }
+
+    switch (schemaField.type) {
+      case 'number':
+      case 'currency':
+      case 'percent':
+      case 'duration': {
+        const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+        return isNaN(number) ? undefined : number;
+      }
+
+      case 'rating': {
+        const rating = Math.round(Number(value));
+        return isNaN(rating) ? undefined : rating;
+      }
+
+      case 'checkbox':
+        if (typeof value === 'boolean') return value;
+        return ['true', 'yes', 'y', '1', 'checked'].includes(String(value).trim().toLowerCase());
+
+      case 'date': {
+        const date = this.parseDate(value);
+        return date ? this.formatLocalDate(date) : undefined;
+      }
+
+      case 'dateTime': {
+        const date = this.parseDate(value);
+        return date ? date.toISOString() : undefined;
+      }
+
+      case 'singleSelect':
+        return this.matchChoice(String(value), options.choices);
+
+      case 'multipleSelects':
+        return FieldMapping.toList(value).map(item => this.matchChoice(item, options.choices));
+
+      case 'url': {
+        const url = String(value).trim();
+        try {
+          new URL(url);
+          return url;
+        } catch {
+          return undefined;
+        }
+      }
+
+      case 'singleLineText':
+        return String(value).replace(/\s*\n\s*/g, ' ').trim();
+
+      case 'multilineText':
+      case 'richText':
+      case 'email':
+      case 'phoneNumber':
+        return String(value);
+
+      default:
+        // Links, attachments, collaborators etc. need Airtable-specific shapes
+        return undefined;
+    }
+  },
+
+  /**
+   * Match a value to an existing select choice (case-insensitive).
+   * Unknown values are returned as-is; the request uses typecast so Airtable can add them.
+   * @param {string} value - Value to match
+   * @param {Array} choices - Select choices from the schema
+   * @returns {string} Choice name
+   */
+  matchChoice(value, choices) {
+    const trimmed = value.trim();
+    if (!Array.isArray(choices)) return trimmed;
+
+    const match = choices.find(choice => choice.name.toLowerCase() === trimmed.toLowerCase());
+    return match ? match.name : trimmed;
+  },
+
+  /**
+   * Parse a Date, timestamp or date string ("YYYY-MM-DD HH:MM:SS" is treated as local time)
+   * @param {*} value - Value to parse
+   * @returns {Date|null}
+   */
+  parseDate(value) {
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? null : value;
+    }
+
+    if (typeof value === 'number') {
+      return new Date(value);
+    }
+
+    const text = String(value).trim();
+    const localMatch = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (localMatch) {
+      const [, year, month, day, hours = '0', minutes = '0', seconds = '0'] = localMatch;
+      return new Date(+year, +month - 1, +day, +hours, +minutes, +seconds);
+    }
+
+    const parsed = new Date(text);
+    return isNaN(parsed.getTime()) ? null : parsed;
+  },
+
+  /**
+   * Format a Date as YYYY-MM-DD in local time
+   * @param {Date} date
+   * @returns {string}
+   */
+  formatLocalDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  },
+
+  /**
+   * Get cached tables for a base if the cache is still fresh
+   * @param {string} baseId - Airtable base ID
+   * @returns {Promise<Array|null>} Tables or null
+   */
+  async getCachedTables(baseId) {
+    try {
+      const result = await chrome.storage.local.get(this.CACHE_KEY);
+      const entry = (result[this.CACHE_KEY] || {})[baseId];
+
+      if (!entry || Date.now() - entry.fetchedAt > this.CACHE_TTL_MS) {
+        return null;
+      }
+
+      return entry.tables;
+    } catch (error) {
+      console.error('Error reading schema cache:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Cache tables for a base
+   * @param {string} baseId - Airtable base ID
+   * @param {Array} tables - Tables from the Meta API
+   */
+  async cacheTables(baseId, tables) {
+    try {
+      const result = await chrome.storage.local.get(this.CACHE_KEY);
+      const cache = result[this.CACHE_KEY] || {};
+      cache[baseId] = { fetchedAt: Date.now(), tables };
+      await chrome.storage.local.set({ [this.CACHE_KEY]: cache });
+    } catch (error) {
+      console.error('Error writing schema cache:', error);
+    }
+  },
+
+  /**
+   * Drop the cached schema for a base (e.g. after Airtable rejects a field)
+   * @param {string} baseId - Airtable base ID
+   */
+  async invalidate(baseId) {
+    try {
+      const result = await chrome.storage.local.get(this.CACHE_KEY);
+      const cache = result[this.CACHE_KEY] || {};
+      delete cache[baseId];
+      await chrome.storage.local.set({ [this.CACHE_KEY]: cache });
+    } catch (error) {
+      console.error('Error clearing schema cache:', error);
+    }
+  }
+};
+
+// Make it available globally for use in other scripts
+if (typeof window !== 'undefined') {
+  window.AirtableSchema = AirtableSchema;
+}
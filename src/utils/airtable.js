@@ -1,51 +1,183 @@
-// Airtable API client for creating records and validating connections
+// Airtable API client for creating, updating and upserting records and validating connections.
+// Every call goes through AirtableScheduler so all features share the per-base rate limit.
 
 const AirtableClient = {
+  API_URL: 'https://api.airtable.com/v0',
+  MAX_ATTEMPTS: 3,
+  BATCH_SIZE: 10, // Most records Airtable accepts per create/update request
+  META_KEY: 'meta', // Scheduler key for Meta API calls not scoped to a base
+
   /**
    * Create a record in Airtable
    * @param {string} apiKey - Airtable API key
    * @param {string} baseId - Airtable base ID
    * @param {string} tableName - Table name
-   * @param {Object} fields - Record fields {Company, "Job Title", Location}
+   * @param {Object} fields - Record fields keyed by Airtable column name
    * @returns {Promise<Object>} Result with success status and data or error
    */
   async createRecord(apiKey, baseId, tableName, fields) {
-    const url = `https://api.airtable.com/v0/${baseId}/${encodeURIComponent(tableName)}`;
+    const result = await this.request(apiKey, baseId, this.tablePath(baseId, tableName), {
+      method: 'POST',
+      body: {
+        records: [{
+          fields: fields
+        }],
+        // Let Airtable add select options it doesn't know yet
+        typecast: true
+      }
+    });
+
+    return result.success ? { success: true, data: result.data.records[0] } : result;
+  },
+
+  /**
+   * Create many records, ten per request.
+   * Airtable rejects a whole request if one record is invalid, so a rejected chunk is retried
+   * one record at a time to find the bad ones. Any other failure (offline, rate limited, bad token)
+   * stops the batch: that chunk and the rest are reported with the same error, to be resumed later.
+   * @param {string} apiKey - Airtable API key
+   * @param {string} baseId - Airtable base ID
+   * @param {string} tableName - Table name
+   * @param {Object[]} fieldsList - Record fields keyed by Airtable column name, one object per record
+   * @returns {Promise<Object>} {success, created, failed, results} where results[i] is the outcome for
+   *   fieldsList[i]: {success: true, data} or an error result ({success: false, error, retryable, ...})
+   */
+  async createRecords(apiKey, baseId, tableName, fieldsList) {
+    const results = [];
+    let stopped = null;
+
+    for (let start = 0; start < fieldsList.length; start += this.BATCH_SIZE) {
+      const chunk = fieldsList.slice(start, start + this.BATCH_SIZE);
 
-    try {
-      const response = await fetch(url, {
+      if (stopped) {
+        chunk.forEach(() => results.push(stopped));
+        continue;
+      }
+
+      const result = await this.request(apiKey, baseId, this.tablePath(baseId, tableName), {
         method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          records: [{
-            fields: fields
-          }]
-        })
+        body: {
+          records: chunk.map(fields => ({ fields: fields })),
+          typecast: true
+        }
       });
 
-      const data = await response.json();
-
-      if (!response.ok) {
-        return {
-          success: false,
-          error: this.parseErrorMessage(data, response.status)
-        };
+      if (result.success) {
+        result.data.records.forEach(record => results.push({ success: true, data: record }));
+      } else if (result.status === 422 && chunk.length > 1) {
+        for (const fields of chunk) {
+          const single = stopped || await this.createRecord(apiKey, baseId, tableName, fields);
+          if (!single.success && single.status !== 422) {
+            stopped = single;
+          }
+          results.push(single);
+        }
+      } else {
+        stopped = result.status === 422 ? null : result;
+        chunk.forEach(() => results.push(result));
       }
+    }
+
+    const created = results.filter(result => result.success).length;
+
+    return {
+      success: created === fieldsList.length,
+      created: created,
+      failed: fieldsList.length - created,
+      results: results
+    };
+  },
+
+  /**
+   * Update fields of an existing record (fields not sent are left unchanged)
+   * @param {string} apiKey - Airtable API key
+   * @param {string} baseId - Airtable base ID
+   * @param {string} tableName - Table name
+   * @param {string} recordId - Airtable record ID (rec...)
+   * @param {Object} fields - Record fields keyed by Airtable column name
+   * @returns {Promise<Object>} Result with success status and data or error
+   */
+  async updateRecord(apiKey, baseId, tableName, recordId, fields) {
+    return this.patchRecords(apiKey, baseId, tableName, {
+      records: [{
+        id: recordId,
+        fields: fields
+      }],
+      typecast: true
+    });
+  },
+
+  /**
+   * Update the record whose merge columns match, or create it if none does
+   * @param {string} apiKey - Airtable API key
+   * @param {string} baseId - Airtable base ID
+   * @param {string} tableName - Table name
+   * @param {Object} fields - Record fields keyed by Airtable column name (must include the merge columns)
+   * @param {string[]} fieldsToMergeOn - Column names identifying the record
+   * @returns {Promise<Object>} Result with success status, data, and whether the record was created
+   */
+  async upsertRecord(apiKey, baseId, tableName, fields, fieldsToMergeOn) {
+    const result = await this.patchRecords(apiKey, baseId, tableName, {
+      performUpsert: {
+        fieldsToMergeOn: fieldsToMergeOn
+      },
+      records: [{
+        fields: fields
+      }],
+      typecast: true
+    });
 
-      return {
-        success: true,
-        data: data.records[0]
-      };
-    } catch (error) {
-      console.error('Airtable API error:', error);
-      return {
-        success: false,
-        error: error.message || 'Network error occurred'
-      };
+    if (result.success) {
+      result.created = result.createdRecords.includes(result.data.id);
     }
+
+    return result;
+  },
+
+  /**
+   * Send a PATCH request to the records endpoint
+   * @param {string} apiKey - Airtable API key
+   * @param {string} baseId - Airtable base ID
+   * @param {string} tableName - Table name
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} Result with success status, first record and IDs of any created records
+   */
+  async patchRecords(apiKey, baseId, tableName, body) {
+    const result = await this.request(apiKey, baseId, this.tablePath(baseId, tableName), {
+      method: 'PATCH',
+      body: body
+    });
+
+    if (!result.success) return result;
+
+    return {
+      success: true,
+      data: result.data.records[0],
+      createdRecords: result.data.createdRecords || []
+    };
+  },
+
+  /**
+   * List records, optionally filtered by an Airtable formula
+   * @param {string} apiKey - Airtable API key
+   * @param {string} baseId - Airtable base ID
+   * @param {string} tableName - Table name
+   * @param {Object} options - {filterByFormula, maxRecords, fields, pageSize, offset}
+   * @returns {Promise<Object>} Result with success status, records and the offset of the next page (if any), or error
+   */
+  async listRecords(apiKey, baseId, tableName, options = {}) {
+    const params = new URLSearchParams();
+    if (options.filterByFormula) params.set('filterByFormula', options.filterByFormula);
+    if (options.maxRecords) params.set('maxRecords', String(options.maxRecords));
+    if (options.pageSize) params.set('pageSize', String(options.pageSize));
+    if (options.offset) params.set('offset', options.offset);
+    (options.fields || []).forEach(field => params.append('fields[]', field));
+
+    const result = await this.request(apiKey, baseId, `${this.tablePath(baseId, tableName)}?${params}`);
+
+    return result.success
+      ? { success: true, records: result.data.records, offset: result.data.offset || null }
+      : result;
   },
 
   /**
@@ -56,34 +188,186 @@ const AirtableClient = {
    * @returns {Promise<Object>} Result with success status
    */
   async validateConnection(apiKey, baseId, tableName) {
-    const url = `https://api.airtable.com/v0/${baseId}/${encodeURIComponent(tableName)}?maxRecords=1`;
+    const result = await this.request(apiKey, baseId, `${this.tablePath(baseId, tableName)}?maxRecords=1`);
+
+    return result.success ? { success: true } : result;
+  },
+
+  /**
+   * Fetch the schema of every table in a base (Meta API, needs schema.bases:read)
+   * @param {string} apiKey - Airtable API key
+   * @param {string} baseId - Airtable base ID
+   * @returns {Promise<Object>} Result with success status and tables or error
+   */
+  async getBaseSchema(apiKey, baseId) {
+    const result = await this.request(apiKey, baseId, `meta/bases/${baseId}/tables`);
+
+    return result.success ? { success: true, tables: result.data.tables } : result;
+  },
+
+  /**
+   * List every base the token can access (Meta API, needs schema.bases:read)
+   * @param {string} apiKey - Airtable API key
+   * @returns {Promise<Object>} Result with success status and bases [{id, name, permissionLevel}] or error
+   */
+  async listBases(apiKey) {
+    const bases = [];
+    let offset = null;
+
+    do {
+      const query = offset ? `?offset=${encodeURIComponent(offset)}` : '';
+      const result = await this.request(apiKey, this.META_KEY, `meta/bases${query}`);
+
+      if (!result.success) return result;
+
+      bases.push(...result.data.bases);
+      offset = result.data.offset;
+    } while (offset);
+
+    return { success: true, bases: bases };
+  },
+
+  /**
+   * Identify the token's user and scopes
+   * @param {string} apiKey - Airtable API key
+   * @returns {Promise<Object>} Result with success status, userId and scopes (null if Airtable doesn't report them)
+   */
+  async whoami(apiKey) {
+    const result = await this.request(apiKey, this.META_KEY, 'meta/whoami');
+
+    return result.success
+      ? { success: true, userId: result.data.id, scopes: result.data.scopes || null }
+      : result;
+  },
+
+  /**
+   * Make a rate-limited Airtable API request.
+   * Waits for a slot in the base's token bucket, honours Retry-After after a 429,
+   * and retries transient failures (network errors, 429, 5xx) with backoff.
+   * @param {string} apiKey - Airtable API key
+   * @param {string} baseId - Airtable base ID the request counts against
+   * @param {string} path - Path under /v0/
+   * @param {Object} options - {method, body}
+   * @returns {Promise<Object>} {success, status, data} or {success: false, status, errorType, retryable, error}
+   */
+  async request(apiKey, baseId, path, options = {}) {
+    const method = options.method || 'GET';
+    const headers = { 'Authorization': `Bearer ${apiKey}` };
+    if (options.body) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    let result;
+
+    for (let attempt = 1; attempt <= this.MAX_ATTEMPTS; attempt++) {
+      // Sending while Airtable's penalty is running only extends it
+      const blockedMs = AirtableScheduler.getBlockedMs(baseId);
+      if (blockedMs > AirtableScheduler.MAX_INLINE_WAIT_MS) {
+        return this.rateLimitedResult(blockedMs);
+      }
+
+      await AirtableScheduler.acquire(baseId);
+
+      try {
+        const response = await fetch(`${this.API_URL}/${path}`, {
+          method: method,
+          headers: headers,
+          body: options.body ? JSON.stringify(options.body) : undefined
+        });
 
-    try {
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`
+        const data = await response.json().catch(() => ({}));
+
+        if (response.ok) {
+          return { success: true, status: response.status, data: data };
         }
-      });
 
-      if (!response.ok) {
-        const data = await response.json();
-        return {
+        result = this.classifyError(data, response.status);
+
+        if (response.status === 429) {
+          const delayMs = AirtableScheduler.parseRetryAfter(response.headers.get('Retry-After'));
+          AirtableScheduler.penalize(baseId, delayMs);
+          if (delayMs > AirtableScheduler.MAX_INLINE_WAIT_MS) {
+            return this.rateLimitedResult(delayMs);
+          }
+          continue; // acquire() waits out the penalty
+        }
+      } catch (error) {
+        console.error('Airtable API error:', error);
+        result = {
           success: false,
-          error: this.parseErrorMessage(data, response.status)
+          status: undefined,
+          errorType: 'NETWORK_ERROR',
+          retryable: true,
+          error: error.message || 'Network error occurred'
         };
       }
 
-      return {
-        success: true
-      };
-    } catch (error) {
-      console.error('Validation error:', error);
-      return {
-        success: false,
-        error: error.message || 'Network error occurred'
-      };
+      if (!result.retryable) {
+        return result;
+      }
+
+      if (attempt < this.MAX_ATTEMPTS) {
+        await AirtableScheduler.backoff(attempt);
+      }
     }
+
+    return result;
+  },
+
+  /**
+   * Classify an Airtable error response by HTTP status and error type
+   * @param {Object} data - Error response data
+   * @param {number} status - HTTP status code
+   * @returns {Object} {success: false, status, errorType, retryable, error}
+   */
+  classifyError(data, status) {
+    const error = data && data.error;
+    const errorType = (error && typeof error === 'object' ? error.type : error) || `HTTP_${status}`;
+
+    return {
+      success: false,
+      status: status,
+      errorType: errorType,
+      retryable: status === 429 || status >= 500,
+      error: this.parseErrorMessage(data || {}, status)
+    };
+  },
+
+  /**
+   * Result for a request skipped because the base is rate limited
+   * @param {number} delayMs - Remaining penalty
+   * @returns {Object}
+   */
+  rateLimitedResult(delayMs) {
+    return {
+      success: false,
+      status: 429,
+      errorType: 'RATE_LIMITED',
+      retryable: true,
+      retryAfterMs: delayMs,
+      error: `Rate limit exceeded. Airtable accepts requests again in ${Math.ceil(delayMs / 1000)} seconds.`
+    };
+  },
+
+  /**
+   * Build a link that opens a record in the Airtable web app
+   * @param {string} baseId - Airtable base ID
+   * @param {string} tableIdOrName - Table ID (or name, if the ID is unknown)
+   * @param {string} recordId - Airtable record ID
+   * @returns {string}
+   */
+  getRecordUrl(baseId, tableIdOrName, recordId) {
+    return `https://airtable.com/${baseId}/${encodeURIComponent(tableIdOrName)}/${recordId}`;
+  },
+
+  /**
+   * Build the records endpoint path for a table
+   * @param {string} baseId - Airtable base ID
+   * @param {string} tableName - Table name or ID
+   * @returns {string}
+   */
+  tablePath(baseId, tableName) {
+    return `${baseId}/${encodeURIComponent(tableName)}`;
   },
 
   /**
@@ -93,12 +377,14 @@ const AirtableClient = {
    * @returns {string} User-friendly error message
    */
   parseErrorMessage(data, status) {
+    const type = data.error && typeof data.error === 'object' ? data.error.type : data.error;
+
     if (status === 401) {
-      return 'Invalid API key. Please check your credentials.';
+      return 'Invalid API key. Please check your settings.';
     }
 
     if (status === 404) {
-      return 'Base or table not found. Please verify your Base ID and Table Name.';
+      return 'Base or table not found. Please verify your Base ID and Table Name in settings.';
     }
 
     if (status === 403) {
@@ -106,10 +392,16 @@ const AirtableClient = {
     }
 
     if (status === 422) {
-      if (data.error && data.error.type === 'INVALID_REQUEST_BODY') {
-        return 'Invalid field names. Make sure your table has fields named: Company, Job Title, and Location (case-sensitive).';
+      if (type === 'UNKNOWN_FIELD_NAME') {
+        return `${data.error.message}. Check your field mapping in settings, or use "Test Connection" to compare it with your table.`;
+      }
+      if (type === 'INVALID_VALUE_FOR_COLUMN') {
+        return `${data.error.message}. Check the column types in your table.`;
       }
-      return 'Invalid request. Please check your table structure.';
+      if (type === 'INVALID_REQUEST_BODY') {
+        return 'Invalid field names. Ensure every column in your field mapping exists in your table (case-sensitive).';
+      }
+      return 'Invalid request. Please check your table structure in settings.';
     }
 
     if (status === 429) {
@@ -121,58 +413,6 @@ const AirtableClient = {
     }
 
     return `Request failed with status ${status}`;
-  },
-
-  /**
-   * Retry a function with exponential backoff
-   * @param {Function} fn - Function to retry
-   * @param {number} maxRetries - Maximum number of retries
-   * @returns {Promise<any>} Result from function
-   */
-  async retryWithBackoff(fn, maxRetries = 3) {
-    let lastError;
-
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-      try {
-        const result = await fn();
-
-        // If result indicates success or a non-retryable error, return immediately
-        if (result.success || !this.isRetryableError(result.error)) {
-          return result;
-        }
-
-        lastError = result;
-      } catch (error) {
-        lastError = { success: false, error: error.message };
-      }
-
-      // Wait before retrying (exponential backoff: 1s, 2s, 4s)
-      if (attempt < maxRetries - 1) {
-        await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
-      }
-    }
-
-    return lastError;
-  },
-
-  /**
-   * Check if an error is retryable
-   * @param {string} error - Error message
-   * @returns {boolean} Whether error is retryable
-   */
-  isRetryableError(error) {
-    if (!error) return false;
-
-    const retryablePatterns = [
-      'network error',
-      'timeout',
-      'rate limit',
-      'ECONNRESET',
-      'ETIMEDOUT'
-    ];
-
-    const errorLower = error.toLowerCase();
-    return retryablePatterns.some(pattern => errorLower.includes(pattern));
   }
 };
 
@@ -0,0 +1,300 @@
+// Salary/compensation parsing: schema.org MonetaryAmount values and text such as
+// "$120k–$150k", "€55.000 - €65.000 per year" or "$80/hr", normalized to
+// {min, max, currency, period} with ISO currency codes and hour/day/week/month/year periods
+
+const Compensation = {
+  PERIODS: ['hour', 'day', 'week', 'month', 'year'],
+
+  /**
+   * Currency symbols and prefixes mapped to ISO 4217 codes ("$" is assumed to be US dollars)
+   */
+  CURRENCY_SYMBOLS: {
+    '$': 'USD',
+    'US$': 'USD',
+    'CA$': 'CAD',
+    'C$': 'CAD',
+    'A$': 'AUD',
+    'AU$': 'AUD',
+    'NZ$': 'NZD',
+    '€': 'EUR',
+    '£': 'GBP',
+    '¥': 'JPY',
+    '₹': 'INR'
+  },
+
+  CURRENCY_CODES: ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'JPY', 'INR', 'SEK', 'NOK', 'DKK', 'PLN', 'SGD'],
+
+  /**
+   * Words that introduce a salary in running text
+   */
+  CONTEXT_PATTERN: /\b(salary|compensation|pay|wage|rate|base|ote|remuneration|stipend)\b/i,
+
+  /**
+   * Parse a schema.org baseSalary/estimatedSalary value (MonetaryAmount,
+   * MonetaryAmountDistribution, a QuantitativeValue, a number or text; arrays use the first usable entry)
+   * @param {*} amount - Value from JSON-LD
+   * @returns {Object|null} {min, max, currency, period}
+   */
+  fromMonetaryAmount(amount) {
+    if (Array.isArray(amount)) {
+      for (const item of amount) {
+        const parsed = this.fromMonetaryAmount(item);
+        if (parsed) return parsed;
+      }
+      return null;
+    }
+
+    if (amount === null || amount === undefined) return null;
+
+    if (typeof amount === 'string' && !/^\s*[\d.,]+\s*$/.test(amount)) {
+      return this.parseText(amount, { requireCurrency: false });
+    }
+
+    if (typeof amount !== 'object') {
+      const value = this.parseAmount(amount);
+      return value ? this.build(value, value, '', '') : null;
+    }
+
+    // MonetaryAmount keeps the numbers in a nested QuantitativeValue; a distribution has percentiles
+    const value = amount.value !== undefined && amount.value !== null ? amount.value : amount;
+    const quantity = typeof value === 'object' ? value : { value: value };
+
+    const min = this.parseAmount(this.firstDefined(quantity.minValue, quantity.percentile10, quantity.percentile25, quantity.value, quantity.median));
+    const max = this.parseAmount(this.firstDefined(quantity.maxValue, quantity.percentile90, quantity.percentile75, quantity.value, quantity.median));
+
+    if (!min && !max) return null;
+
+    return this.build(
+      min || max,
+      max || min,
+      this.normalizeCurrency(amount.currency || quantity.currency),
+      this.normalizePeriod(quantity.unitText || amount.unitText || amount.duration)
+    );
+  },
+
+  /**
+   * Find the first salary in text
+   * @param {string} text - Text such as "$120k–$150k" or "Pay: €55.000 - €65.000 per year"
+   * @param {Object} [options] - {requireCurrency: only accept amounts with a currency (default true),
+   *   requireContext: without a currency, only accept amounts that read as pay (see readsAsPay)}
+   * @returns {Object|null} {min, max, currency, period}
+   */
+  parseText(text, options = {}) {
+    const requireCurrency = options.requireCurrency !== false;
+    const source = String(text || '');
+
+    for (const match of source.matchAll(this.createPattern())) {
+      const parsed = this.fromMatch(match);
+      if (!parsed) continue;
+
+      if (parsed.currency || (!requireCurrency && (!options.requireContext || this.readsAsPay(source, match)))) {
+        return parsed;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Whether an amount without a currency is pay: it follows a word like "salary", is a range or names
+   * a period. Other numbers ("25 days off") and retirement plans ("Salary + 401(k)") are not.
+   * @param {string} text - Text the match was found in
+   * @param {Array} match - Match of createPattern()
+   * @returns {boolean}
+   */
+  readsAsPay(text, match) {
+    if (/^40[13]\s?\(?[kb]\)?(?![a-z\d])/i.test(text.slice(match.index).trimStart())) return false;
+
+    const before = text.slice(Math.max(0, match.index - 60), match.index);
+    return this.CONTEXT_PATTERN.test(before) || Boolean(match[6] || match[9] || match[10]);
+  },
+
+  /**
+   * Find a salary in page text. Amounts shortly after a word like "salary" or "pay" are
+   * preferred; other amounts are only accepted when they are a range or name a period.
+   * @param {string} text - Page text
+   * @returns {Object|null} {compensation, inContext} or null
+   */
+  findInText(text) {
+    let fallback = null;
+
+    for (const match of String(text || '').matchAll(this.createPattern())) {
+      const parsed = this.fromMatch(match);
+      if (!parsed || !parsed.currency) continue;
+
+      const before = text.slice(Math.max(0, match.index - 60), match.index);
+      if (this.CONTEXT_PATTERN.test(before)) {
+        return { compensation: parsed, inContext: true };
+      }
+
+      if (!fallback && (parsed.min !== parsed.max || match[9] || match[10])) {
+        fallback = { compensation: parsed, inContext: false };
+      }
+    }
+
+    return fallback;
+  },
+
+  /**
+   * Regular expression for a single amount or a range, with optional currency and period.
+   * Groups: 1-4 first amount (currency, number, k/m suffix, trailing currency), 5-8 second amount,
+   * 9 period after "per" or "/", 10 period adverb ("annually", "p.a.")
+   * @returns {RegExp}
+   */
+  createPattern() {
+    const currency = '(US\\$|CA\\$|C\\$|AU\\$|A\\$|NZ\\$|\\$|€|£|¥|₹|\\b(?:' + this.CURRENCY_CODES.join('|') + ')\\b)';
+    const number = '(\\d{1,3}(?:[.,\\s]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?)';
+    const amount = `${currency}?\\s?${number}\\s?([km](?![a-z]))?\\s?${currency}?`;
+    const range = '\\s*(?:-|–|—|to)\\s*';
+    const period = '(?:\\s*(?:\\/|per|an?)\\s*(hour|hr|h|day|week|wk|month|mo|year|yr|annum)\\b|\\s*(hourly|daily|weekly|monthly|annually|yearly|p\\.a\\.))?';
+
+    return new RegExp(`${amount}(?:${range}${amount})?${period}`, 'gi');
+  },
+
+  /**
+   * Convert a match of createPattern() to a compensation
+   * @param {Array} match - RegExp match
+   * @returns {Object|null}
+   */
+  fromMatch(match) {
+    const currency = this.normalizeCurrency(match[1] || match[4] || match[5] || match[8]);
+    let min = this.parseAmount(match[2], match[3]);
+    const max = match[6] ? this.parseAmount(match[6], match[7]) : min;
+
+    // "$120-150k": the suffix on the upper end applies to both
+    if (match[6] && match[7] && !match[3] && min < 1000) {
+      min = this.parseAmount(match[2], match[7]);
+    }
+
+    if (!min || !max) return null;
+
+    return this.build(min, max, currency, this.normalizePeriod(match[9] || match[10]));
+  },
+
+  /**
+   * Assemble a compensation, ordering the range and guessing a missing period from the amount
+   * @returns {Object} {min, max, currency, period}
+   */
+  build(min, max, currency, period) {
+    const low = Math.min(min, max);
+    const high = Math.max(min, max);
+
+    return {
+      min: low,
+      max: high,
+      currency: currency || '',
+      period: period || this.guessPeriod(high)
+    };
+  },
+
+  /**
+   * Parse a number written with thousands separators ("120,000", "55.000", "55 000"),
+   * a decimal part ("80.50", "80,50") and an optional k/m suffix
+   * @param {*} raw - Number or text
+   * @param {string} [suffix] - "k" or "m"
+   * @returns {number|null}
+   */
+  parseAmount(raw, suffix) {
+    if (raw === undefined || raw === null || raw === '') return null;
+
+    let value;
+    if (typeof raw === 'number') {
+      value = raw;
+    } else {
+      let digits = String(raw).replace(/\s/g, '').replace(/[^\d.,]/g, '');
+      const separator = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+
+      if (separator !== -1) {
+        const decimals = digits.length - separator - 1;
+        digits = decimals === 3
+          ? digits.replace(/[.,]/g, '')
+          : `${digits.slice(0, separator).replace(/[.,]/g, '')}.${digits.slice(separator + 1)}`;
+      }
+
+      value = parseFloat(digits);
+    }
+
+    if (!Number.isFinite(value) || value <= 0) return null;
+
+    if (/^k$/i.test(suffix || '')) {
+      value *= 1000;
+    } else if (/^m$/i.test(suffix || '')) {
+      value *= 1000000;
+    }
+
+    return Math.round(value * 100) / 100;
+  },
+
+  /**
+   * @param {string} token - Currency symbol, prefix or code
+   * @returns {string} ISO code, or '' if unknown
+   */
+  normalizeCurrency(token) {
+    if (!token) return '';
+
+    const trimmed = String(token).trim();
+    const symbol = this.CURRENCY_SYMBOLS[trimmed.toUpperCase()] || this.CURRENCY_SYMBOLS[trimmed];
+    if (symbol) return symbol;
+
+    return /^[A-Z]{3}$/i.test(trimmed) ? trimmed.toUpperCase() : '';
+  },
+
+  /**
+   * @param {string} unit - schema.org unitText ("YEAR", "HOUR"), ISO 8601 duration ("P1Y") or text ("/hr", "annually")
+   * @returns {string} One of PERIODS, or ''
+   */
+  normalizePeriod(unit) {
+    const text = String(unit || '').trim().toLowerCase();
+    if (!text) return '';
+
+    if (/^pt\d*h$|^(hour|hr|h)$|hourly/.test(text)) return 'hour';
+    if (/^p\d*d$|^day$|daily/.test(text)) return 'day';
+    if (/^p\d*w$|^(week|wk)$|weekly/.test(text)) return 'week';
+    if (/^p\d*m$|^(month|mo)$|monthly/.test(text)) return 'month';
+    if (/^p\d*y$|^(year|yr|annum)$|annual|yearly|^p\.a\.$/.test(text)) return 'year';
+
+    return '';
+  },
+
+  /**
+   * Guess the period of an amount without one: small amounts are hourly rates,
+   * large ones yearly salaries; anything in between is left open
+   * @param {number} amount
+   * @returns {string}
+   */
+  guessPeriod(amount) {
+    if (amount < 300) return 'hour';
+    if (amount >= 20000) return 'year';
+    return '';
+  },
+
+  /**
+   * Format a compensation for display and text columns, e.g. "USD 120,000–150,000 per year"
+   * @param {Object} compensation - {min, max, currency, period}
+   * @returns {string}
+   */
+  format(compensation) {
+    if (!compensation || (!compensation.min && !compensation.max)) return '';
+
+    const number = value => Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+    const min = compensation.min || compensation.max;
+    const max = compensation.max || compensation.min;
+    const amount = min === max ? number(min) : `${number(min)}–${number(max)}`;
+
+    return [compensation.currency, amount, compensation.period ? `per ${compensation.period}` : '']
+      .filter(Boolean)
+      .join(' ');
+  },
+
+  /**
+   * @returns {*} The first argument that is not undefined, null or ''
+   */
+  firstDefined(...values) {
+    return values.find(value => value !== undefined && value !== null && value !== '');
+  }
+};
+
+// Make it available globally for use in other scripts
+if (typeof window !== 'undefined') {
+  window.Compensation = Compensation;
+}
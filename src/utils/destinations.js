@@ -0,0 +1,84 @@
+// Destination adapters: where a profile sends its jobs.
+// An adapter is an object with:
+//   send(data, settings)         - Deliver job data, resolving to {success, error, retryable, ...}
+//   testConnection(settings)     - Check the profile's settings, resolving to {success, error, ...}
+//   supportsRecords              - Whether duplicate lookup, updates and Status changes work
+//   isLocal                      - Delivered on this device: no network or token needed, never queued
+// The Airtable adapter is registered by the service worker, which owns the schema and history helpers.
+
+const Destinations = {
+  DEFAULT_TYPE: 'airtable',
+  _adapters: {},
+
+  /**
+   * Add an adapter
+   * @param {string} type - Value of profile.destination
+   * @param {Object} adapter - {send, testConnection, supportsRecords}
+   */
+  register(type, adapter) {
+    this._adapters[type] = adapter;
+  },
+
+  /**
+   * Get the adapter for a destination type
+   * @param {string} type - Value of profile.destination ('' means Airtable)
+   * @returns {Object} Adapter
+   * @throws {Error} If no adapter is registered for the type
+   */
+  get(type) {
+    const adapter = this._adapters[type || this.DEFAULT_TYPE];
+
+    if (!adapter) {
+      throw new Error(`Unknown destination "${type}". Please check settings.`);
+    }
+
+    return adapter;
+  }
+};
+
+// Generic JSON webhook (the profile's token is available to the URL and header templates as {{token}})
+Destinations.register('webhook', {
+  supportsRecords: false,
+
+  send(data, settings) {
+    return WebhookClient.send(settings.webhook, data, settings.apiKey);
+  },
+
+  testConnection(settings) {
+    return WebhookClient.testConnection(settings.webhook, settings.apiKey);
+  }
+});
+
+// Notion database (field mapping columns are property names)
+Destinations.register('notion', {
+  supportsRecords: false,
+
+  send(data, settings) {
+    const fields = FieldMapping.apply(data, settings.fieldMapping);
+    return NotionClient.createPage(settings.apiKey, settings.notion.databaseId, fields);
+  },
+
+  testConnection(settings) {
+    return NotionClient.testConnection(settings.apiKey, settings.notion.databaseId, settings.fieldMapping);
+  }
+});
+
+// This device only (IndexedDB); jobs can be exported or pushed to Airtable from settings
+Destinations.register('local', {
+  supportsRecords: false,
+  isLocal: true,
+
+  async send(data, settings) {
+    const record = await LocalJobs.add(data, settings.id);
+    return { success: true, data: record };
+  },
+
+  async testConnection() {
+    return { success: true };
+  }
+});
+
+// Make it available globally for use in other scripts
+if (typeof window !== 'undefined') {
+  window.Destinations = Destinations;
+}
@@ -0,0 +1,278 @@
+// User-defined extraction rules: per-domain CSS selectors, XPath expressions or regular expressions
+// for a field, each with a confidence. Stored in sync storage (one item per domain to stay within the
+// per-item quota) and applied by JobDetector before its own layers. Rule packs are shared as JSON.
+
+const ExtractionRules = {
+  KEY_PREFIX: 'extractionRules_',
+
+  /**
+   * Confidence of a new rule: above structured data (95), since a rule exists because detection got the site wrong
+   */
+  DEFAULT_CONFIDENCE: 96,
+
+  /**
+   * Fields a rule can fill (JobDetector result keys)
+   */
+  FIELDS: [
+    { key: 'company', label: 'Company' },
+    { key: 'jobTitle', label: 'Job Title' },
+    { key: 'location', label: 'Location' },
+    { key: 'description', label: 'Description' },
+    { key: 'compensation', label: 'Salary' },
+    { key: 'employmentType', label: 'Employment Type' },
+    { key: 'workplaceType', label: 'Workplace Type' },
+    { key: 'datePosted', label: 'Date Posted' },
+    { key: 'validThrough', label: 'Apply By' }
+  ],
+
+  TYPES: [
+    { key: 'css', label: 'CSS selector' },
+    { key: 'xpath', label: 'XPath' },
+    { key: 'regex', label: 'Regex over page text' }
+  ],
+
+  /**
+   * Get every rule
+   * @returns {Promise<Array>} Rules [{domain, field, type, expression, confidence}], grouped by domain
+   */
+  async getAll() {
+    const items = await chrome.storage.sync.get(null);
+
+    return Object.keys(items)
+      .filter(key => key.startsWith(this.KEY_PREFIX))
+      .sort()
+      .flatMap(key => (items[key] || []).map(rule => ({ ...rule, domain: key.slice(this.KEY_PREFIX.length) })));
+  },
+
+  /**
+   * Get the rules for a page (its domain and parent domains), highest confidence first
+   * @param {string} url - Page URL
+   * @returns {Promise<Array>}
+   */
+  async getForUrl(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+      return [];
+    }
+
+    // careers.acme.com → careers.acme.com, acme.com (never the bare TLD, which would cover every site)
+    const parts = hostname.split('.');
+    const domains = parts.slice(0, Math.max(1, parts.length - 1)).map((part, index) => parts.slice(index).join('.'));
+    const items = await chrome.storage.sync.get(domains.map(domain => this.KEY_PREFIX + domain));
+
+    return domains
+      .flatMap(domain => (items[this.KEY_PREFIX + domain] || []).map(rule => ({ ...rule, domain })))
+      .sort((a, b) => b.confidence - a.confidence);
+  },
+
+  /**
+   * Replace all rules
+   * @param {Array} rules - Rules [{domain, field, type, expression, confidence}]
+   * @returns {Promise<Array>} The saved rules
+   * @throws {Error} If a rule's domain is a bare TLD or its expression is invalid
+   */
+  async save(rules) {
+    rules.forEach(rule => {
+      const domain = String(rule.domain || '').trim();
+      if (domain && String(rule.expression || '').trim() && !this.normalize(rule).domain) {
+        throw new Error(`${domain}: enter a site such as acme.com, not a top-level domain`);
+      }
+    });
+
+    const cleaned = rules.map(rule => this.normalize(rule)).filter(rule => rule.domain && rule.expression);
+
+    cleaned.forEach(rule => {
+      const error = this.validate(rule);
+      if (error) {
+        throw new Error(`${rule.domain} (${this.getFieldLabel(rule.field)}): ${error}`);
+      }
+    });
+
+    const groups = {};
+    cleaned.forEach(({ domain, ...rule }) => {
+      const key = this.KEY_PREFIX + domain;
+      groups[key] = (groups[key] || []).concat([rule]);
+    });
+
+    const existing = Object.keys(await chrome.storage.sync.get(null)).filter(key => key.startsWith(this.KEY_PREFIX));
+    const removed = existing.filter(key => !groups[key]);
+
+    if (removed.length > 0) {
+      await chrome.storage.sync.remove(removed);
+    }
+    await chrome.storage.sync.set(groups);
+
+    return cleaned;
+  },
+
+  /**
+   * Clean up a rule from the editor or an imported file
+   * @param {Object} rule
+   * @returns {Object} {domain, field, type, expression, confidence}; domain is '' for a bare TLD such as "com"
+   */
+  normalize(rule) {
+    const confidence = parseInt(rule.confidence, 10);
+    const domain = String(rule.domain || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/[/:].*$/, '');
+
+    return {
+      domain: domain.includes('.') ? domain : '',
+      field: this.FIELDS.some(field => field.key === rule.field) ? rule.field : 'company',
+      type: this.TYPES.some(type => type.key === rule.type) ? rule.type : 'css',
+      expression: String(rule.expression || '').trim(),
+      confidence: Number.isFinite(confidence) ? Math.min(100, Math.max(1, confidence)) : this.DEFAULT_CONFIDENCE
+    };
+  },
+
+  /**
+   * Check that a rule's expression can be evaluated
+   * @param {Object} rule
+   * @returns {string} Error message, or '' if valid
+   */
+  validate(rule) {
+    try {
+      if (rule.type === 'regex') {
+        new RegExp(rule.expression, 'i');
+      } else if (rule.type === 'xpath') {
+        document.createExpression(rule.expression);
+      } else {
+        document.createDocumentFragment().querySelector(rule.expression);
+      }
+      return '';
+    } catch (error) {
+      return `invalid ${rule.type === 'css' ? 'CSS selector' : rule.type === 'xpath' ? 'XPath' : 'regular expression'} "${rule.expression}"`;
+    }
+  },
+
+  /**
+   * Evaluate rules on a page
+   * @param {Array} rules - Rules for the page
+   * @param {Document} doc
+   * @returns {Array} [{field, value, confidence}] for rules that matched, in the order given
+   */
+  apply(rules, doc) {
+    const entries = [];
+
+    rules.forEach(rule => {
+      try {
+        const value = this.evaluate(rule, doc);
+        if (value) {
+          entries.push({ field: rule.field, value, confidence: rule.confidence });
+        }
+      } catch (error) {
+        console.warn(`Extraction rule for ${rule.domain} failed:`, error);
+      }
+    });
+
+    return entries;
+  },
+
+  /**
+   * Evaluate one rule. Elements give their text (descriptions their markup, meta tags their content);
+   * regular expressions give their first group, or the whole match.
+   * @param {Object} rule
+   * @param {Document} doc
+   * @returns {string}
+   */
+  evaluate(rule, doc) {
+    if (rule.type === 'regex') {
+      const match = (doc.body ? doc.body.innerText : '').match(new RegExp(rule.expression, 'i'));
+      return match ? (match[1] !== undefined ? match[1] : match[0]).trim() : '';
+    }
+
+    let node;
+    if (rule.type === 'xpath') {
+      const result = doc.evaluate(rule.expression, doc, null, XPathResult.ANY_TYPE, null);
+
+      // string(//h1) and similar expressions return a value instead of nodes
+      if (result.resultType === XPathResult.STRING_TYPE) return result.stringValue.trim();
+      if (result.resultType === XPathResult.NUMBER_TYPE) return String(result.numberValue);
+      if (result.resultType === XPathResult.BOOLEAN_TYPE) return '';
+
+      node = result.iterateNext();
+    } else {
+      node = doc.querySelector(rule.expression);
+    }
+
+    if (!node) return '';
+
+    if (node.nodeType === 1) {
+      if (rule.field === 'description') return node.innerHTML;
+      if (node.hasAttribute('content')) return node.getAttribute('content');
+      if (node.hasAttribute('datetime')) return node.getAttribute('datetime');
+    }
+
+    return (node.textContent || '').replace(/\s+/g, ' ').trim();
+  },
+
+  /**
+   * Convert rules to a shareable rule pack
+   * @param {Array} rules
+   * @returns {string} JSON
+   */
+  toJson(rules) {
+    return JSON.stringify({
+      version: 1,
+      rules: rules.map(rule => this.normalize(rule))
+    }, null, 2);
+  },
+
+  /**
+   * Read a rule pack (or a plain array of rules)
+   * @param {string} text - File contents
+   * @returns {Array} Normalized rules
+   * @throws {Error} If the file isn't a rule pack
+   */
+  parseJson(text) {
+    const parsed = JSON.parse(text);
+    const rules = Array.isArray(parsed) ? parsed : parsed && parsed.rules;
+
+    if (!Array.isArray(rules)) {
+      throw new Error('Expected a JSON rule pack with a "rules" array');
+    }
+
+    return rules.map(rule => this.normalize(rule || {})).filter(rule => rule.domain && rule.expression);
+  },
+
+  /**
+   * Add imported rules to existing ones. A rule with the same domain, field, type and expression
+   * replaces the existing one (so a newer pack can change confidences).
+   * @param {Array} existing
+   * @param {Array} imported
+   * @returns {Object} {rules, added, updated}
+   */
+  merge(existing, imported) {
+    const keyOf = rule => [rule.domain, rule.field, rule.type, rule.expression].join('\u0000');
+    const rules = existing.map(rule => this.normalize(rule));
+    let added = 0;
+    let updated = 0;
+
+    imported.forEach(rule => {
+      const index = rules.findIndex(item => keyOf(item) === keyOf(rule));
+      if (index === -1) {
+        rules.push(rule);
+        added++;
+      } else {
+        rules[index] = rule;
+        updated++;
+      }
+    });
+
+    return { rules, added, updated };
+  },
+
+  /**
+   * @param {string} key - Field key
+   * @returns {string}
+   */
+  getFieldLabel(key) {
+    const field = this.FIELDS.find(item => item.key === key);
+    return field ? field.label : key;
+  }
+};
+
+// Make it available globally for use in other scripts
+if (typeof window !== 'undefined') {
+  window.ExtractionRules = ExtractionRules;
+}
@@ -0,0 +1,140 @@
+// Field mapping between detected job data and Airtable column names
+
+const FieldMapping = {
+  /**
+   * Values the extension can send, in the order shown on the options page.
+   * `key` is the internal name used in messages, `column` the default Airtable column,
+   * `kind` the shape of the value (used to check column types against the table schema).
+   * Fields added later have no default column, so existing tables keep working until they are mapped.
+   */
+  FIELDS: [
+    { key: 'jobId', label: 'Job ID (auto-generated UUID)', column: 'JobID', kind: 'text' },
+    { key: 'company', label: 'Company', column: 'Company', kind: 'text' },
+    { key: 'jobTitle', label: 'Job Title', column: 'Title', kind: 'text' },
+    { key: 'location', label: 'Location', column: 'Location', kind: 'text' },
+    { key: 'status', label: 'Status', column: 'Status', kind: 'text' },
+    { key: 'lastUpdated', label: 'Last Updated (timestamp)', column: 'Last Updated', kind: 'date' },
+    { key: 'score', label: 'Score', column: 'Score', kind: 'number' },
+    { key: 'source', label: 'Source', column: 'Source', kind: 'text' },
+    { key: 'link', label: 'Link (job posting URL)', column: 'Link', kind: 'url' },
+    { key: 'description', label: 'Job Description', column: 'Summary', kind: 'text' },
+    { key: 'employmentType', label: 'Employment Type (Full-time, Part-time, Contract, ...)', column: '', kind: 'text' },
+    { key: 'workplaceType', label: 'Workplace Type (Remote, Hybrid or On-site)', column: '', kind: 'text' },
+    { key: 'datePosted', label: 'Date Posted', column: '', kind: 'date' },
+    { key: 'validThrough', label: 'Apply By (closing date)', column: '', kind: 'date' },
+    { key: 'salary', label: 'Salary (e.g. "USD 120,000–150,000 per year")', column: '', kind: 'text' },
+    { key: 'salaryMin', label: 'Salary Minimum', column: '', kind: 'number' },
+    { key: 'salaryMax', label: 'Salary Maximum', column: '', kind: 'number' },
+    { key: 'salaryCurrency', label: 'Salary Currency (e.g. "USD")', column: '', kind: 'text' },
+    { key: 'salaryPeriod', label: 'Salary Period (hour, day, week, month or year)', column: '', kind: 'text' }
+  ],
+
+  /**
+   * Separator used when a list (e.g. several locations) is sent as a single text value
+   */
+  LIST_SEPARATOR: '; ',
+
+  /**
+   * Get the default mapping (the column names used before mapping was configurable)
+   * @returns {Object} Mapping of internal field key to Airtable column name
+   */
+  getDefaultMapping() {
+    const mapping = {};
+    this.FIELDS.forEach(field => {
+      mapping[field.key] = field.column;
+    });
+    return mapping;
+  },
+
+  /**
+   * Fill in defaults for keys missing from a stored mapping.
+   * An empty string is kept as-is and means "don't send this value".
+   * @param {Object} mapping - Stored mapping (may be partial or undefined)
+   * @returns {Object} Complete mapping
+   */
+  normalize(mapping) {
+    const normalized = this.getDefaultMapping();
+    if (!mapping || typeof mapping !== 'object') {
+      return normalized;
+    }
+
+    Object.keys(normalized).forEach(key => {
+      if (typeof mapping[key] === 'string') {
+        normalized[key] = mapping[key].trim();
+      }
+    });
+
+    return normalized;
+  },
+
+  /**
+   * Convert job data keyed by internal names into Airtable fields
+   * @param {Object} data - Job data {jobId, company, jobTitle, ...}
+   * @param {Object} mapping - Field mapping
+   * @returns {Object} Airtable fields keyed by column name
+   */
+  apply(data, mapping) {
+    const normalized = this.normalize(mapping);
+    const fields = {};
+
+    Object.entries(normalized).forEach(([key, column]) => {
+      const value = data[key];
+
+      // Skip dropped fields and empty values (e.g. an optional description or no locations)
+      if (!column || value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+        return;
+      }
+
+      fields[column] = value;
+    });
+
+    return fields;
+  },
+
+  /**
+   * Convert a value to text, joining lists such as several locations
+   * @param {*} value
+   * @returns {string}
+   */
+  toText(value) {
+    return Array.isArray(value) ? value.join(this.LIST_SEPARATOR) : String(value);
+  },
+
+  /**
+   * Convert a value to a list, splitting text joined by toText. Commas are left alone,
+   * so a single location such as "Boston, MA" stays one item.
+   * @param {*} value
+   * @returns {string[]} Trimmed, non-empty items
+   */
+  toList(value) {
+    const items = Array.isArray(value) ? value : String(value).split(this.LIST_SEPARATOR.trim());
+    return items
+      .map(item => String(item).trim())
+      .filter(item => item.length > 0);
+  },
+
+  /**
+   * Find column names that more than one value is mapped to
+   * @param {Object} mapping - Field mapping
+   * @returns {string[]} Duplicated column names
+   */
+  findDuplicateColumns(mapping) {
+    const seen = new Set();
+    const duplicates = new Set();
+
+    Object.values(this.normalize(mapping)).forEach(column => {
+      if (!column) return;
+      if (seen.has(column)) {
+        duplicates.add(column);
+      }
+      seen.add(column);
+    });
+
+    return Array.from(duplicates);
+  }
+};
+
+// Make it available globally for use in other scripts
+if (typeof window !== 'undefined') {
+  window.FieldMapping = FieldMapping;
+}
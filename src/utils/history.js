@@ -0,0 +1,105 @@
+// Local history of jobs sent to Airtable, with the records they created or updated
+
+const SubmissionHistory = {
+  STORAGE_KEY: 'submissionHistory',
+  MAX_ENTRIES: 5000, // Oldest entries are dropped to stay well within the local storage quota
+
+  /**
+   * Get all history entries, newest first
+   * @returns {Promise<Array>} History entries
+   */
+  async getAll() {
+    try {
+      const result = await chrome.storage.local.get(this.STORAGE_KEY);
+      return result[this.STORAGE_KEY] || [];
+    } catch (error) {
+      console.error('Error reading submission history:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Record a successful submission. Sending the same record again moves it to the top.
+   * @param {Object} entry - {recordId, baseId, tableId, tableName, profileId, url, company, jobTitle, action, createdTime}
+   * @returns {Promise<Object>} The stored entry
+   */
+  async add(entry) {
+    const entries = await this.getAll();
+    const previous = entries.find(item => item.recordId === entry.recordId && item.baseId === entry.baseId);
+
+    const stored = {
+      ...entry,
+      submittedAt: new Date().toISOString(),
+      firstSubmittedAt: previous ? previous.firstSubmittedAt : new Date().toISOString()
+    };
+
+    const remaining = entries.filter(item => item !== previous);
+    remaining.unshift(stored);
+
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: remaining.slice(0, this.MAX_ENTRIES) });
+    return stored;
+  },
+
+  /**
+   * Find entries matching a search term (company, title or URL) and, optionally, a table
+   * @param {Array} entries - History entries
+   * @param {Object} filter - {query, table} where table is "baseId/tableId"
+   * @returns {Array}
+   */
+  filter(entries, filter = {}) {
+    const query = (filter.query || '').trim().toLowerCase();
+
+    return entries.filter(entry => {
+      if (filter.table && this.getTableKey(entry) !== filter.table) return false;
+      if (!query) return true;
+
+      return [entry.company, entry.jobTitle, entry.url]
+        .some(value => (value || '').toLowerCase().includes(query));
+    });
+  },
+
+  /**
+   * Identify the table an entry was sent to
+   * @param {Object} entry
+   * @returns {string}
+   */
+  getTableKey(entry) {
+    return `${entry.baseId}/${entry.tableId}`;
+  },
+
+  /**
+   * Remove a single entry
+   * @param {string} recordId - Airtable record ID
+   * @param {string} baseId - Airtable base ID
+   */
+  async remove(recordId, baseId) {
+    const entries = await this.getAll();
+    const remaining = entries.filter(item => !(item.recordId === recordId && item.baseId === baseId));
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: remaining });
+  },
+
+  /**
+   * Delete the whole history
+   */
+  async clear() {
+    await chrome.storage.local.remove(this.STORAGE_KEY);
+  },
+
+  /**
+   * Convert entries to CSV
+   * @param {Array} entries - History entries
+   * @returns {string}
+   */
+  toCsv(entries) {
+    const columns = ['submittedAt', 'action', 'company', 'jobTitle', 'url', 'recordId', 'baseId', 'tableName', 'recordUrl'];
+    const quote = value => `"${String(value === undefined || value === null ? '' : value).replace(/"/g, '""')}"`;
+
+    const rows = entries.map(entry => columns.map(column => quote(entry[column])).join(','));
+    return [columns.join(',')].concat(rows).join('\r\n');
+  }
+};
+
+// Make it available globally for use in other scripts
+if (typeof window !== 'undefined') {
+  window.SubmissionHistory = SubmissionHistory;
+}
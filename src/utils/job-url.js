@@ -0,0 +1,65 @@
+// Canonical job posting URLs, so the same posting is recognised across visits
+
+const JobUrl = {
+  /**
+   * Query parameters that identify a posting (everything else is tracking or UI state)
+   */
+  KEEP_PARAMS: ['jk', 'gh_jid', 'jobId', 'job_id', 'jobid', 'id', 'posting_id', 'req_id'],
+
+  /**
+   * Convert a job posting URL into a stable canonical form
+   * @param {string} url - URL of the job posting page
+   * @returns {string} Canonical URL (or the input if it cannot be parsed)
+   */
+  canonicalize(url) {
+    if (!url) return '';
+
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch {
+      return url;
+    }
+
+    const hostname = urlObj.hostname.toLowerCase();
+    const params = urlObj.searchParams;
+
+    // LinkedIn search/collection pages show a posting via ?currentJobId=
+    if (hostname.endsWith('linkedin.com')) {
+      const viewMatch = urlObj.pathname.match(/\/jobs\/view\/(?:[^/]*-)?(\d+)/);
+      const jobId = viewMatch ? viewMatch[1] : params.get('currentJobId');
+      if (jobId) {
+        return `https://www.linkedin.com/jobs/view/${jobId}`;
+      }
+    }
+
+    // Indeed search pages show a posting via ?vjk=, the posting page via ?jk=
+    if (hostname.endsWith('indeed.com')) {
+      const jobKey = params.get('jk') || params.get('vjk');
+      if (jobKey) {
+        return `${urlObj.protocol}//${hostname}/viewjob?jk=${jobKey}`;
+      }
+    }
+
+    // Generic: drop fragment, tracking params and trailing slash
+    const kept = [];
+    this.KEEP_PARAMS.forEach(name => {
+      if (params.has(name)) {
+        kept.push(`${name}=${encodeURIComponent(params.get(name))}`);
+      }
+    });
+
+    let pathname = urlObj.pathname;
+    if (pathname.length > 1 && pathname.endsWith('/')) {
+      pathname = pathname.slice(0, -1);
+    }
+
+    const query = kept.length > 0 ? `?${kept.join('&')}` : '';
+    return `${urlObj.protocol}//${hostname}${pathname}${query}`;
+  }
+};
+
+// Make it available globally for use in other scripts
+if (typeof window !== 'undefined') {
+  window.JobUrl = JobUrl;
+}
@@ -0,0 +1,314 @@
+// Jobs kept on this device (IndexedDB) by profiles using the "local" destination,
+// with CSV/JSON conversion for export and import
+
+const LocalJobs = {
+  DB_NAME: 'jobLeadLocal',
+  DB_VERSION: 1,
+  STORE: 'jobs',
+  _db: null,
+  FIELDS: [
+    'jobId', 'company', 'jobTitle', 'location', 'status', 'lastUpdated', 'score', 'source', 'link', 'description',
+    'employmentType', 'workplaceType', 'datePosted', 'validThrough', 'salary', 'salaryMin', 'salaryMax', 'salaryCurrency', 'salaryPeriod'
+  ],
+
+  /**
+   * Store a job
+   * @param {Object} data - Job data keyed by internal field key
+   * @param {string} profileId - Profile that saved it
+   * @param {*} [createdAt] - Original capture time (imports); unreadable values count as now
+   * @returns {Promise<Object>} The stored record
+   */
+  async add(data, profileId, createdAt = null) {
+    const record = {
+      ...this._pickFields(data),
+      id: crypto.randomUUID(),
+      createdAt: this._toIsoString(createdAt) || new Date().toISOString(),
+      profileId: profileId || '',
+      canonicalLink: JobUrl.canonicalize(data.link || ''),
+      pushedAt: null,
+      airtableRecordId: null
+    };
+
+    await this._run('readwrite', store => store.add(record));
+    return record;
+  },
+
+  /**
+   * Get all jobs, newest first
+   * @returns {Promise<Array>}
+   */
+  async getAll() {
+    const records = await this._run('readonly', store => store.getAll());
+    // Jobs imported before createdAt was checked may hold anything there
+    return records.sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+  },
+
+  /**
+   * Get jobs not yet pushed to Airtable, oldest first
+   * @returns {Promise<Array>}
+   */
+  async getUnpushed() {
+    const records = await this.getAll();
+    return records.filter(record => !record.pushedAt).reverse();
+  },
+
+  /**
+   * Count stored jobs
+   * @returns {Promise<number>}
+   */
+  async count() {
+    return this._run('readonly', store => store.count());
+  },
+
+  /**
+   * Remember that a job was pushed to Airtable
+   * @param {string} id - Local job ID
+   * @param {string} recordId - Airtable record ID
+   */
+  async markPushed(id, recordId) {
+    const record = await this._run('readonly', store => store.get(id));
+    if (!record) return;
+
+    record.pushedAt = new Date().toISOString();
+    record.airtableRecordId = recordId;
+    await this._run('readwrite', store => store.put(record));
+  },
+
+  /**
+   * Delete a job
+   * @param {string} id - Local job ID
+   */
+  async remove(id) {
+    await this._run('readwrite', store => store.delete(id));
+  },
+
+  /**
+   * Delete every job
+   */
+  async clear() {
+    await this._run('readwrite', store => store.clear());
+  },
+
+  /**
+   * Add imported jobs, skipping postings that are already stored
+   * @param {Array} items - Parsed CSV rows or JSON objects
+   * @param {string} profileId - Profile to file them under
+   * @returns {Promise<Object>} {added, skipped}
+   */
+  async importJobs(items, profileId) {
+    const existing = new Set((await this.getAll()).map(record => record.canonicalLink).filter(Boolean));
+    let added = 0;
+    let skipped = 0;
+
+    for (const item of items) {
+      const data = this._pickFields(item);
+      const canonicalLink = JobUrl.canonicalize(data.link || '');
+
+      if (!data.company && !data.jobTitle && !data.link) {
+        skipped++;
+        continue;
+      }
+
+      if (canonicalLink && existing.has(canonicalLink)) {
+        skipped++;
+        continue;
+      }
+
+      await this.add(data, profileId, item.createdAt || null);
+      existing.add(canonicalLink);
+      added++;
+    }
+
+    return { added, skipped };
+  },
+
+  /**
+   * Find jobs matching a search term (company, title, location or URL)
+   * @param {Array} records - Local jobs
+   * @param {string} query - Search term
+   * @returns {Array}
+   */
+  filter(records, query) {
+    const term = (query || '').trim().toLowerCase();
+    if (!term) return records;
+
+    return records.filter(record => [record.company, record.jobTitle, record.location, record.link]
+      .some(value => FieldMapping.toText(value || '').toLowerCase().includes(term)));
+  },
+
+  /**
+   * Convert jobs to CSV
+   * @param {Array} records - Local jobs
+   * @returns {string}
+   */
+  toCsv(records) {
+    const columns = ['createdAt'].concat(this.FIELDS, ['pushedAt', 'airtableRecordId']);
+    const quote = value => `"${FieldMapping.toText(value === undefined || value === null ? '' : value).replace(/"/g, '""')}"`;
+
+    const rows = records.map(record => columns.map(column => quote(record[column])).join(','));
+    return [columns.join(',')].concat(rows).join('\r\n');
+  },
+
+  /**
+   * Convert jobs to JSON (without internal bookkeeping)
+   * @param {Array} records - Local jobs
+   * @returns {string}
+   */
+  toJson(records) {
+    return JSON.stringify(records.map(record => {
+      const copy = { ...record };
+      delete copy.canonicalLink;
+      return copy;
+    }), null, 2);
+  },
+
+  /**
+   * Parse an exported file
+   * @param {string} text - File contents
+   * @param {string} filename - Used to tell CSV from JSON
+   * @returns {Array} Job objects
+   * @throws {Error} If the file can't be read
+   */
+  parseFile(text, filename) {
+    if (/\.json$/i.test(filename) || /^\s*[[{]/.test(text)) {
+      const parsed = JSON.parse(text);
+      const items = Array.isArray(parsed) ? parsed : parsed.jobs;
+
+      if (!Array.isArray(items)) {
+        throw new Error('Expected a JSON array of jobs');
+      }
+      return items;
+    }
+
+    return this.parseCsv(text);
+  },
+
+  /**
+   * Parse CSV with a header row (quoted values may contain commas, quotes and line breaks)
+   * @param {string} text - CSV text
+   * @returns {Array} One object per row, keyed by header
+   */
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(value);
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(value);
+        rows.push(row);
+        row = [];
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+
+    if (value || row.length > 0) {
+      row.push(value);
+      rows.push(row);
+    }
+
+    const header = (rows.shift() || []).map(name => name.trim().replace(/^\uFEFF/, ''));
+
+    return rows
+      .filter(cells => cells.some(cell => cell.trim()))
+      .map(cells => {
+        const item = {};
+        header.forEach((name, index) => {
+          item[name] = cells[index] || '';
+        });
+        return item;
+      });
+  },
+
+  /**
+   * Convert a date string or timestamp to an ISO string
+   * @returns {string|null} null if it isn't a date
+   * @private
+   */
+  _toIsoString(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  },
+
+  /**
+   * Keep only job fields
+   * @private
+   */
+  _pickFields(data) {
+    const fields = {};
+    this.FIELDS.forEach(key => {
+      fields[key] = data[key] === undefined || data[key] === null ? '' : data[key];
+    });
+    return fields;
+  },
+
+  /**
+   * @returns {Promise<IDBDatabase>}
+   * @private
+   */
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this._db = null;
+          reject(request.error);
+        };
+      });
+    }
+
+    return this._db;
+  },
+
+  /**
+   * Run a single request in a transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the object store, returns an IDBRequest
+   * @returns {Promise<*>} The request's result, once the transaction completes
+   * @private
+   */
+  async _run(mode, operation) {
+    const db = await this._open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.STORE, mode);
+      const request = operation(transaction.objectStore(this.STORE));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+};
+
+// Make it available globally for use in other scripts
+if (typeof window !== 'undefined') {
+  window.LocalJobs = LocalJobs;
+}
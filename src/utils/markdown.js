@@ -0,0 +1,232 @@
+// HTML to Markdown conversion for job descriptions: keeps headings, lists, paragraphs, links and
+// emphasis, drops scripts, styles, hidden elements, images and link tracking parameters, and decodes entities.
+// Works on markup strings (JSON-LD descriptions or an element's innerHTML), so no DOM is needed.
+
+const Markdown = {
+  /**
+   * Elements dropped together with their contents
+   */
+  DROPPED_ELEMENTS: ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'object', 'canvas', 'head', 'title', 'button', 'select'],
+
+  /**
+   * Elements that start a new paragraph
+   */
+  BLOCK_ELEMENTS: ['p', 'div', 'section', 'article', 'header', 'footer', 'aside', 'main', 'blockquote', 'pre', 'table', 'dl', 'figure', 'address', 'center'],
+
+  VOID_ELEMENTS: ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'],
+
+  /**
+   * Query parameters removed from links (click tracking added by sites and mail tools)
+   */
+  TRACKING_PARAMS: /^(utm_\w+|gclid|fbclid|msclkid|mc_cid|mc_eid|_hsenc|_hsmi|trk|trackingId|refId|lipi)$/i,
+
+  /**
+   * Convert a job description to Markdown. Text without tags only has its spacing tidied.
+   * @param {string} html - Description markup or text
+   * @returns {string}
+   */
+  fromHtml(html) {
+    const source = String(html || '');
+
+    if (!/<[a-z!\/][^>]*>/i.test(source)) {
+      return this.tidy(StructuredData.decodeEntities(source).replace(/[^\S\n]+/g, ' '));
+    }
+
+    const stripped = source
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(new RegExp(`<(${this.DROPPED_ELEMENTS.join('|')})\\b[^>]*>[\\s\\S]*?<\\/\\1\\s*>`, 'gi'), '');
+
+    let out = '';
+    const lists = [];
+    const links = [];
+    let hidden = null;
+    let preformatted = 0;
+    let opened = '';
+
+    const newline = count => {
+      out = out.replace(/[^\S\n]+$/, '');
+      if (!out) return;
+      const existing = out.match(/\n*$/)[0].length;
+      if (existing < count) out += '\n'.repeat(count - existing);
+    };
+
+    for (const token of stripped.matchAll(/<(\/?)([a-z][a-z0-9-]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>|<[^>]*>|[^<]+/gi)) {
+      const [text, closing, rawName, attributes] = token;
+
+      if (!rawName) {
+        if (hidden || text.startsWith('<')) continue;
+
+        const decoded = StructuredData.decodeEntities(text);
+        if (preformatted) {
+          out += decoded;
+        } else {
+          let collapsed = decoded.replace(/\s+/g, ' ');
+
+          // "<b> Apply</b>": keep the space before the marker, or the emphasis isn't recognized
+          if (opened && collapsed.startsWith(' ')) {
+            out = `${out.slice(0, -opened.length)} ${opened}`;
+            collapsed = collapsed.slice(1);
+          }
+
+          // No spaces at the start of a line (they would indent it into a code block)
+          out += /(^|\n| )$/.test(out.replace(/(\*\*|_)$/, '')) ? collapsed.replace(/^ /, '') : collapsed;
+        }
+        opened = '';
+        continue;
+      }
+
+      const name = rawName.toLowerCase();
+      opened = '';
+      const isVoid = this.VOID_ELEMENTS.includes(name) || /\/\s*$/.test(attributes);
+
+      // Skip hidden elements (tracking blocks, screen-only duplicates) up to their closing tag
+      if (hidden) {
+        if (name === hidden.name && !isVoid) hidden.depth += closing ? -1 : 1;
+        if (hidden.depth === 0) hidden = null;
+        continue;
+      }
+
+      if (!closing && !isVoid && this.isHidden(attributes)) {
+        hidden = { name, depth: 1 };
+        continue;
+      }
+
+      if (/^h[1-6]$/.test(name)) {
+        newline(2);
+        if (!closing) out += `${'#'.repeat(Number(name[1]))} `;
+      } else if (name === 'ul' || name === 'ol') {
+        if (closing) {
+          lists.pop();
+          newline(lists.length > 0 ? 1 : 2);
+        } else {
+          newline(lists.length > 0 ? 1 : 2);
+          lists.push({ ordered: name === 'ol', index: 0 });
+        }
+      } else if (name === 'li') {
+        newline(1);
+        if (!closing) {
+          const list = lists[lists.length - 1] || { ordered: false, index: 0 };
+          list.index++;
+          out += '  '.repeat(Math.max(0, lists.length - 1)) + (list.ordered ? `${list.index}. ` : '- ');
+        }
+      } else if (name === 'br') {
+        out = out.replace(/[^\S\n]+$/, '');
+        out += '\n';
+      } else if (name === 'hr') {
+        newline(2);
+        out += '---';
+        newline(2);
+      } else if (name === 'tr' || name === 'dt' || name === 'dd') {
+        newline(1);
+      } else if (name === 'td' || name === 'th') {
+        if (!closing && !/(^|\n)$/.test(out)) out += ' | ';
+      } else if (name === 'strong' || name === 'b' || name === 'em' || name === 'i') {
+        const marker = name === 'strong' || name === 'b' ? '**' : '_';
+        out = this.wrapInline(out, marker, closing);
+        if (!closing) opened = marker;
+      } else if (name === 'a') {
+        if (!closing) {
+          links.push({ start: out.length, href: this.cleanUrl(this.getAttribute(attributes, 'href')) });
+        } else if (links.length > 0) {
+          const link = links.pop();
+          const label = out.slice(link.start).trim();
+          if (link.href && label && label !== link.href) {
+            out = `${out.slice(0, link.start)}[${label}](${link.href})`;
+          }
+        }
+      } else if (this.BLOCK_ELEMENTS.includes(name)) {
+        if (name === 'pre') preformatted += closing ? -1 : 1;
+        // Inside a list item a new block only starts a new line, so the item stays together;
+        // a paragraph right at the start of an item stays on the item's line
+        if (!/(^|\n) *(?:-|\d+\.) $/.test(out)) newline(lists.length > 0 ? 1 : 2);
+      }
+    }
+
+    return this.tidy(out);
+  },
+
+  /**
+   * Open or close an inline marker such as "**", keeping spaces outside it ("**Apply:** now")
+   * @returns {string} Updated output
+   */
+  wrapInline(out, marker, closing) {
+    if (!closing) {
+      return out + marker;
+    }
+
+    // Nothing emphasized: drop the opening marker instead of leaving "****"
+    if (out.endsWith(marker)) {
+      return out.slice(0, -marker.length);
+    }
+
+    const trailing = out.match(/\s*$/)[0];
+    return out.slice(0, out.length - trailing.length) + marker + trailing;
+  },
+
+  /**
+   * Check attributes for hidden, aria-hidden="true" or display:none/visibility:hidden styles
+   * @param {string} attributes - Raw attribute text of a tag
+   * @returns {boolean}
+   */
+  isHidden(attributes) {
+    // Attribute values are removed first so class="hidden-xs" or title="hidden gem" don't count
+    if (/(^|\s)hidden(\s|=|$)/i.test(String(attributes || '').replace(/"[^"]*"|'[^']*'/g, '""'))) return true;
+    if (this.getAttribute(attributes, 'aria-hidden').toLowerCase() === 'true') return true;
+    return /display\s*:\s*none|visibility\s*:\s*hidden/i.test(this.getAttribute(attributes, 'style'));
+  },
+
+  /**
+   * @param {string} attributes - Raw attribute text of a tag
+   * @param {string} name
+   * @returns {string} Decoded value, or '' if missing
+   */
+  getAttribute(attributes, name) {
+    const match = String(attributes || '').match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return match ? StructuredData.decodeEntities(match[1] ?? match[2] ?? match[3]) : '';
+  },
+
+  /**
+   * Keep http(s) and mailto links, without tracking parameters
+   * @param {string} href
+   * @returns {string} Cleaned URL, or '' if the link isn't kept
+   */
+  cleanUrl(href) {
+    if (/^mailto:/i.test(href)) return href;
+
+    let url;
+    try {
+      url = new URL(href);
+    } catch {
+      return '';
+    }
+
+    if (!/^https?:$/.test(url.protocol)) return '';
+
+    Array.from(url.searchParams.keys())
+      .filter(key => this.TRACKING_PARAMS.test(key))
+      .forEach(key => url.searchParams.delete(key));
+
+    return url.toString();
+  },
+
+  /**
+   * Trim line ends, drop empty list items and collapse runs of blank lines
+   * @param {string} text
+   * @returns {string}
+   */
+  tidy(text) {
+    return text
+      .replace(/\u00a0/g, ' ')
+      .split('\n')
+      .map(line => line.replace(/\s+$/, ''))
+      .filter(line => !/^\s*(?:[-*]|\d+\.|#+)$/.test(line))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+};
+
+// Make it available globally for use in other scripts
+if (typeof window !== 'undefined') {
+  window.Markdown = Markdown;
+}
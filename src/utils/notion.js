@@ -0,0 +1,253 @@
+// Notion API client: adds jobs as pages of a database.
+// The field mapping's column names are used as Notion property names.
+
+const NotionClient = {
+  API_URL: 'https://api.notion.com/v1',
+  API_VERSION: '2022-06-28',
+  MAX_TEXT_LENGTH: 2000, // Notion's limit per rich text item
+
+  /**
+   * Create a page in the database from mapped fields
+   * @param {string} token - Notion integration token
+   * @param {string} databaseId - Database ID or URL
+   * @param {Object} fields - Values keyed by property name
+   * @returns {Promise<Object>} {success, data: {id, url}} or error result
+   */
+  async createPage(token, databaseId, fields) {
+    const id = this.normalizeDatabaseId(databaseId);
+    const database = await this.getDatabase(token, id);
+    if (!database.success) return database;
+
+    const properties = this.buildProperties(fields, database.data.properties);
+    if (!properties.success) return properties;
+
+    const result = await this.request(token, 'pages', {
+      method: 'POST',
+      body: {
+        parent: { database_id: id },
+        properties: properties.properties
+      }
+    });
+
+    return result.success ? { success: true, data: { id: result.data.id, url: result.data.url } } : result;
+  },
+
+  /**
+   * Check that the database is shared with the integration and has the mapped properties
+   * @param {string} token - Notion integration token
+   * @param {string} databaseId - Database ID or URL
+   * @param {Object} fieldMapping - Field mapping (column names are property names)
+   * @returns {Promise<Object>} {success} or error result
+   */
+  async testConnection(token, databaseId, fieldMapping) {
+    const database = await this.getDatabase(token, this.normalizeDatabaseId(databaseId));
+    if (!database.success) return database;
+
+    const mapping = FieldMapping.normalize(fieldMapping);
+    const missing = Object.values(mapping).filter(column => column && !database.data.properties[column]);
+
+    if (missing.length > 0) {
+      return {
+        success: false,
+        errorType: 'UNKNOWN_PROPERTY',
+        retryable: false,
+        error: `The database has no ${missing.map(column => `"${column}"`).join(', ')} propert${missing.length === 1 ? 'y' : 'ies'}. Rename them in Notion or change the field mapping.`
+      };
+    }
+
+    return { success: true };
+  },
+
+  /**
+   * Retrieve a database and its property types
+   * @param {string} token - Notion integration token
+   * @param {string} databaseId - 32-character database ID
+   * @returns {Promise<Object>}
+   */
+  async getDatabase(token, databaseId) {
+    if (!databaseId) {
+      return { success: false, errorType: 'INVALID_CONFIG', retryable: false, error: 'Enter the Notion database ID or URL in settings.' };
+    }
+
+    return this.request(token, `databases/${databaseId}`);
+  },
+
+  /**
+   * Convert mapped values to Notion property values by property type
+   * @param {Object} fields - Values keyed by property name
+   * @param {Object} schema - Database properties keyed by name
+   * @returns {Object} {success, properties} or error result
+   */
+  buildProperties(fields, schema) {
+    const properties = {};
+
+    for (const [name, value] of Object.entries(fields)) {
+      const property = schema[name];
+
+      if (!property) {
+        return {
+          success: false,
+          errorType: 'UNKNOWN_PROPERTY',
+          retryable: false,
+          error: `The Notion database has no "${name}" property. Check your field mapping in settings.`
+        };
+      }
+
+      const converted = this.convertValue(value, property.type);
+      if (converted !== undefined) {
+        properties[name] = converted;
+      }
+    }
+
+    return { success: true, properties: properties };
+  },
+
+  /**
+   * Convert a value to a Notion property value
+   * @param {*} value - Value to send
+   * @param {string} type - Notion property type
+   * @returns {Object|undefined} Property value, or undefined for types that can't be written
+   */
+  convertValue(value, type) {
+    const text = FieldMapping.toText(value);
+
+    switch (type) {
+      case 'title':
+        return { title: [{ text: { content: text.slice(0, this.MAX_TEXT_LENGTH) } }] };
+      case 'rich_text':
+        return { rich_text: this.splitText(text) };
+      case 'number': {
+        const number = Number(value);
+        return { number: Number.isFinite(number) ? number : null };
+      }
+      case 'url':
+        return { url: text };
+      case 'email':
+        return { email: text };
+      case 'phone_number':
+        return { phone_number: text };
+      case 'date': {
+        // Calendar dates go as they are; anything with a time ("YYYY-MM-DD HH:MM:SS") must be ISO 8601
+        if (/^\d{4}-\d{2}-\d{2}$/.test(text.trim())) {
+          return { date: { start: text.trim() } };
+        }
+        const date = AirtableSchema.parseDate(text);
+        return date ? { date: { start: date.toISOString() } } : undefined;
+      }
+      case 'checkbox':
+        return { checkbox: !!value && text !== 'false' };
+      case 'select':
+        return { select: { name: text } };
+      case 'status':
+        return { status: { name: text } };
+      case 'multi_select':
+        return {
+          multi_select: FieldMapping.toList(value).map(name => ({ name: name }))
+        };
+      default:
+        // Formulas, rollups, relations, people, files etc. are skipped
+        return undefined;
+    }
+  },
+
+  /**
+   * Split long text into rich text items within Notion's length limit
+   * @param {string} text
+   * @returns {Array}
+   */
+  splitText(text) {
+    const items = [];
+    for (let start = 0; start < text.length; start += this.MAX_TEXT_LENGTH) {
+      items.push({ text: { content: text.slice(start, start + this.MAX_TEXT_LENGTH) } });
+    }
+    return items;
+  },
+
+  /**
+   * Accept a database ID with or without dashes, or a database URL
+   * @param {string} input
+   * @returns {string} 32-character ID, or '' if none was found
+   */
+  normalizeDatabaseId(input) {
+    // The ID ends the last path segment of a URL, after the database's title
+    const segment = (input || '').trim().split(/[?#]/)[0].split('/').pop().replace(/-/g, '');
+    const match = segment.match(/[0-9a-f]{32}$/i);
+    return match ? match[0].toLowerCase() : '';
+  },
+
+  /**
+   * Send a request to the Notion API
+   * @param {string} token - Notion integration token
+   * @param {string} path - Path below /v1
+   * @param {Object} options - {method, body}
+   * @returns {Promise<Object>}
+   */
+  async request(token, path, options = {}) {
+    try {
+      const response = await fetch(`${this.API_URL}/${path}`, {
+        method: options.method || 'GET',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Notion-Version': this.API_VERSION,
+          'Content-Type': 'application/json'
+        },
+        body: options.body ? JSON.stringify(options.body) : undefined
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (response.ok) {
+        return { success: true, status: response.status, data: data };
+      }
+
+      return this.classifyError(data, response.status);
+    } catch (error) {
+      console.error('Notion API error:', error);
+      return {
+        success: false,
+        status: undefined,
+        errorType: 'NETWORK_ERROR',
+        retryable: true,
+        error: error.message || 'Network error occurred'
+      };
+    }
+  },
+
+  /**
+   * Classify a Notion error response by HTTP status and error code
+   * @param {Object} data - Error response data ({code, message})
+   * @param {number} status - HTTP status code
+   * @returns {Object} {success: false, status, errorType, retryable, error}
+   */
+  classifyError(data, status) {
+    const code = (data && data.code) || `HTTP_${status}`;
+    let error;
+
+    if (status === 401) {
+      error = 'Invalid Notion token. Please check your settings.';
+    } else if (status === 404 || code === 'object_not_found') {
+      error = 'Database not found. Check the database ID and share the database with your integration (••• → Connections).';
+    } else if (status === 403) {
+      error = 'Your Notion integration is not allowed to insert content. Enable "Insert content" in its capabilities.';
+    } else if (status === 400 && code === 'validation_error') {
+      error = `${data.message} Check your field mapping against the database properties.`;
+    } else if (status === 429) {
+      error = 'Rate limit exceeded. Please wait a moment and try again.';
+    } else {
+      error = (data && data.message) || `Request failed with status ${status}`;
+    }
+
+    return {
+      success: false,
+      status: status,
+      errorType: code,
+      retryable: status === 409 || status === 429 || status >= 500,
+      error: error
+    };
+  }
+};
+
+// Make it available globally for use in other scripts
+if (typeof window !== 'undefined') {
+  window.NotionClient = NotionClient;
+}
@@ -0,0 +1,111 @@
+// Persistent outbox for submissions that could not be delivered to Airtable
+
+const Outbox = {
+  STORAGE_KEY: 'outbox',
+
+  // Pending read-change-write of the queue; each change waits for the previous one
+  _writes: Promise.resolve(),
+
+  /**
+   * Get all queued submissions, oldest first
+   * @returns {Promise<Array>} Outbox items
+   */
+  async getAll() {
+    try {
+      const result = await chrome.storage.local.get(this.STORAGE_KEY);
+      return result[this.STORAGE_KEY] || [];
+    } catch (error) {
+      console.error('Error reading outbox:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Get a single queued submission
+   * @param {string} id - Outbox item ID
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    const items = await this.getAll();
+    return items.find(item => item.id === id) || null;
+  },
+
+  /**
+   * Queue a submission for later delivery
+   * @param {Object} message - The SEND_TO_AIRTABLE / UPDATE_AIRTABLE_RECORD message to replay
+   * @param {string} error - Why delivery failed
+   * @returns {Promise<Object>} The queued item
+   */
+  async add(message, error) {
+    const item = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      lastAttemptAt: new Date().toISOString(),
+      attempts: 1,
+      lastError: error || '',
+      needsAttention: false,
+      message: message
+    };
+
+    await this._update(items => items.concat([item]));
+    return item;
+  },
+
+  /**
+   * Record the outcome of a failed delivery attempt
+   * @param {string} id - Outbox item ID
+   * @param {string} error - Error message
+   * @param {boolean} needsAttention - True if retrying won't help (e.g. invalid field)
+   */
+  async recordFailure(id, error, needsAttention) {
+    await this._update(items => items.map(item => (item.id !== id ? item : {
+      ...item,
+      attempts: item.attempts + 1,
+      lastAttemptAt: new Date().toISOString(),
+      lastError: error || '',
+      needsAttention: needsAttention
+    })));
+  },
+
+  /**
+   * Remove a submission from the outbox (delivered or discarded)
+   * @param {string} id - Outbox item ID
+   */
+  async remove(id) {
+    await this._update(items => items.filter(item => item.id !== id));
+  },
+
+  /**
+   * Number of queued submissions
+   * @returns {Promise<number>}
+   */
+  async count() {
+    const items = await this.getAll();
+    return items.length;
+  },
+
+  /**
+   * Read, change and write the queue as one step. Changes are chained, so delivery removing items
+   * while a new failure is queued can't overwrite each other. All changes go through the service
+   * worker, so this covers every writer.
+   * @param {Function} change - Receives the current items and returns the new ones
+   * @returns {Promise<void>}
+   * @private
+   */
+  _update(change) {
+    const run = this._writes.then(async () => {
+      // Read without getAll's fallback: a failed read must not write an empty queue
+      const result = await chrome.storage.local.get(this.STORAGE_KEY);
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: change(result[this.STORAGE_KEY] || []) });
+    });
+
+    // A failed change is reported to its caller and doesn't block the ones after it
+    this._writes = run.catch(() => {});
+    return run;
+  }
+};
+
+// Make it available globally for use in other scripts
+if (typeof window !== 'undefined') {
+  window.Outbox = Outbox;
+}
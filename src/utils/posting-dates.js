@@ -0,0 +1,143 @@
+// Posting date parsing: structured data dates, relative phrases such as "Posted 3 days ago",
+// "Reposted 2 weeks ago" or "30+ days ago", and absolute dates such as "Apply by May 30, 2024".
+// All dates are returned as YYYY-MM-DD in local time, the format of date inputs and Airtable date columns.
+
+const PostingDates = {
+  /**
+   * Words before a posted date ("Posted 3 days ago", "Reposted on May 3, 2024")
+   */
+  POSTED_PATTERN: /\b(?:re-?posted|posted|published|listed|active)\b[:\s]*(?:on\s+)?([^\n]{1,40})/gi,
+
+  /**
+   * Words before a closing date ("Apply by June 30", "Closing date: 2024-06-30")
+   */
+  CLOSING_PATTERN: /\b(?:apply by|apply before|applications? (?:close|closes|due)(?:\s+on)?|closing date|deadline|valid (?:through|until)|expires(?:\s+on)?)\b[:\s]*([^\n]{1,40})/gi,
+
+  /**
+   * Convert a date or date-time from structured data ("2024-05-01", "2024-05-01T09:00:00Z")
+   * @param {string} value
+   * @returns {string|null} YYYY-MM-DD
+   */
+  toDateString(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    const text = value.trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+
+    const parsed = new Date(text);
+    return isNaN(parsed.getTime()) ? null : this.formatLocalDate(parsed);
+  },
+
+  /**
+   * Convert a relative phrase ("3 days ago", "30+ days ago", "2w ago", "today", "yesterday")
+   * @param {string} text
+   * @param {Date} [now]
+   * @returns {string|null} YYYY-MM-DD
+   */
+  parseRelative(text, now = new Date()) {
+    const value = String(text || '').toLowerCase();
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    if (/\b(just now|just posted|today|\d+\s*(?:minutes?|mins?|hours?|hrs?|h)\s+ago)\b/.test(value)) {
+      return this.formatLocalDate(date);
+    }
+
+    if (/\byesterday\b/.test(value)) {
+      date.setDate(date.getDate() - 1);
+      return this.formatLocalDate(date);
+    }
+
+    // "30+ days ago" is the oldest age a site shows; the posting is at least that old
+    const match = value.match(/\b(\d+)\+?\s*(days?|d|weeks?|wks?|w|months?|mos?|years?|yrs?|y)\s+ago\b/);
+    if (!match) return null;
+
+    const amount = parseInt(match[1], 10);
+    const unit = match[2];
+
+    if (unit.startsWith('d')) {
+      date.setDate(date.getDate() - amount);
+    } else if (unit.startsWith('w')) {
+      date.setDate(date.getDate() - amount * 7);
+    } else if (unit.startsWith('m')) {
+      date.setMonth(date.getMonth() - amount);
+    } else {
+      date.setFullYear(date.getFullYear() - amount);
+    }
+
+    return this.formatLocalDate(date);
+  },
+
+  /**
+   * Parse a written date at the start of the text ("2024-05-03", "May 3, 2024", "3 May 2024")
+   * @param {string} text
+   * @returns {string|null} YYYY-MM-DD
+   */
+  parseAbsolute(text) {
+    const match = String(text || '').trim().match(/^(\d{4}-\d{2}-\d{2}|[A-Za-z]{3,9}\.?\s+\d{1,2}(?:st|nd|rd|th)?,?\s+\d{4}|\d{1,2}(?:st|nd|rd|th)?\s+[A-Za-z]{3,9}\.?,?\s+\d{4})/);
+    if (!match) return null;
+
+    if (/^\d{4}-/.test(match[1])) return match[1];
+
+    const parsed = new Date(match[1].replace(/(\d)(st|nd|rd|th)/, '$1').replace('.', ''));
+    return isNaN(parsed.getTime()) ? null : this.formatLocalDate(parsed);
+  },
+
+  /**
+   * Parse a relative or written date
+   * @param {string} text
+   * @param {Date} [now]
+   * @returns {string|null} YYYY-MM-DD
+   */
+  parse(text, now = new Date()) {
+    return this.parseRelative(text, now) || this.parseAbsolute(text);
+  },
+
+  /**
+   * Find when the posting went up in page text. Phrases after "Posted" and similar words are
+   * preferred; a bare "3 days ago" is used otherwise.
+   * @param {string} text - Page text
+   * @param {Date} [now]
+   * @returns {Object|null} {date, labeled}
+   */
+  findPosted(text, now = new Date()) {
+    for (const match of String(text || '').matchAll(this.POSTED_PATTERN)) {
+      const date = this.parse(match[1], now);
+      if (date) return { date, labeled: true };
+    }
+
+    const bare = String(text || '').match(/\b\d+\+?\s*(?:days?|weeks?|months?)\s+ago\b/i);
+    const date = bare && this.parseRelative(bare[0], now);
+    return date ? { date, labeled: false } : null;
+  },
+
+  /**
+   * Find when applications close in page text
+   * @param {string} text - Page text
+   * @returns {string|null} YYYY-MM-DD
+   */
+  findClosing(text) {
+    for (const match of String(text || '').matchAll(this.CLOSING_PATTERN)) {
+      const date = this.parseAbsolute(match[1]);
+      if (date) return date;
+    }
+
+    return null;
+  },
+
+  /**
+   * Format a Date as YYYY-MM-DD in local time
+   * @param {Date} date
+   * @returns {string}
+   */
+  formatLocalDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+};
+
+// Make it available globally for use in other scripts
+if (typeof window !== 'undefined') {
+  window.PostingDates = PostingDates;
+}
@@ -0,0 +1,73 @@
+// Lookup of job postings that are already saved, from local history and
+// (optionally) a cached copy of the Link column of each profile's table
+
+const SavedJobIndex = {
+  LINK_INDEX_KEY: 'airtableLinkIndex',
+  MAX_PAGES: 50, // 100 records per page; larger tables are only partly indexed
+
+  /**
+   * Build a lookup of canonical URL to where the job was found
+   * @param {Array} historyEntries - SubmissionHistory entries
+   * @param {Object} linkIndex - Cached Airtable links per profile
+   * @returns {Map<string, Object>} Canonical URL -> {source: 'history'|'airtable', recordUrl, company, jobTitle}
+   */
+  build(historyEntries, linkIndex) {
+    const index = new Map();
+
+    Object.values(linkIndex || {}).forEach(table => {
+      table.records.forEach(([link, recordId]) => {
+        index.set(link, {
+          source: 'airtable',
+          recordUrl: AirtableClient.getRecordUrl(table.baseId, table.tableId, recordId)
+        });
+      });
+    });
+
+    // History wins: it knows the company and title
+    historyEntries.forEach(entry => {
+      if (!entry.url) return;
+      index.set(JobUrl.canonicalize(entry.url), {
+        source: 'history',
+        recordUrl: entry.recordUrl,
+        company: entry.company,
+        jobTitle: entry.jobTitle
+      });
+    });
+
+    return index;
+  },
+
+  /**
+   * Get the cached Airtable links
+   * @returns {Promise<Object>} profileId -> {fetchedAt, baseId, tableId, records: [[canonicalLink, recordId]]}
+   */
+  async getLinkIndex() {
+    try {
+      const result = await chrome.storage.local.get(this.LINK_INDEX_KEY);
+      return result[this.LINK_INDEX_KEY] || {};
+    } catch (error) {
+      console.error('Error reading link index:', error);
+      return {};
+    }
+  },
+
+  /**
+   * Replace the cached Airtable links
+   * @param {Object} linkIndex - profileId -> {fetchedAt, baseId, tableId, records}
+   */
+  async saveLinkIndex(linkIndex) {
+    await chrome.storage.local.set({ [this.LINK_INDEX_KEY]: linkIndex });
+  },
+
+  /**
+   * Delete the cached Airtable links
+   */
+  async clearLinkIndex() {
+    await chrome.storage.local.remove(this.LINK_INDEX_KEY);
+  }
+};
+
+// Make it available globally for use in other scripts
+if (typeof window !== 'undefined') {
+  window.SavedJobIndex = SavedJobIndex;
+}
@@ -1,41 +1,230 @@
-// Chrome storage wrapper for managing Airtable credentials and settings
+// Chrome storage wrapper for managing Airtable credentials and settings.
+// Settings live in named destination profiles (one base/table each); each profile is
+// stored under its own sync key to stay within the per-item quota.
+// When token encryption is on, tokens are kept in TokenVault instead of sync storage.
 
 const StorageHelper = {
+  LEGACY_KEYS: ['apiKey', 'baseId', 'tableName', 'fieldMapping', 'matchCompanyTitle', 'mergeField'],
+  PROFILE_PREFIX: 'profile_',
+  DEFAULT_PROFILE_ID: 'default',
+
+  /**
+   * Default values submitted with each new record, per profile
+   */
+  DEFAULT_RECORD_VALUES: {
+    status: 'New',
+    score: 0,
+    source: 'Browser'
+  },
+
   /**
-   * Save settings to Chrome storage
-   * @param {Object} settings - Settings object with apiKey, baseId, tableName
+   * Save settings to a profile (the active profile if none is given)
+   * @param {Object} settings - Any of name, apiKey, baseId, tableName, destination, webhook, notion, fieldMapping, matchCompanyTitle, mergeField, notesColumns, defaults
+   * @param {string} [profileId] - Profile to update
    * @returns {Promise<void>}
    */
-  async saveSettings(settings) {
-    return new Promise((resolve, reject) => {
-      chrome.storage.sync.set(settings, () => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve();
-        }
-      });
-    });
+  async saveSettings(settings, profileId = null) {
+    const id = profileId || await this.getActiveProfileId();
+    const profile = await this.getProfile(id);
+
+    if (!profile) {
+      throw new Error('Profile not found');
+    }
+
+    await this.saveProfile({ ...profile, ...settings, id });
   },
 
   /**
-   * Get all settings from Chrome storage
-   * @returns {Promise<Object>} Settings object with apiKey, baseId, tableName
+   * Get settings of a profile (the active profile if none is given)
+   * @param {string} [profileId] - Profile to read
+   * @returns {Promise<Object>} Settings object with id, name, apiKey, baseId, tableName, destination, webhook, notion, fieldMapping, matchCompanyTitle, mergeField, notesColumns, defaults
+   *   (plus tokenLocked: true when the token is encrypted and not unlocked yet)
    */
-  async getSettings() {
-    return new Promise((resolve, reject) => {
-      chrome.storage.sync.get(['apiKey', 'baseId', 'tableName'], (result) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve({
-            apiKey: result.apiKey || '',
-            baseId: result.baseId || '',
-            tableName: result.tableName || ''
-          });
-        }
-      });
+  async getSettings(profileId = null) {
+    const id = profileId || await this.getActiveProfileId();
+    const profile = await this.getProfile(id);
+
+    if (!profile) {
+      throw new Error('Profile not found. Please check settings.');
+    }
+
+    return profile;
+  },
+
+  /**
+   * Get all profiles in display order
+   * @returns {Promise<Object[]>}
+   */
+  async getProfiles() {
+    const order = await this._ensureProfiles();
+    const keys = order.map(id => this.PROFILE_PREFIX + id);
+    const result = await this._get(keys);
+
+    const profiles = order
+      .filter(id => result[this.PROFILE_PREFIX + id])
+      .map(id => this._normalizeProfile(result[this.PROFILE_PREFIX + id]));
+
+    return Promise.all(profiles.map(profile => this._withToken(profile)));
+  },
+
+  /**
+   * Get a single profile
+   * @param {string} id - Profile ID
+   * @returns {Promise<Object|null>}
+   */
+  async getProfile(id) {
+    await this._ensureProfiles();
+    const key = this.PROFILE_PREFIX + id;
+    const result = await this._get([key]);
+    return result[key] ? this._withToken(this._normalizeProfile(result[key])) : null;
+  },
+
+  /**
+   * Create a new profile
+   * @param {string} name - Display name
+   * @param {Object} [values] - Initial settings
+   * @returns {Promise<Object>} The created profile
+   */
+  async createProfile(name, values = {}) {
+    const order = await this._ensureProfiles();
+    const profile = this._normalizeProfile({ ...values, id: crypto.randomUUID(), name });
+
+    await this.saveProfile(profile);
+    await this._set({ profileOrder: order.concat(profile.id) });
+
+    return profile;
+  },
+
+  /**
+   * Save a profile
+   * @param {Object} profile - Profile with id
+   * @returns {Promise<void>}
+   */
+  async saveProfile(profile) {
+    const normalized = this._normalizeProfile(profile);
+
+    if (await TokenVault.isEnabled()) {
+      if (!profile.tokenLocked) {
+        await TokenVault.setToken(normalized.id, normalized.apiKey);
+      } else if (normalized.apiKey) {
+        throw new Error('Tokens are locked. Unlock them with your passphrase before changing the token.');
+      }
+      // Otherwise the profile was read while locked; its stored token stays as it is
+      normalized.apiKey = '';
+    }
+
+    await this._set({ [this.PROFILE_PREFIX + normalized.id]: normalized });
+  },
+
+  /**
+   * Delete a profile (the last remaining profile cannot be deleted)
+   * @param {string} id - Profile ID
+   * @returns {Promise<void>}
+   */
+  async deleteProfile(id) {
+    const order = await this._ensureProfiles();
+    const remaining = order.filter(profileId => profileId !== id);
+
+    if (remaining.length === 0) {
+      throw new Error('At least one profile is required');
+    }
+
+    const rules = await this.getDomainRules();
+    const activeId = await this.getActiveProfileId();
+
+    await this._set({
+      profileOrder: remaining,
+      domainRules: rules.filter(rule => rule.profileId !== id),
+      activeProfileId: activeId === id ? remaining[0] : activeId
     });
+    await this._remove([this.PROFILE_PREFIX + id]);
+    await TokenVault.removeToken(id);
+  },
+
+  /**
+   * Get the ID of the profile used when no domain rule applies
+   * @returns {Promise<string>}
+   */
+  async getActiveProfileId() {
+    const order = await this._ensureProfiles();
+    const result = await this._get(['activeProfileId']);
+    return order.includes(result.activeProfileId) ? result.activeProfileId : order[0];
+  },
+
+  /**
+   * Set the profile used when no domain rule applies
+   * @param {string} id - Profile ID
+   * @returns {Promise<void>}
+   */
+  async setActiveProfileId(id) {
+    await this._set({ activeProfileId: id });
+  },
+
+  /**
+   * Get per-domain default profile rules
+   * @returns {Promise<Array>} Rules [{domain, profileId}]
+   */
+  async getDomainRules() {
+    const result = await this._get(['domainRules']);
+    return result.domainRules || [];
+  },
+
+  /**
+   * Save per-domain default profile rules
+   * @param {Array} rules - Rules [{domain, profileId}]
+   * @returns {Promise<void>}
+   */
+  async saveDomainRules(rules) {
+    const cleaned = rules
+      .map(rule => ({
+        domain: rule.domain.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, ''),
+        profileId: rule.profileId
+      }))
+      .filter(rule => rule.domain && rule.profileId);
+
+    await this._set({ domainRules: cleaned });
+  },
+
+  /**
+   * Pick the profile for a page: the most specific matching domain rule, else the active profile
+   * @param {string} url - Page URL
+   * @returns {Promise<string>} Profile ID
+   */
+  async getProfileIdForUrl(url) {
+    const activeId = await this.getActiveProfileId();
+    let hostname;
+
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch {
+      return activeId;
+    }
+
+    const order = await this._ensureProfiles();
+    const rules = (await this.getDomainRules())
+      .filter(rule => order.includes(rule.profileId))
+      .filter(rule => hostname === rule.domain || hostname.endsWith('.' + rule.domain))
+      .sort((a, b) => b.domain.length - a.domain.length);
+
+    return rules.length > 0 ? rules[0].profileId : activeId;
+  },
+
+  /**
+   * Whether "already saved" checks also look at the Link column of each profile's table
+   * @returns {Promise<boolean>}
+   */
+  async getCheckAirtableLinks() {
+    const result = await this._get(['checkAirtableLinks']);
+    return !!result.checkAirtableLinks;
+  },
+
+  /**
+   * Turn the Airtable Link check for "already saved" on or off
+   * @param {boolean} enabled
+   * @returns {Promise<void>}
+   */
+  async saveCheckAirtableLinks(enabled) {
+    await this._set({ checkAirtableLinks: !!enabled });
   },
 
   /**
@@ -65,13 +254,98 @@ const StorageHelper = {
     return settings.tableName;
   },
 
+  /**
+   * Get the stored field mapping (null if never customised)
+   * @param {string} [profileId] - Profile to read
+   * @returns {Promise<Object|null>}
+   */
+  async getFieldMapping(profileId = null) {
+    const settings = await this.getSettings(profileId);
+    return settings.fieldMapping;
+  },
+
+  /**
+   * Save the field mapping between detected data and Airtable columns
+   * @param {Object} fieldMapping - Mapping of internal field key to column name
+   * @param {string} [profileId] - Profile to update
+   * @returns {Promise<void>}
+   */
+  async saveFieldMapping(fieldMapping, profileId = null) {
+    return this.saveSettings({ fieldMapping }, profileId);
+  },
+
   /**
    * Check if all required settings are configured
+   * @param {string} [profileId] - Profile to check
    * @returns {Promise<boolean>}
    */
-  async isConfigured() {
-    const settings = await this.getSettings();
-    return !!(settings.apiKey && settings.baseId && settings.tableName);
+  async isConfigured(profileId = null) {
+    const settings = await this.getSettings(profileId);
+    return this.isProfileConfigured(settings);
+  },
+
+  /**
+   * Check if a profile has what its destination needs (credentials and a table, a webhook URL, ...)
+   * @param {Object} profile
+   * @returns {boolean}
+   */
+  isProfileConfigured(profile) {
+    if (!profile) return false;
+
+    const hasToken = !!(profile.apiKey || profile.tokenLocked);
+
+    switch (profile.destination) {
+      case 'local':
+        return true;
+      case 'webhook':
+        return !!(profile.webhook && profile.webhook.url);
+      case 'notion':
+        return hasToken && !!(profile.notion && profile.notion.databaseId);
+      default:
+        return hasToken && !!(profile.baseId && profile.tableName);
+    }
+  },
+
+  /**
+   * Encrypt every profile's token with a passphrase and remove it from sync storage
+   * @param {string} passphrase - User passphrase
+   * @returns {Promise<void>}
+   */
+  async enableTokenEncryption(passphrase) {
+    if (await TokenVault.isEnabled()) {
+      throw new Error('Tokens are already encrypted');
+    }
+
+    const profiles = await this.getProfiles();
+    const tokens = {};
+    profiles.forEach(profile => {
+      tokens[profile.id] = profile.apiKey;
+    });
+
+    await TokenVault.enable(passphrase, tokens);
+
+    const cleared = {};
+    profiles.forEach(profile => {
+      cleared[this.PROFILE_PREFIX + profile.id] = { ...profile, apiKey: '' };
+    });
+    await this._set(cleared);
+  },
+
+  /**
+   * Decrypt the tokens and store them in sync storage again (must be unlocked)
+   * @returns {Promise<void>}
+   */
+  async disableTokenEncryption() {
+    const tokens = await TokenVault.getAllTokens();
+    const profiles = await this.getProfiles();
+
+    const restored = {};
+    profiles.forEach(profile => {
+      restored[this.PROFILE_PREFIX + profile.id] = this._normalizeProfile({ ...profile, apiKey: tokens[profile.id] || '' });
+    });
+    await this._set(restored);
+
+    await TokenVault.disable();
   },
 
   /**
@@ -79,8 +353,139 @@ const StorageHelper = {
    * @returns {Promise<void>}
    */
   async clearSettings() {
+    const order = await this._ensureProfiles();
+    await this._remove(
+      order.map(id => this.PROFILE_PREFIX + id)
+        .concat(['profileOrder', 'activeProfileId', 'domainRules', 'checkAirtableLinks'])
+    );
+    await TokenVault.reset();
+  },
+
+  /**
+   * Create the profile list on first use, moving pre-profile settings into a "Default" profile
+   * @returns {Promise<string[]>} Profile IDs in display order
+   * @private
+   */
+  async _ensureProfiles() {
+    const result = await this._get(['profileOrder'].concat(this.LEGACY_KEYS));
+
+    if (Array.isArray(result.profileOrder) && result.profileOrder.length > 0) {
+      return result.profileOrder;
+    }
+
+    const profile = this._normalizeProfile({
+      id: this.DEFAULT_PROFILE_ID,
+      name: 'Default',
+      apiKey: result.apiKey,
+      baseId: result.baseId,
+      tableName: result.tableName,
+      fieldMapping: result.fieldMapping,
+      matchCompanyTitle: result.matchCompanyTitle,
+      mergeField: result.mergeField
+    });
+
+    await this._set({
+      [this.PROFILE_PREFIX + profile.id]: profile,
+      profileOrder: [profile.id],
+      activeProfileId: profile.id
+    });
+    await this._remove(this.LEGACY_KEYS);
+
+    return [profile.id];
+  },
+
+  /**
+   * Add the decrypted token to a profile when token encryption is on
+   * @param {Object} profile - Normalized profile
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _withToken(profile) {
+    if (!(await TokenVault.isEnabled())) {
+      return profile;
+    }
+
+    const token = await TokenVault.getToken(profile.id);
+    if (token === null) {
+      // A profile without a token (e.g. a webhook that needs none) has nothing to unlock
+      return await TokenVault.hasToken(profile.id) ? { ...profile, apiKey: '', tokenLocked: true } : profile;
+    }
+
+    return { ...profile, apiKey: token };
+  },
+
+  /**
+   * Fill in defaults for a stored profile
+   * @param {Object} profile
+   * @returns {Object}
+   * @private
+   */
+  _normalizeProfile(profile) {
+    return {
+      id: profile.id,
+      name: profile.name || 'Untitled profile',
+      apiKey: profile.apiKey || '',
+      baseId: profile.baseId || '',
+      tableName: profile.tableName || '',
+      destination: profile.destination || 'airtable',
+      webhook: {
+        url: '',
+        method: 'POST',
+        headers: '',
+        bodyTemplate: '',
+        ...(profile.webhook || {})
+      },
+      notion: { databaseId: '', ...(profile.notion || {}) },
+      fieldMapping: profile.fieldMapping || null,
+      matchCompanyTitle: !!profile.matchCompanyTitle,
+      mergeField: profile.mergeField || 'link',
+      notesColumns: Array.isArray(profile.notesColumns) ? profile.notesColumns : [],
+      defaults: { ...this.DEFAULT_RECORD_VALUES, ...(profile.defaults || {}) }
+    };
+  },
+
+  /**
+   * @param {string[]} keys
+   * @returns {Promise<Object>}
+   * @private
+   */
+  _get(keys) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.sync.get(keys, (result) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(result);
+        }
+      });
+    });
+  },
+
+  /**
+   * @param {Object} items
+   * @returns {Promise<void>}
+   * @private
+   */
+  _set(items) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.sync.set(items, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve();
+        }
+      });
+    });
+  },
+
+  /**
+   * @param {string[]} keys
+   * @returns {Promise<void>}
+   * @private
+   */
+  _remove(keys) {
     return new Promise((resolve, reject) => {
-      chrome.storage.sync.remove(['apiKey', 'baseId', 'tableName'], () => {
+      chrome.storage.sync.remove(keys, () => {
         if (chrome.runtime.lastError) {
           reject(new Error(chrome.runtime.lastError.message));
         } else {
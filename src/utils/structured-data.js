@@ -0,0 +1,333 @@
+// Tolerant reader for structured data. JSON-LD: finds JobPosting nodes inside @graph containers,
+// arrays and nested objects, accepts @type arrays and schema.org IRIs, repairs common mistakes
+// (trailing commas, HTML-escaped blocks, raw line breaks) and resolves @id references.
+// Microdata (itemscope/itemprop) and RDFa (typeof/property) are read into the same JSON-LD shape.
+
+const StructuredData = {
+  MAX_DEPTH: 8,
+
+  /**
+   * Attributes that mark items and properties in each HTML-embedded format
+   */
+  HTML_FORMATS: [
+    { format: 'Microdata', scope: 'itemscope', type: 'itemtype', property: 'itemprop' },
+    { format: 'RDFa', scope: 'typeof', type: 'typeof', property: 'property' }
+  ],
+
+  /**
+   * Find the JobPosting in the page: JSON-LD first, then Microdata and RDFa
+   * @param {Document} doc - Document to search
+   * @returns {Object|null} {item, format, block, blockCount, repaired}; block is 1-based
+   */
+  findJobPosting(doc) {
+    return this.findJsonLdJobPosting(doc) || this.findHtmlJobPosting(doc);
+  },
+
+  /**
+   * Find the JobPosting in the page's JSON-LD blocks
+   * @param {Document} doc - Document to search
+   * @returns {Object|null} {item, format, block, blockCount, repaired}
+   */
+  findJsonLdJobPosting(doc) {
+    const scripts = Array.from(doc.querySelectorAll('script[type="application/ld+json"]'));
+    const blocks = scripts.map(script => this.parseBlock(script.textContent));
+
+    // References may point into other blocks (e.g. the organization described once per page)
+    const ids = new Map();
+    blocks.forEach(parsed => {
+      if (!parsed) return;
+      parsed.nodes = this.collectNodes(parsed.data);
+      parsed.nodes.forEach(node => {
+        if (typeof node['@id'] === 'string' && !this.isReference(node)) ids.set(node['@id'], node);
+      });
+    });
+
+    const candidates = [];
+    blocks.forEach((parsed, index) => {
+      if (!parsed) return;
+
+      parsed.nodes.filter(node => this.isType(node, 'JobPosting')).forEach(node => {
+        candidates.push({
+          item: this.resolve(node, ids, 0, new Set()),
+          format: 'JSON-LD',
+          block: index + 1,
+          blockCount: scripts.length,
+          repaired: parsed.repaired
+        });
+      });
+    });
+
+    // Pages sometimes carry a stub posting (e.g. for a listing) next to the real one
+    const complete = candidates.find(candidate => candidate.item.title && candidate.item.hiringOrganization);
+    return complete || candidates[0] || null;
+  },
+
+  /**
+   * Find a JobPosting marked up with Microdata or RDFa attributes
+   * @param {Document} doc - Document to search
+   * @returns {Object|null} {item, format, block, blockCount, repaired}; block counts the format's JobPosting items
+   */
+  findHtmlJobPosting(doc) {
+    for (const syntax of this.HTML_FORMATS) {
+      const elements = Array.from(doc.querySelectorAll(`[${syntax.scope}][${syntax.type}]`))
+        .filter(element => this.hasType(element.getAttribute(syntax.type), 'JobPosting'));
+
+      if (elements.length === 0) continue;
+
+      // Prefer the outermost posting (a "similar jobs" list may be nested inside it)
+      const index = Math.max(0, elements.findIndex(element => !elements.some(other => other !== element && other.contains(element))));
+
+      return {
+        item: this.readHtmlItem(elements[index], syntax, 0),
+        format: syntax.format,
+        block: index + 1,
+        blockCount: elements.length,
+        repaired: false
+      };
+    }
+
+    return null;
+  },
+
+  /**
+   * Read an HTML item and its properties; nested items (hiringOrganization, jobLocation, ...) become objects
+   * and repeated properties become arrays
+   * @param {Element} element - Element carrying the item scope
+   * @param {Object} syntax - Entry of HTML_FORMATS
+   * @param {number} depth
+   * @returns {Object}
+   */
+  readHtmlItem(element, syntax, depth) {
+    const item = {};
+    const types = (element.getAttribute(syntax.type) || '').split(/\s+/).filter(Boolean).map(type => this.stripPrefix(type));
+    if (types.length > 0) {
+      item['@type'] = types.length === 1 ? types[0] : types;
+    }
+
+    Array.from(element.querySelectorAll(`[${syntax.property}]`))
+      // Only direct properties: the nearest item scope above the property must be this element
+      .filter(property => property.parentElement && property.parentElement.closest(`[${syntax.scope}]`) === element)
+      .forEach(property => {
+        const value = property.hasAttribute(syntax.scope) && depth < this.MAX_DEPTH
+          ? this.readHtmlItem(property, syntax, depth + 1)
+          : this.readHtmlValue(property);
+
+        property.getAttribute(syntax.property).split(/\s+/).filter(Boolean).forEach(name => {
+          const key = this.stripPrefix(name);
+          item[key] = item[key] === undefined ? value : [].concat(item[key], [value]);
+        });
+      });
+
+    return item;
+  },
+
+  /**
+   * Read a property's value the way Microdata defines it (content, URLs, datetime, else text).
+   * Descriptions keep their markup, like JSON-LD descriptions do.
+   * @param {Element} element
+   * @returns {string}
+   */
+  readHtmlValue(element) {
+    const tag = element.tagName.toLowerCase();
+
+    if (element.hasAttribute('content')) return element.getAttribute('content');
+    if (['a', 'area', 'link'].includes(tag)) return element.getAttribute('href') || '';
+    if (['img', 'audio', 'video', 'source', 'iframe', 'embed', 'track'].includes(tag)) return element.getAttribute('src') || '';
+    if (tag === 'object') return element.getAttribute('data') || '';
+    if (['data', 'meter'].includes(tag)) return element.getAttribute('value') || '';
+    if (tag === 'time' && element.hasAttribute('datetime')) return element.getAttribute('datetime');
+
+    const names = (element.getAttribute('itemprop') || element.getAttribute('property') || '').split(/\s+/).map(name => this.stripPrefix(name));
+    if (names.includes('description')) return element.innerHTML.trim();
+
+    return element.textContent.replace(/\s+/g, ' ').trim();
+  },
+
+  /**
+   * Parse a JSON-LD block, repairing it if plain JSON.parse fails
+   * @param {string} text - Script contents
+   * @returns {Object|null} {data, repaired}
+   */
+  parseBlock(text) {
+    const raw = String(text || '').trim();
+    if (!raw) return null;
+
+    try {
+      return { data: this.decodeStrings(JSON.parse(raw)), repaired: false };
+    } catch (e) {
+      // Fall through to the repairs below
+    }
+
+    let cleaned = raw
+      .replace(/^\s*(?:<!--|<!\[CDATA\[)/, '')
+      .replace(/(?:-->|\]\]>)\s*$/, '')
+      // Line breaks and tabs inside strings are invalid JSON; outside strings they are just whitespace
+      .replace(/[\u0000-\u001f]+/g, ' ');
+
+    // Whole block HTML-escaped: {&quot;@type&quot;: ...}
+    if (!/"/.test(cleaned) && /&quot;|&#34;|&#x22;/i.test(cleaned)) {
+      cleaned = this.decodeEntities(cleaned);
+    }
+
+    cleaned = cleaned.replace(/,\s*([}\]])/g, '$1');
+
+    try {
+      return { data: this.decodeStrings(JSON.parse(cleaned)), repaired: true };
+    } catch (e) {
+      return null;
+    }
+  },
+
+  /**
+   * Collect every object in the data (arrays, @graph containers and nested values)
+   * @param {*} data - Parsed JSON-LD
+   * @returns {Array} Objects in document order
+   */
+  collectNodes(data) {
+    const nodes = [];
+
+    const visit = (value, depth) => {
+      if (!value || typeof value !== 'object' || depth > this.MAX_DEPTH) return;
+
+      if (Array.isArray(value)) {
+        value.forEach(item => visit(item, depth + 1));
+        return;
+      }
+
+      nodes.push(value);
+      Object.values(value).forEach(child => visit(child, depth + 1));
+    };
+
+    visit(data, 0);
+    return nodes;
+  },
+
+  /**
+   * Check a node's @type, which may be an array or a full IRI ("https://schema.org/JobPosting")
+   * @param {Object} node
+   * @param {string} type - Type name without prefix
+   * @returns {boolean}
+   */
+  isType(node, type) {
+    return [].concat(node['@type'] || []).some(value => this.stripPrefix(String(value)) === type);
+  },
+
+  /**
+   * Check a space-separated itemtype/typeof attribute for a type
+   * @param {string} attribute - e.g. "https://schema.org/JobPosting" or "schema:JobPosting"
+   * @param {string} type - Type name without prefix
+   * @returns {boolean}
+   */
+  hasType(attribute, type) {
+    return (attribute || '').split(/\s+/).some(value => this.stripPrefix(value) === type);
+  },
+
+  /**
+   * Copy a node, replacing {"@id": ...} references with the nodes they point to,
+   * expanded property names ("http://schema.org/title") with plain ones and {"@value": ...} with the value
+   * @param {*} value - Node or value
+   * @param {Map} ids - Nodes by @id
+   * @param {number} depth
+   * @param {Set} seen - @ids being resolved (guards against cycles)
+   * @returns {*}
+   */
+  resolve(value, ids, depth, seen) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.resolve(item, ids, depth + 1, seen));
+    }
+
+    if (!value || typeof value !== 'object' || depth > this.MAX_DEPTH) {
+      return value;
+    }
+
+    if (value['@value'] !== undefined) {
+      return value['@value'];
+    }
+
+    const id = value['@id'];
+
+    if (this.isReference(value) && ids.has(id) && ids.get(id) !== value && !seen.has(id)) {
+      return this.resolve(ids.get(id), ids, depth + 1, new Set(seen).add(id));
+    }
+
+    const copy = {};
+    const nextSeen = typeof id === 'string' ? new Set(seen).add(id) : seen;
+
+    Object.entries(value).forEach(([key, child]) => {
+      copy[key.startsWith('@') ? key : this.stripPrefix(key)] = this.resolve(child, ids, depth + 1, nextSeen);
+    });
+
+    return copy;
+  },
+
+  /**
+   * Check whether a node only points to another one ({"@id": "#org"})
+   * @param {Object} node
+   * @returns {boolean}
+   */
+  isReference(node) {
+    return typeof node['@id'] === 'string' && Object.keys(node).every(key => key === '@id' || key === '@type');
+  },
+
+  /**
+   * Remove a schema.org prefix from a type or property name
+   * @param {string} name
+   * @returns {string}
+   */
+  stripPrefix(name) {
+    return name.replace(/^(?:https?:\/\/schema\.org\/|schema:)/i, '');
+  },
+
+  /**
+   * Decode HTML entities in every string of parsed data
+   * @param {*} value
+   * @returns {*}
+   */
+  decodeStrings(value) {
+    if (typeof value === 'string') {
+      return value.includes('&') ? this.decodeEntities(value) : value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.decodeStrings(item));
+    }
+
+    if (value && typeof value === 'object') {
+      const decoded = {};
+      Object.entries(value).forEach(([key, child]) => {
+        decoded[key] = this.decodeStrings(child);
+      });
+      return decoded;
+    }
+
+    return value;
+  },
+
+  /**
+   * Decode named and numeric HTML entities
+   * @param {string} text
+   * @returns {string}
+   */
+  decodeEntities(text) {
+    const named = {
+      amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+      ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+      hellip: '…', bull: '•', middot: '·', euro: '€', pound: '£', copy: '©', reg: '®', trade: '™'
+    };
+
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+      }
+
+      const lower = name.toLowerCase();
+      return Object.prototype.hasOwnProperty.call(named, lower) ? named[lower] : entity;
+    });
+  }
+};
+
+// Make it available globally for use in other scripts
+if (typeof window !== 'undefined') {
+  window.StructuredData = StructuredData;
+}
@@ -0,0 +1,278 @@
+// Optional passphrase encryption for Airtable tokens.
+// Encrypted tokens live only in chrome.storage.local; the derived key is kept in
+// chrome.storage.session, so tokens are unlocked once per browser session.
+
+const TokenVault = {
+  STORAGE_KEY: 'tokenVault',
+  SESSION_KEY: 'tokenVaultKey',
+  PBKDF2_ITERATIONS: 600000,
+  MIN_PASSPHRASE_LENGTH: 8,
+  CHECK_VALUE: 'job-lead-to-airtable',
+
+  /**
+   * Whether tokens are encrypted
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled() {
+    return !!(await this._getVault());
+  },
+
+  /**
+   * Whether encryption is on and the key hasn't been unlocked this session
+   * @returns {Promise<boolean>}
+   */
+  async isLocked() {
+    if (!(await this.isEnabled())) return false;
+    return !(await this._getSessionKey());
+  },
+
+  /**
+   * Turn on encryption, encrypting the given tokens and unlocking for this session
+   * @param {string} passphrase - User passphrase
+   * @param {Object} tokens - Map of profile ID to token
+   * @returns {Promise<void>}
+   */
+  async enable(passphrase, tokens) {
+    if (!passphrase || passphrase.length < this.MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Passphrase must be at least ${this.MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await this._deriveKey(passphrase, salt, this.PBKDF2_ITERATIONS);
+
+    const vault = {
+      salt: this._toBase64(salt),
+      iterations: this.PBKDF2_ITERATIONS,
+      check: await this._encrypt(key, this.CHECK_VALUE),
+      tokens: {}
+    };
+
+    for (const [profileId, token] of Object.entries(tokens)) {
+      if (token) {
+        vault.tokens[profileId] = await this._encrypt(key, token);
+      }
+    }
+
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: vault });
+    await this._setSessionKey(key);
+  },
+
+  /**
+   * Turn off encryption (must be unlocked)
+   * @returns {Promise<Object>} Map of profile ID to decrypted token, to be stored in plaintext again
+   */
+  async disable() {
+    const tokens = await this.getAllTokens();
+    await this.reset();
+    return tokens;
+  },
+
+  /**
+   * Unlock for the rest of the browser session
+   * @param {string} passphrase - User passphrase
+   * @returns {Promise<void>}
+   * @throws {Error} If the passphrase is wrong
+   */
+  async unlock(passphrase) {
+    const vault = await this._getVault();
+    if (!vault) return;
+
+    const key = await this._deriveKey(passphrase, this._fromBase64(vault.salt), vault.iterations);
+
+    try {
+      await this._decrypt(key, vault.check);
+    } catch {
+      throw new Error('Incorrect passphrase');
+    }
+
+    await this._setSessionKey(key);
+  },
+
+  /**
+   * Delete the encrypted tokens without decrypting them (forgotten passphrase)
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    await chrome.storage.local.remove(this.STORAGE_KEY);
+    await chrome.storage.session.remove(this.SESSION_KEY);
+  },
+
+  /**
+   * Forget the key until the passphrase is entered again
+   * @returns {Promise<void>}
+   */
+  async lock() {
+    await chrome.storage.session.remove(this.SESSION_KEY);
+  },
+
+  /**
+   * Decrypt a profile's token
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<string|null>} Token, '' if none is stored, or null while locked
+   */
+  async getToken(profileId) {
+    const vault = await this._getVault();
+    const key = await this._getSessionKey();
+    if (!vault || !key) return null;
+
+    const entry = vault.tokens[profileId];
+    return entry ? await this._decrypt(key, entry) : '';
+  },
+
+  /**
+   * Whether a profile has an encrypted token (works while locked)
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<boolean>}
+   */
+  async hasToken(profileId) {
+    const vault = await this._getVault();
+    return !!(vault && vault.tokens[profileId]);
+  },
+
+  /**
+   * Decrypt every stored token (must be unlocked)
+   * @returns {Promise<Object>} Map of profile ID to token
+   */
+  async getAllTokens() {
+    const vault = await this._getVault();
+    const key = await this._getSessionKey();
+
+    if (!vault) return {};
+    if (!key) throw new Error('Tokens are locked. Enter your passphrase first.');
+
+    const tokens = {};
+    for (const [profileId, entry] of Object.entries(vault.tokens)) {
+      tokens[profileId] = await this._decrypt(key, entry);
+    }
+    return tokens;
+  },
+
+  /**
+   * Encrypt and store a profile's token (must be unlocked)
+   * @param {string} profileId - Profile ID
+   * @param {string} token - Token ('' removes it)
+   * @returns {Promise<void>}
+   */
+  async setToken(profileId, token) {
+    if (!token) {
+      await this.removeToken(profileId);
+      return;
+    }
+
+    const vault = await this._getVault();
+    const key = await this._getSessionKey();
+
+    if (!vault) return;
+    if (!key) throw new Error('Tokens are locked. Enter your passphrase first.');
+
+    vault.tokens[profileId] = await this._encrypt(key, token);
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: vault });
+  },
+
+  /**
+   * Remove a profile's token (works while locked)
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<void>}
+   */
+  async removeToken(profileId) {
+    const vault = await this._getVault();
+    if (!vault || !vault.tokens[profileId]) return;
+
+    delete vault.tokens[profileId];
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: vault });
+  },
+
+  /**
+   * @returns {Promise<Object|null>}
+   * @private
+   */
+  async _getVault() {
+    const result = await chrome.storage.local.get(this.STORAGE_KEY);
+    return result[this.STORAGE_KEY] || null;
+  },
+
+  /**
+   * @returns {Promise<CryptoKey|null>}
+   * @private
+   */
+  async _getSessionKey() {
+    const result = await chrome.storage.session.get(this.SESSION_KEY);
+    const raw = result[this.SESSION_KEY];
+    if (!raw) return null;
+
+    return crypto.subtle.importKey('raw', this._fromBase64(raw), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  },
+
+  /**
+   * @param {CryptoKey} key - Extractable AES-GCM key
+   * @private
+   */
+  async _setSessionKey(key) {
+    const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+    await chrome.storage.session.set({ [this.SESSION_KEY]: this._toBase64(raw) });
+  },
+
+  /**
+   * Derive an AES-GCM key from the passphrase with PBKDF2-SHA-256
+   * @private
+   */
+  async _deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  },
+
+  /**
+   * @returns {Promise<Object>} {iv, data} as base64
+   * @private
+   */
+  async _encrypt(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(text));
+    return { iv: this._toBase64(iv), data: this._toBase64(new Uint8Array(data)) };
+  },
+
+  /**
+   * @returns {Promise<string>}
+   * @private
+   */
+  async _decrypt(key, entry) {
+    const data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: this._fromBase64(entry.iv) },
+      key,
+      this._fromBase64(entry.data)
+    );
+    return new TextDecoder().decode(data);
+  },
+
+  /**
+   * @private
+   */
+  _toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  },
+
+  /**
+   * @private
+   */
+  _fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+};
+
+// Make it available globally for use in other scripts
+if (typeof window !== 'undefined') {
+  window.TokenVault = TokenVault;
+}
@@ -0,0 +1,240 @@
+// Generic webhook client: sends job data to any URL with configurable headers and body template.
+// Templates use {{placeholders}}: {{company}}, {{jobTitle}}, ... for single values, {{json}} for all
+// job data as a JSON object. The URL and headers can also use {{token}} for the profile's secret (kept with
+// the other tokens); it is left out of the body so {{json}} never carries it.
+
+const WebhookClient = {
+  TIMEOUT_MS: 15000,
+  METHODS: ['POST', 'PUT', 'PATCH'],
+  DEFAULT_BODY_TEMPLATE: '{{json}}',
+  TEST_HEADER: 'X-Job-Lead-Test',
+
+  /**
+   * Send job data to the webhook
+   * @param {Object} config - {url, method, headers, bodyTemplate}
+   * @param {Object} data - Job data keyed by internal field key
+   * @param {string} token - Profile secret for {{token}}
+   * @param {Object} [extraHeaders] - Headers added after the configured ones
+   * @returns {Promise<Object>} {success, status, data} or {success: false, status, errorType, retryable, error}
+   */
+  async send(config, data, token, extraHeaders = {}) {
+    let request;
+    try {
+      request = this.buildRequest(config, data, token);
+    } catch (error) {
+      return { success: false, errorType: 'INVALID_CONFIG', retryable: false, error: error.message };
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.TIMEOUT_MS);
+
+    try {
+      const response = await fetch(request.url, {
+        method: request.method,
+        headers: { ...request.headers, ...extraHeaders },
+        body: request.body,
+        signal: controller.signal
+      });
+
+      const text = await response.text().catch(() => '');
+
+      if (response.ok) {
+        return { success: true, status: response.status, data: this.parseResponse(text) };
+      }
+
+      return this.classifyError(response.status, text);
+    } catch (error) {
+      console.error('Webhook error:', error);
+      return {
+        success: false,
+        status: undefined,
+        errorType: 'NETWORK_ERROR',
+        retryable: true,
+        error: error.name === 'AbortError'
+          ? `The webhook did not answer within ${this.TIMEOUT_MS / 1000} seconds`
+          : `Could not reach the webhook (${error.message || 'network error'})`
+      };
+    } finally {
+      clearTimeout(timeout);
+    }
+  },
+
+  /**
+   * Check the configuration and send a sample job marked with the test header
+   * @param {Object} config - {url, method, headers, bodyTemplate}
+   * @param {string} token - Profile secret for {{token}}
+   * @returns {Promise<Object>} Result as for send()
+   */
+  async testConnection(config, token) {
+    return this.send(config, this.getSampleJob(), token, { [this.TEST_HEADER]: 'true' });
+  },
+
+  /**
+   * Job data used to test and validate templates
+   * @returns {Object}
+   */
+  getSampleJob() {
+    return {
+      jobId: 'TEST-0000',
+      company: 'Example Inc.',
+      jobTitle: 'Test Job',
+      location: ['Remote'],
+      status: 'New',
+      lastUpdated: new Date().toISOString(),
+      score: 0,
+      source: 'Browser',
+      link: 'https://example.com/jobs/test',
+      description: 'Sample job sent by "Test Connection"',
+      employmentType: 'Full-time',
+      workplaceType: 'Remote',
+      datePosted: new Date().toISOString().slice(0, 10),
+      salary: 'USD 100,000–120,000 per year',
+      salaryMin: 100000,
+      salaryMax: 120000,
+      salaryCurrency: 'USD',
+      salaryPeriod: 'year'
+    };
+  },
+
+  /**
+   * Render the URL, headers and body for a job
+   * @param {Object} config - {url, method, headers, bodyTemplate}
+   * @param {Object} data - Job data
+   * @param {string} token - Profile secret
+   * @returns {Object} {url, method, headers, body}
+   * @throws {Error} If the URL is invalid or a JSON body template renders to invalid JSON
+   */
+  buildRequest(config, data, token) {
+    const url = this.renderTemplate(config.url || '', { token: token }, false);
+    if (!this.isValidUrl(url)) {
+      throw new Error('Webhook URL must start with https:// or http://');
+    }
+
+    const method = this.METHODS.includes(config.method) ? config.method : 'POST';
+    const headers = this.parseHeaders(this.renderTemplate(config.headers || '', { token: token }, false));
+
+    const contentTypeHeader = Object.keys(headers).find(name => name.toLowerCase() === 'content-type');
+    if (!contentTypeHeader) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const isJson = /json/i.test(headers[contentTypeHeader || 'Content-Type']);
+    const body = this.renderTemplate(config.bodyTemplate || this.DEFAULT_BODY_TEMPLATE, data, isJson);
+
+    if (isJson) {
+      try {
+        JSON.parse(body);
+      } catch (error) {
+        throw new Error(`The body template does not produce valid JSON (${error.message})`);
+      }
+    }
+
+    return { url, method, headers, body };
+  },
+
+  /**
+   * Replace {{placeholders}} with values. Unknown placeholders become empty.
+   * @param {string} template - Template text
+   * @param {Object} values - Values by placeholder name ({{json}} is always all of them)
+   * @param {boolean} escapeJson - Escape values for use inside JSON strings
+   * @returns {string}
+   */
+  renderTemplate(template, values, escapeJson) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+      if (name === 'json') {
+        return JSON.stringify(values);
+      }
+
+      const value = values[name];
+      const text = value === undefined || value === null ? '' : FieldMapping.toText(value);
+      return escapeJson ? JSON.stringify(text).slice(1, -1) : text;
+    });
+  },
+
+  /**
+   * Parse "Name: value" lines into a headers object (lines without a colon are ignored)
+   * @param {string} text - One header per line
+   * @returns {Object}
+   */
+  parseHeaders(text) {
+    const headers = {};
+
+    text.split('\n').forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator <= 0) return;
+
+      const name = line.slice(0, separator).trim();
+      if (name) {
+        headers[name] = line.slice(separator + 1).trim();
+      }
+    });
+
+    return headers;
+  },
+
+  /**
+   * @param {string} url
+   * @returns {boolean}
+   */
+  isValidUrl(url) {
+    try {
+      return ['https:', 'http:'].includes(new URL(url).protocol);
+    } catch {
+      return false;
+    }
+  },
+
+  /**
+   * Use a JSON response when there is one
+   * @param {string} text - Response body
+   * @returns {Object|string|null}
+   */
+  parseResponse(text) {
+    if (!text) return null;
+
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  },
+
+  /**
+   * Classify a failed webhook response by HTTP status
+   * @param {number} status - HTTP status code
+   * @param {string} text - Response body
+   * @returns {Object} {success: false, status, errorType, retryable, error}
+   */
+  classifyError(status, text) {
+    const detail = (text || '').replace(/\s+/g, ' ').trim().slice(0, 200);
+    const suffix = detail ? `: ${detail}` : '';
+    let error;
+
+    if (status === 401 || status === 403) {
+      error = `The webhook refused the request (HTTP ${status}). Check the authorization headers and secret.`;
+    } else if (status === 404 || status === 410) {
+      error = `Webhook URL not found (HTTP ${status}). Check the URL in settings.`;
+    } else if (status === 400 || status === 422) {
+      error = `The webhook rejected the data (HTTP ${status})${suffix}. Check the body template.`;
+    } else if (status === 413) {
+      error = 'The job is too large for the webhook (HTTP 413). Try removing {{description}} from the body template.';
+    } else if (status === 429) {
+      error = 'The webhook is rate limiting requests. Please wait a moment and try again.';
+    } else {
+      error = `Webhook request failed with status ${status}${suffix}`;
+    }
+
+    return {
+      success: false,
+      status: status,
+      errorType: `HTTP_${status}`,
+      retryable: status === 408 || status === 429 || status >= 500,
+      error: error
+    };
+  }
+};
+
+// Make it available globally for use in other scripts
+if (typeof window !== 'undefined') {
+  window.WebhookClient = WebhookClient;
+}
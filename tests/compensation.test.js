@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { Compensation } = loadScripts(['src/utils/compensation.js'], ['Compensation']);
+
+test('parses ranges with k suffixes', () => {
+  assert.deepEqual(Compensation.parseText('$120k–$150k'), { min: 120000, max: 150000, currency: 'USD', period: 'year' });
+});
+
+test('applies a suffix on the upper end to both amounts', () => {
+  assert.deepEqual(Compensation.parseText('$120-150k'), { min: 120000, max: 150000, currency: 'USD', period: 'year' });
+});
+
+test('reads European thousands separators and a written period', () => {
+  assert.deepEqual(Compensation.parseText('€55.000 - €65.000 per year'), { min: 55000, max: 65000, currency: 'EUR', period: 'year' });
+});
+
+test('reads hourly rates with decimals', () => {
+  assert.deepEqual(Compensation.parseText('$80.50/hr'), { min: 80.5, max: 80.5, currency: 'USD', period: 'hour' });
+});
+
+test('requires a currency unless told otherwise', () => {
+  assert.equal(Compensation.parseText('Team of 40 to 50 people'), null);
+  assert.deepEqual(Compensation.parseText('70,000 - 90,000', { requireCurrency: false }), { min: 70000, max: 90000, currency: '', period: 'year' });
+});
+
+test('reads schema.org MonetaryAmount values', () => {
+  const amount = { '@type': 'MonetaryAmount', currency: 'gbp', value: { '@type': 'QuantitativeValue', minValue: 40000, maxValue: '50,000', unitText: 'YEAR' } };
+
+  assert.deepEqual(Compensation.fromMonetaryAmount(amount), { min: 40000, max: 50000, currency: 'GBP', period: 'year' });
+});
+
+test('prefers amounts after a salary word in page text', () => {
+  const found = Compensation.findInText('Raised $20M in funding. Salary: $90,000 - $110,000');
+
+  assert.deepEqual(found, { compensation: { min: 90000, max: 110000, currency: 'USD', period: 'year' }, inContext: true });
+});
+
+test('formats compensation for text columns', () => {
+  assert.equal(Compensation.format({ min: 120000, max: 150000, currency: 'USD', period: 'year' }), 'USD 120,000–150,000 per year');
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { JobDetector } = loadScripts(['src/content/detector.js'], ['JobDetector']);
+
+test('finds the workplace type in description phrases', () => {
+  assert.equal(JobDetector.findWorkplaceType('', 'We offer working remotely.'), 'Remote');
+  assert.equal(JobDetector.findWorkplaceType('', 'This is a fully remote position.'), 'Remote');
+  assert.equal(JobDetector.findWorkplaceType('', 'A hybrid role with two office days.'), 'Hybrid');
+  assert.equal(JobDetector.findWorkplaceType('', 'This is an on-site role in Austin.'), 'On-site');
+});
+
+test('skips negated workplace phrases', () => {
+  assert.equal(JobDetector.findWorkplaceType('', 'Sorry, this is not a remote-friendly team. It is an in-office role.'), 'On-site');
+  assert.equal(JobDetector.findWorkplaceType('', 'We do not offer working remotely.'), null);
+});
+
+test('reads workplace labels unless they are negated', () => {
+  assert.equal(JobDetector.findWorkplaceType('Workplace type: Hybrid', ''), 'Hybrid');
+  assert.equal(JobDetector.findWorkplaceType('Location: Remote (not hybrid)', ''), 'Remote');
+  assert.equal(JobDetector.findWorkplaceType('Work model: Not remote', ''), null);
+});
+
+test('only searches the description for workplace phrases', () => {
+  assert.equal(JobDetector.findWorkplaceType('Filters: Fully remote jobs', 'Join our Berlin office.'), null);
+});
+
+test('finds the employment type from labels and phrases', () => {
+  assert.equal(JobDetector.findEmploymentType('Employment type: Full time', ''), 'Full-time');
+  assert.equal(JobDetector.findEmploymentType('', 'This is a part-time position.'), 'Part-time');
+  assert.equal(JobDetector.findEmploymentType('', 'This is not a contract role.'), null);
+});
+
+test('classifies badge text', () => {
+  assert.equal(JobDetector.classifyType('Full-time · Remote', JobDetector.EMPLOYMENT_TYPES), 'Full-time');
+  assert.equal(JobDetector.classifyType('Full-time · Remote', JobDetector.WORKPLACE_TYPES), 'Remote');
+  assert.equal(JobDetector.classifyType('Engineering', JobDetector.WORKPLACE_TYPES), null);
+});
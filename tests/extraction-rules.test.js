@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+/**
+ * chrome.storage.sync backed by a plain object
+ */
+function fakeChrome(items) {
+  return {
+    storage: {
+      sync: {
+        async get(keys) {
+          if (keys === null) return { ...items };
+          return Object.fromEntries([].concat(keys).filter(key => key in items).map(key => [key, items[key]]));
+        }
+      }
+    }
+  };
+}
+
+function load(items = {}) {
+  return loadScripts(['src/utils/extraction-rules.js'], ['ExtractionRules'], { chrome: fakeChrome(items) }).ExtractionRules;
+}
+
+test('normalizes domains, fields, types and confidences', () => {
+  const ExtractionRules = load();
+
+  assert.deepEqual(ExtractionRules.normalize({ domain: ' https://www.Acme.com/careers ', field: 'salary', type: 'jq', expression: ' h1 ', confidence: '250' }),
+    { domain: 'acme.com', field: 'company', type: 'css', expression: 'h1', confidence: 100 });
+  assert.equal(ExtractionRules.normalize({ domain: 'acme.com', expression: 'h1' }).confidence, ExtractionRules.DEFAULT_CONFIDENCE);
+});
+
+test('rejects bare top-level domains', () => {
+  const ExtractionRules = load();
+
+  assert.equal(ExtractionRules.normalize({ domain: 'com', expression: 'h1' }).domain, '');
+  assert.deepEqual(ExtractionRules.parseJson(JSON.stringify({ rules: [{ domain: 'com', expression: 'h1' }] })), []);
+});
+
+test('gets the rules for a page and its parent domains, but not its TLD', async () => {
+  const ExtractionRules = load({
+    'extractionRules_careers.acme.com': [{ field: 'jobTitle', type: 'css', expression: 'h1', confidence: 90 }],
+    'extractionRules_acme.com': [{ field: 'company', type: 'css', expression: '.brand', confidence: 97 }],
+    'extractionRules_com': [{ field: 'company', type: 'css', expression: 'title', confidence: 99 }]
+  });
+
+  const rules = await ExtractionRules.getForUrl('https://www.careers.acme.com/jobs/1');
+
+  assert.deepEqual(rules.map(rule => `${rule.domain} ${rule.expression}`), ['acme.com .brand', 'careers.acme.com h1']);
+  assert.deepEqual(await ExtractionRules.getForUrl('not a url'), []);
+});
+
+test('checks regular expressions', () => {
+  const ExtractionRules = load();
+
+  assert.equal(ExtractionRules.validate({ type: 'regex', expression: 'Salary: (.+)' }), '');
+  assert.match(ExtractionRules.validate({ type: 'regex', expression: '(' }), /invalid regular expression/);
+});
+
+test('evaluates regular expressions over the page text', () => {
+  const ExtractionRules = load();
+  const doc = { body: { innerText: 'Team: Platform\nReports to: CTO' } };
+
+  assert.equal(ExtractionRules.evaluate({ type: 'regex', expression: 'reports to:\\s*(\\w+)' }, doc), 'CTO');
+  assert.equal(ExtractionRules.evaluate({ type: 'regex', expression: 'Platform' }, doc), 'Platform');
+  assert.deepEqual(ExtractionRules.apply([{ field: 'company', type: 'regex', expression: 'missing (\\w+)', confidence: 96 }], doc), []);
+});
+
+test('merges imported rules, replacing identical ones', () => {
+  const ExtractionRules = load();
+  const existing = [{ domain: 'acme.com', field: 'company', type: 'css', expression: '.brand', confidence: 96 }];
+  const imported = ExtractionRules.parseJson(JSON.stringify({
+    version: 1,
+    rules: [
+      { domain: 'acme.com', field: 'company', type: 'css', expression: '.brand', confidence: 80 },
+      { domain: 'lever.co', field: 'jobTitle', type: 'xpath', expression: '//h2', confidence: 92 }
+    ]
+  }));
+
+  const { rules, added, updated } = ExtractionRules.merge(existing, imported);
+
+  assert.equal(added, 1);
+  assert.equal(updated, 1);
+  assert.deepEqual(rules.map(rule => rule.confidence), [80, 92]);
+});
+
+test('round-trips rule packs', () => {
+  const ExtractionRules = load();
+  const rules = [{ domain: 'acme.com', field: 'location', type: 'css', expression: '.office', confidence: 96 }];
+
+  assert.deepEqual(ExtractionRules.parseJson(ExtractionRules.toJson(rules)), rules);
+  assert.throws(() => ExtractionRules.parseJson('{"items": []}'), /"rules" array/);
+});
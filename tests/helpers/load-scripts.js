@@ -0,0 +1,23 @@
+// Loads the extension's browser scripts for tests. Each script declares its helper as a top-level
+// const (const Markdown = {...}), so the files are joined and evaluated together in one function,
+// which returns the requested helpers. Browser globals a script needs (chrome, document) are passed in.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * @param {string[]} files - Script paths relative to the repository root, in load order
+ * @param {string[]} names - Helpers to return
+ * @param {Object} [globals] - Extra globals by name
+ * @returns {Object} Helpers by name
+ */
+function loadScripts(files, names, globals = {}) {
+  const source = files.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n;\n');
+  const params = Object.keys(globals);
+
+  return new Function(...params, `${source}\nreturn { ${names.join(', ')} };`)(...params.map(name => globals[name]));
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { Markdown } = loadScripts(['src/utils/structured-data.js', 'src/utils/markdown.js'], ['Markdown']);
+
+test('keeps headings, paragraphs and emphasis', () => {
+  const html = '<h2>About the role</h2><p>We build <strong>fast</strong> tools for <em>everyone</em>.</p><p>Join us.</p>';
+
+  assert.equal(Markdown.fromHtml(html), '## About the role\n\nWe build **fast** tools for _everyone_.\n\nJoin us.');
+});
+
+test('converts nested and ordered lists', () => {
+  const html = '<ul><li>Python<ul><li>Django</li></ul></li><li>SQL</li></ul><ol><li>Apply</li><li>Interview</li></ol>';
+
+  assert.equal(Markdown.fromHtml(html), '- Python\n  - Django\n- SQL\n\n1. Apply\n2. Interview');
+});
+
+test('keeps a paragraph inside a list item on the item line', () => {
+  assert.equal(Markdown.fromHtml('<ul><li><p>Remote friendly</p></li></ul>'), '- Remote friendly');
+});
+
+test('drops scripts, styles, hidden elements and images', () => {
+  const html = '<p>Visible</p><script>track()</script><style>p{}</style><div style="display: none">Hidden</div>' +
+    '<span aria-hidden="true">Icon</span><img src="x.png"><p class="hidden-xs">Still shown</p>';
+
+  assert.equal(Markdown.fromHtml(html), 'Visible\n\nStill shown');
+});
+
+test('keeps links without tracking parameters', () => {
+  const html = '<p>See <a href="https://acme.com/jobs?id=7&amp;utm_source=board&amp;gclid=abc">our jobs</a></p>';
+
+  assert.equal(Markdown.fromHtml(html), 'See [our jobs](https://acme.com/jobs?id=7)');
+});
+
+test('drops links that are not http(s) or mailto', () => {
+  assert.equal(Markdown.fromHtml('<a href="javascript:apply()">Apply</a>'), 'Apply');
+});
+
+test('decodes entities and turns line breaks into new lines', () => {
+  assert.equal(Markdown.fromHtml('<p>R&amp;D&nbsp;team<br>Berlin &ndash; Munich</p>'), 'R&D team\nBerlin – Munich');
+});
+
+test('tidies plain text without tags', () => {
+  assert.equal(Markdown.fromHtml('  Line one  \n\n\n\nLine   two &amp; more '), 'Line one\n\nLine two & more');
+});
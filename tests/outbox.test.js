@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+/**
+ * chrome.storage.local backed by a plain object; every call yields so that unserialized writes interleave
+ */
+function fakeChrome(items) {
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+  return {
+    storage: {
+      local: {
+        async get(key) {
+          await tick();
+          return key in items ? { [key]: JSON.parse(JSON.stringify(items[key])) } : {};
+        },
+        async set(values) {
+          await tick();
+          Object.assign(items, JSON.parse(JSON.stringify(values)));
+        }
+      }
+    }
+  };
+}
+
+function load(items = {}) {
+  return loadScripts(['src/utils/outbox.js'], ['Outbox'], { chrome: fakeChrome(items) }).Outbox;
+}
+
+test('keeps every job queued at the same time', async () => {
+  const Outbox = load();
+
+  await Promise.all(['A', 'B', 'C'].map(title => Outbox.add({ type: 'SEND_TO_AIRTABLE', jobData: { jobTitle: title } }, 'offline')));
+
+  const items = await Outbox.getAll();
+  assert.deepEqual(items.map(item => item.message.jobData.jobTitle), ['A', 'B', 'C']);
+});
+
+test('does not bring back a removed job or drop one queued meanwhile', async () => {
+  const Outbox = load();
+  const first = await Outbox.add({ type: 'SEND_TO_AIRTABLE', jobData: { jobTitle: 'A' } }, 'offline');
+  const second = await Outbox.add({ type: 'SEND_TO_AIRTABLE', jobData: { jobTitle: 'B' } }, 'offline');
+
+  await Promise.all([
+    Outbox.remove(first.id),
+    Outbox.recordFailure(second.id, 'timeout', false),
+    Outbox.add({ type: 'SEND_TO_AIRTABLE', jobData: { jobTitle: 'C' } }, 'offline')
+  ]);
+
+  const items = await Outbox.getAll();
+  assert.deepEqual(items.map(item => item.message.jobData.jobTitle), ['B', 'C']);
+  assert.equal(items[0].attempts, second.attempts + 1);
+  assert.equal(items[0].lastError, 'timeout');
+});
+
+test('a failed write does not block the ones after it', async () => {
+  const items = {};
+  const chrome = fakeChrome(items);
+  const set = chrome.storage.local.set;
+  let failNext = true;
+  chrome.storage.local.set = async values => {
+    if (failNext) {
+      failNext = false;
+      throw new Error('QUOTA_BYTES quota exceeded');
+    }
+    return set(values);
+  };
+  const { Outbox } = loadScripts(['src/utils/outbox.js'], ['Outbox'], { chrome });
+
+  await assert.rejects(Outbox.add({ type: 'SEND_TO_AIRTABLE', jobData: { jobTitle: 'A' } }, 'offline'), /quota/);
+  await Outbox.add({ type: 'SEND_TO_AIRTABLE', jobData: { jobTitle: 'B' } }, 'offline');
+
+  assert.equal(await Outbox.count(), 1);
+});
@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const body = { tagName: 'BODY', children: [] };
+
+/**
+ * Minimal document whose querySelectorAll only finds the listed selectors exactly once; every other
+ * selector matches several elements
+ */
+const page = {
+  body,
+  documentElement: { tagName: 'HTML' },
+  unique: [],
+  querySelectorAll: selector => (page.unique.includes(selector) ? [{}] : [{}, {}])
+};
+
+const { ElementPicker, Compensation } = loadScripts(
+  ['src/utils/structured-data.js', 'src/utils/markdown.js', 'src/utils/compensation.js', 'src/utils/posting-dates.js', 'src/content/detector.js', 'src/content/picker.js'],
+  ['ElementPicker', 'Compensation'],
+  { document: page, CSS: { escape: value => String(value).replace(/[^\w-]/g, '\\$&') } }
+);
+
+/**
+ * Minimal element; children are attached to it as parentElement
+ */
+function el(tagName, { id = '', classes = [], attributes = {}, text = '', html = '' } = {}, children = []) {
+  const element = {
+    tagName: tagName.toUpperCase(),
+    id,
+    classList: classes,
+    parentElement: body,
+    children,
+    textContent: text,
+    innerHTML: html,
+    getAttribute: name => (name in attributes ? attributes[name] : null)
+  };
+
+  children.forEach(child => {
+    child.parentElement = element;
+  });
+
+  return element;
+}
+
+test('reads compensation with a currency, a salary word, a range or a period', () => {
+  const read = text => ElementPicker.readValue(el('span', { text }), 'compensation');
+
+  assert.deepEqual(read('$95,000'), { min: 95000, max: 95000, currency: 'USD', period: 'year' });
+  assert.deepEqual(read('Base: 120k'), { min: 120000, max: 120000, currency: '', period: 'year' });
+  assert.deepEqual(read('70,000 - 90,000'), { min: 70000, max: 90000, currency: '', period: 'year' });
+  assert.deepEqual(read('45 per hour'), { min: 45, max: 45, currency: '', period: 'hour' });
+});
+
+test('does not read other numbers as compensation', () => {
+  const read = text => ElementPicker.readValue(el('span', { text }), 'compensation');
+
+  assert.equal(read('401k match'), null);
+  assert.equal(read('Competitive salary + 401(k)'), null);
+  assert.equal(read('25 days off'), null);
+  assert.deepEqual(Compensation.parseText('401k', { requireCurrency: false }), { min: 401000, max: 401000, currency: '', period: 'year' });
+});
+
+test('reads types, dates and descriptions', () => {
+  assert.equal(ElementPicker.readValue(el('span', { text: 'Full time · Remote' }), 'employmentType'), 'Full-time');
+  assert.equal(ElementPicker.readValue(el('span', { text: 'Remote (not hybrid)' }), 'workplaceType'), 'Remote');
+  assert.equal(ElementPicker.readValue(el('time', { text: 'May 1', attributes: { datetime: '2024-05-01T09:00:00Z' } }), 'datePosted'), '2024-05-01');
+  assert.equal(ElementPicker.readValue(el('span', { text: 'Apply by June 30, 2024' }), 'validThrough'), '2024-06-30');
+  assert.equal(ElementPicker.readValue(el('div', { html: '<p>Build <b>tools</b></p>' }), 'description'), 'Build **tools**');
+  assert.equal(ElementPicker.readValue(el('h1', { text: '  Data\n Engineer ' }), 'jobTitle'), 'Data Engineer');
+});
+
+test('uses a readable ID as the selector', () => {
+  const title = el('h1', { id: 'job-title' });
+  page.unique = ['#job-title'];
+
+  assert.equal(ElementPicker.getSelector(title), '#job-title');
+});
+
+test('skips generated IDs and anchors on a stable attribute', () => {
+  ['ember1234', 'react-select-4:r1:', '0f3e5a9c-1b2d-4e6f'].forEach(id => {
+    const title = el('h1', { id });
+    el('section', { attributes: { 'data-qa': 'posting header' } }, [title]);
+    page.unique = ['section[data-qa="posting\\ header"] > h1'];
+
+    assert.equal(ElementPicker.getSelector(title), 'section[data-qa="posting\\ header"] > h1');
+  });
+});
+
+test('skips hashed class names and adds the position among siblings', () => {
+  const salary = el('span', { classes: ['css-1x2y3z', 'sc-bdVaJa', 'JobDetails_salary__cNuIa', 'tag2024', 'salary', 'highlight', 'extra'] });
+  el('div', {}, [el('span'), salary]);
+  page.unique = ['span.salary.highlight:nth-of-type(2)'];
+
+  assert.equal(ElementPicker.getSelector(salary), 'span.salary.highlight:nth-of-type(2)');
+});
+
+test('builds a path up to the body when nothing is unique', () => {
+  const item = el('li');
+  el('ul', { classes: ['perks'] }, [item]);
+  page.unique = [];
+
+  assert.equal(ElementPicker.getSelector(item), 'ul.perks > li');
+});
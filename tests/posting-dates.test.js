@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { PostingDates } = loadScripts(['src/utils/posting-dates.js'], ['PostingDates']);
+
+const NOW = new Date(2024, 4, 20, 15, 30);
+
+test('parses relative ages', () => {
+  assert.equal(PostingDates.parseRelative('3 days ago', NOW), '2024-05-17');
+  assert.equal(PostingDates.parseRelative('30+ days ago', NOW), '2024-04-20');
+  assert.equal(PostingDates.parseRelative('2w ago', NOW), '2024-05-06');
+  assert.equal(PostingDates.parseRelative('5 hours ago', NOW), '2024-05-20');
+  assert.equal(PostingDates.parseRelative('yesterday', NOW), '2024-05-19');
+});
+
+test('parses written dates', () => {
+  assert.equal(PostingDates.parseAbsolute('May 3rd, 2024'), '2024-05-03');
+  assert.equal(PostingDates.parseAbsolute('3 May 2024'), '2024-05-03');
+  assert.equal(PostingDates.parseAbsolute('2024-05-03 at noon'), '2024-05-03');
+  assert.equal(PostingDates.parseAbsolute('Soon'), null);
+});
+
+test('keeps structured data dates as calendar dates', () => {
+  assert.equal(PostingDates.toDateString('2024-05-01'), '2024-05-01');
+  assert.equal(PostingDates.toDateString('not a date'), null);
+});
+
+test('finds the posted date, preferring labeled phrases', () => {
+  assert.deepEqual(PostingDates.findPosted('Similar job: 1 day ago\nReposted 2 weeks ago', NOW), { date: '2024-05-06', labeled: true });
+  assert.deepEqual(PostingDates.findPosted('Acme · 4 days ago · 120 applicants', NOW), { date: '2024-05-16', labeled: false });
+});
+
+test('finds the closing date', () => {
+  assert.equal(PostingDates.findClosing('Apply by June 30, 2024 to be considered'), '2024-06-30');
+  assert.equal(PostingDates.findClosing('Closing date: 2024-07-01'), '2024-07-01');
+  assert.equal(PostingDates.findClosing('Apply now'), null);
+});
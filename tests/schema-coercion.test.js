@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { FieldMapping, AirtableSchema, NotionClient } = loadScripts(
+  ['src/utils/field-mapping.js', 'src/utils/airtable-schema.js', 'src/utils/notion.js'],
+  ['FieldMapping', 'AirtableSchema', 'NotionClient']
+);
+
+const choices = [{ name: 'Boston, MA' }, { name: 'Remote' }];
+
+test('splits list text only on the list separator', () => {
+  assert.deepEqual(FieldMapping.toList('Boston, MA'), ['Boston, MA']);
+  assert.deepEqual(FieldMapping.toList('Boston, MA; Remote'), ['Boston, MA', 'Remote']);
+  assert.deepEqual(FieldMapping.toList(['Berlin', ' ', 'Paris ']), ['Berlin', 'Paris']);
+  assert.deepEqual(FieldMapping.toList(FieldMapping.toText(['Austin, TX', 'Remote'])), ['Austin, TX', 'Remote']);
+});
+
+test('keeps a comma-only location as one multiple select choice', () => {
+  const field = { name: 'Location', type: 'multipleSelects', options: { choices } };
+
+  assert.deepEqual(AirtableSchema.coerceValue('Boston, MA', field), ['Boston, MA']);
+  assert.deepEqual(AirtableSchema.coerceValue('boston, ma;remote', field), ['Boston, MA', 'Remote']);
+  assert.deepEqual(AirtableSchema.coerceValue(['Boston, MA', 'Denver, CO'], field), ['Boston, MA', 'Denver, CO']);
+});
+
+test('joins lists for text and single select columns', () => {
+  assert.equal(AirtableSchema.coerceValue(['Berlin', 'Paris'], { name: 'Location', type: 'singleLineText' }), 'Berlin; Paris');
+  assert.equal(AirtableSchema.coerceValue('remote', { name: 'Workplace', type: 'singleSelect', options: { choices } }), 'Remote');
+});
+
+test('coerces numbers, checkboxes, dates and URLs', () => {
+  assert.equal(AirtableSchema.coerceValue('$120,000', { name: 'Salary', type: 'currency' }), 120000);
+  assert.equal(AirtableSchema.coerceValue('n/a', { name: 'Salary', type: 'number' }), undefined);
+  assert.equal(AirtableSchema.coerceValue('Yes', { name: 'Applied', type: 'checkbox' }), true);
+  assert.equal(AirtableSchema.coerceValue('2024-05-03', { name: 'Posted', type: 'date' }), '2024-05-03');
+  assert.equal(AirtableSchema.coerceValue('not a url', { name: 'Link', type: 'url' }), undefined);
+  assert.equal(AirtableSchema.coerceValue('Line one\nLine two', { name: 'Title', type: 'singleLineText' }), 'Line one Line two');
+});
+
+test('skips read-only and unsupported columns', () => {
+  assert.equal(AirtableSchema.coerceValue('x', { name: 'Created', type: 'createdTime' }), undefined);
+  assert.equal(AirtableSchema.coerceValue('x', { name: 'Owner', type: 'singleCollaborator' }), undefined);
+});
+
+test('keeps a comma-only location as one Notion multi-select option', () => {
+  assert.deepEqual(NotionClient.convertValue('Boston, MA', 'multi_select'), { multi_select: [{ name: 'Boston, MA' }] });
+  assert.deepEqual(NotionClient.convertValue(['Boston, MA', 'Remote'], 'multi_select'), { multi_select: [{ name: 'Boston, MA' }, { name: 'Remote' }] });
+});
+
+test('converts other Notion property types', () => {
+  assert.deepEqual(NotionClient.convertValue(['Berlin', 'Paris'], 'rich_text'), { rich_text: [{ text: { content: 'Berlin; Paris' } }] });
+  assert.deepEqual(NotionClient.convertValue('abc', 'number'), { number: null });
+  assert.equal(NotionClient.convertValue('x', 'formula'), undefined);
+});
+
+test('sends Notion dates as ISO 8601 and skips values that are not dates', () => {
+  assert.deepEqual(NotionClient.convertValue('2024-05-03', 'date'), { date: { start: '2024-05-03' } });
+  assert.deepEqual(NotionClient.convertValue('2024-05-03 14:05:09', 'date'), { date: { start: new Date(2024, 4, 3, 14, 5, 9).toISOString() } });
+  assert.equal(NotionClient.convertValue('soon', 'date'), undefined);
+});
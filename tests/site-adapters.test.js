@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { SiteAdapters } = loadScripts(['src/content/site-adapters.js'], ['SiteAdapters']);
+
+/**
+ * Minimal element with the text, markup and attributes the adapters read
+ */
+function el(text, attributes = {}) {
+  return {
+    textContent: text,
+    innerHTML: `<p>${text}</p>`,
+    getAttribute: name => (name in attributes ? attributes[name] : null)
+  };
+}
+
+/**
+ * Minimal document; elements are listed by the exact selectors that find them, and selector lists
+ * ("a, b") are looked up one selector at a time
+ */
+function page(title, elements = {}) {
+  const all = selector => selector.split(',').flatMap(part => elements[part.trim()] || []);
+  return {
+    title,
+    querySelectorAll: all,
+    querySelector: selector => all(selector)[0] || null
+  };
+}
+
+function values(result) {
+  return Object.fromEntries(result.fields.filter(field => 'value' in field).map(field => [field.field, field.value]));
+}
+
+test('matches adapters by host and subdomain', () => {
+  const empty = page('');
+
+  assert.equal(SiteAdapters.find(empty, 'https://boards.greenhouse.io/acme/jobs/1').adapter.id, 'greenhouse');
+  assert.equal(SiteAdapters.find(empty, 'https://jobs.lever.co/acme/abc').matchedBy, 'host');
+  assert.equal(SiteAdapters.find(empty, 'https://acme.wd5.myworkdayjobs.com/en-US/careers/job/1').adapter.id, 'workday');
+  assert.equal(SiteAdapters.find(empty, 'https://notgreenhouse.io/jobs/1'), null);
+  assert.equal(SiteAdapters.find(empty, 'not a url'), null);
+});
+
+test('matches embedded boards by URL pattern', () => {
+  const found = SiteAdapters.find(page(''), 'https://acme.com/careers?gh_jid=4012345');
+
+  assert.equal(found.adapter.id, 'greenhouse');
+  assert.equal(found.matchedBy, 'url');
+  assert.equal(SiteAdapters.find(page(''), 'https://acme.com/careers?ashby_jid=abc').adapter.id, 'ashby');
+});
+
+test('falls back to fingerprints and lowers their confidence', () => {
+  const doc = page('Careers', { '.posting-headline': [el('Engineer')] });
+
+  const result = SiteAdapters.detect(doc, 'https://acme.com/careers/engineer');
+
+  assert.equal(result.adapter.id, 'lever');
+  assert.equal(result.matchedBy, 'fingerprint');
+  assert.ok(result.fields.every(field => field.confidence === SiteAdapters.ATS_CONFIDENCE - SiteAdapters.FINGERPRINT_PENALTY));
+  assert.equal(SiteAdapters.detect(page('Careers'), 'https://acme.com/careers/engineer'), null);
+});
+
+test('reads the Greenhouse company from the header or the page title', () => {
+  const classic = page('Job Application for Engineer at Acme', { '#header .company-name': [el('\n at  Acme Corp ')] });
+  const modern = page('Job Application for Senior Engineer at Acme');
+
+  assert.equal(values(SiteAdapters.detect(classic, 'https://boards.greenhouse.io/acme/jobs/1')).company, 'Acme Corp');
+  assert.equal(values(SiteAdapters.detect(modern, 'https://job-boards.greenhouse.io/acme/jobs/1')).company, 'Acme');
+});
+
+test('reads the Lever company from the logo and joins description sections', () => {
+  const doc = page('Acme - Engineer', {
+    '.main-header-logo img': [el('', { alt: 'Acme Robotics logo' })],
+    '[data-qa="job-description"]': [el('About us')],
+    '[data-qa="job-description"] ~ .section:not(.last-section-apply)': [el('Requirements'), el('Benefits')]
+  });
+
+  const result = SiteAdapters.detect(doc, 'https://jobs.lever.co/acme/abc');
+
+  assert.deepEqual(values(result), {
+    company: 'Acme Robotics',
+    description: '<p>About us</p>\n<p>Requirements</p>\n<p>Benefits</p>'
+  });
+  assert.deepEqual(result.fields.find(field => field.field === 'jobTitle'),
+    { field: 'jobTitle', selector: '.posting-headline h2', confidence: SiteAdapters.ATS_CONFIDENCE });
+  assert.equal(values(SiteAdapters.detect(page('Acme - Engineer'), 'https://jobs.lever.co/acme/abc')).company, 'Acme');
+});
+
+test('reads the Workday company from the site name', () => {
+  const result = SiteAdapters.detect(page('Acme Careers'), 'https://acme.wd5.myworkdayjobs.com/en-US/External/job/1');
+
+  assert.deepEqual(values(result), { company: 'Acme' });
+  assert.equal(result.fields.find(field => field.field === 'location').selector, '[data-automation-id="locations"] dd');
+  assert.deepEqual(values(SiteAdapters.detect(page('Engineer'), 'https://acme.wd5.myworkdayjobs.com/job/1')), {});
+});
+
+test('keeps the selector fields when an extractor fails', () => {
+  SiteAdapters.register({
+    id: 'broken',
+    name: 'Broken',
+    hosts: ['broken.example'],
+    confidence: 70,
+    fields: { jobTitle: 'h1' },
+    extract() {
+      throw new Error('markup changed');
+    }
+  });
+
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.deepEqual(SiteAdapters.detect(page(''), 'https://broken.example/jobs/1').fields, [{ field: 'jobTitle', selector: 'h1', confidence: 70 }]);
+  } finally {
+    console.warn = warn;
+  }
+});
@@ -0,0 +1,166 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { StructuredData } = loadScripts(['src/utils/structured-data.js'], ['StructuredData']);
+
+/**
+ * Minimal element supporting what the Microdata/RDFa reader uses; selectors are lists of [attribute] checks
+ */
+function el(tagName, attributes = {}, children = [], text = '') {
+  const element = {
+    tagName: tagName.toUpperCase(),
+    parentElement: null,
+    children,
+    getAttribute: name => (name in attributes ? attributes[name] : null),
+    hasAttribute: name => name in attributes,
+    get textContent() {
+      return text + children.map(child => child.textContent).join(' ');
+    },
+    get innerHTML() {
+      return text;
+    },
+    descendants() {
+      return children.flatMap(child => [child].concat(child.descendants()));
+    },
+    matches(selector) {
+      return Array.from(selector.matchAll(/\[([\w-]+)\]/g)).every(match => element.hasAttribute(match[1]));
+    },
+    querySelectorAll(selector) {
+      return element.descendants().filter(child => child.matches(selector));
+    },
+    closest(selector) {
+      for (let current = element; current; current = current.parentElement) {
+        if (current.matches(selector)) return current;
+      }
+      return null;
+    },
+    contains(other) {
+      return other === element || element.descendants().includes(other);
+    }
+  };
+
+  children.forEach(child => {
+    child.parentElement = element;
+  });
+
+  return element;
+}
+
+/**
+ * Minimal document with JSON-LD script blocks
+ */
+function pageWithBlocks(...blocks) {
+  return {
+    querySelectorAll: () => blocks.map(text => ({ textContent: text }))
+  };
+}
+
+test('finds a JobPosting inside @graph and resolves references across blocks', () => {
+  const doc = pageWithBlocks(
+    JSON.stringify({ '@context': 'https://schema.org', '@type': 'Organization', '@id': '#org', name: 'Acme' }),
+    JSON.stringify({ '@graph': [{ '@type': ['WebPage'] }, { '@type': 'https://schema.org/JobPosting', title: 'Engineer', hiringOrganization: { '@id': '#org' } }] })
+  );
+
+  const found = StructuredData.findJsonLdJobPosting(doc);
+
+  assert.equal(found.block, 2);
+  assert.equal(found.blockCount, 2);
+  assert.equal(found.item.title, 'Engineer');
+  assert.equal(found.item.hiringOrganization.name, 'Acme');
+});
+
+test('prefers a complete posting over a stub', () => {
+  const doc = pageWithBlocks(
+    JSON.stringify({ '@type': 'JobPosting', title: 'Listing' }),
+    JSON.stringify({ '@type': 'JobPosting', title: 'Designer', hiringOrganization: { name: 'Acme' } })
+  );
+
+  assert.equal(StructuredData.findJsonLdJobPosting(doc).item.title, 'Designer');
+});
+
+test('repairs trailing commas, raw line breaks and HTML-escaped blocks', () => {
+  const trailing = StructuredData.parseBlock('{"@type": "JobPosting", "title": "Line\none", }');
+  assert.equal(trailing.repaired, true);
+  assert.equal(trailing.data.title, 'Line one');
+
+  const escaped = StructuredData.parseBlock('{&quot;@type&quot;: &quot;JobPosting&quot;}');
+  assert.equal(escaped.data['@type'], 'JobPosting');
+
+  assert.equal(StructuredData.parseBlock('{not json'), null);
+});
+
+test('reads expanded property names and @value wrappers', () => {
+  const doc = pageWithBlocks(JSON.stringify({ '@type': 'schema:JobPosting', 'http://schema.org/title': { '@value': 'Analyst' } }));
+
+  assert.equal(StructuredData.findJsonLdJobPosting(doc).item.title, 'Analyst');
+});
+
+test('decodes entities in strings', () => {
+  assert.equal(StructuredData.decodeEntities('R&amp;D &#8211; Caf&eacute;&#x21;'), 'R&D – Caf&eacute;!');
+});
+
+test('checks itemtype and typeof attributes', () => {
+  assert.equal(StructuredData.hasType('https://schema.org/JobPosting', 'JobPosting'), true);
+  assert.equal(StructuredData.hasType('schema:Organization schema:JobPosting', 'JobPosting'), true);
+  assert.equal(StructuredData.hasType('https://schema.org/Organization', 'JobPosting'), false);
+});
+
+test('reads a Microdata JobPosting with nested items and repeated properties', () => {
+  const body = el('body', {}, [
+    el('div', { itemscope: '', itemtype: 'https://schema.org/JobPosting' }, [
+      el('h1', { itemprop: 'title' }, [], ' Data  Engineer '),
+      el('div', { itemprop: 'hiringOrganization', itemscope: '', itemtype: 'https://schema.org/Organization' }, [
+        el('span', { itemprop: 'name' }, [], 'Acme')
+      ]),
+      el('span', { itemprop: 'jobLocation' }, [], 'Berlin'),
+      el('span', { itemprop: 'jobLocation' }, [], 'Remote'),
+      el('time', { itemprop: 'datePosted', datetime: '2024-05-01' }, [], 'May 1'),
+      el('meta', { itemprop: 'employmentType', content: 'FULL_TIME' }),
+      el('div', { itemprop: 'description' }, [], '<p>Build <b>pipelines</b></p>')
+    ])
+  ]);
+
+  const found = StructuredData.findHtmlJobPosting(body);
+
+  assert.equal(found.format, 'Microdata');
+  assert.deepEqual(JSON.parse(JSON.stringify(found.item)), {
+    '@type': 'JobPosting',
+    title: 'Data Engineer',
+    hiringOrganization: { '@type': 'Organization', name: 'Acme' },
+    jobLocation: ['Berlin', 'Remote'],
+    datePosted: '2024-05-01',
+    employmentType: 'FULL_TIME',
+    description: '<p>Build <b>pipelines</b></p>'
+  });
+});
+
+test('reads an RDFa JobPosting when there is no Microdata', () => {
+  const body = el('body', {}, [
+    el('div', { vocab: 'https://schema.org/', typeof: 'JobPosting' }, [
+      el('h1', { property: 'title' }, [], 'Designer'),
+      el('a', { property: 'url', href: 'https://acme.com/jobs/2' }, [], 'Apply')
+    ])
+  ]);
+
+  const found = StructuredData.findHtmlJobPosting(body);
+
+  assert.equal(found.format, 'RDFa');
+  assert.equal(found.item.title, 'Designer');
+  assert.equal(found.item.url, 'https://acme.com/jobs/2');
+});
+
+test('prefers the outermost posting over postings nested in it', () => {
+  const similar = el('li', { itemscope: '', itemtype: 'https://schema.org/JobPosting' }, [el('span', { itemprop: 'title' }, [], 'Similar job')]);
+  const body = el('body', {}, [
+    el('main', { itemscope: '', itemtype: 'https://schema.org/JobPosting' }, [
+      el('h1', { itemprop: 'title' }, [], 'Main job'),
+      el('ul', {}, [similar])
+    ])
+  ]);
+
+  const found = StructuredData.findHtmlJobPosting(body);
+
+  assert.equal(found.item.title, 'Main job');
+  assert.equal(found.blockCount, 2);
+});